@@ -8,6 +8,12 @@
  *   1. Sync on startup  — push pending + pull latest
  *   2. Periodic sync    — every SYNC_INTERVAL_MS
  *   3. Offline queue    — writes go to SQLite; flushed when online
+ *   4. LAN sync         — with LAN_SYNC=on, also exchange changes with peers
+ *                         on the local network (works without the cloud)
+ *   5. Heartbeat        — register this device (hostname, platform, version)
+ *                         every HEARTBEAT_INTERVAL_MS so the backend can tell
+ *                         when it goes offline; the device token issued at
+ *                         registration is kept in agent/.device-token
  *
  * Usage:
  *   node agent/index.js
@@ -16,23 +22,69 @@
  */
 
 require('dotenv').config({ path: require('path').join(__dirname, '..', 'backend', '.env') });
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { version: AGENT_VERSION } = require('./package.json');
 
 // ── Config ─────────────────────────────────────────────
 const API_BASE = process.env.MCP_API_URL || 'http://localhost:3939/api';
 const SYNC_INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS, 10) || 60_000; // 1 min default
-const DEVICE_ID = process.env.DEVICE_ID || `device-${os.hostname()}-${uuidv4().slice(0, 8)}`;
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 60_000;
+const DEVICE_ID = process.env.DEVICE_ID || loadDeviceId();
+const DEVICE_TOKEN_FILE = path.join(__dirname, '.device-token');
+let deviceToken = loadDeviceToken();
 
 // Shared secret used to authenticate agent requests to the backend.
 // Must match the AGENT_SECRET env var set on the backend.
 const AGENT_SECRET = process.env.AGENT_SECRET || '';
 
+// Ask the backend to sync with LAN peers each cycle (backend needs LAN_SYNC_KEY)
+const LAN_SYNC = process.env.LAN_SYNC === 'on';
+
 // ── Helpers ────────────────────────────────────────────
 
+/** Generated device id, kept in agent/.device-id so restarts register as the same device */
+function loadDeviceId() {
+  const file = path.join(__dirname, '.device-id');
+  try {
+    const saved = fs.readFileSync(file, 'utf8').trim();
+    if (saved) return saved;
+  } catch {
+    // First run
+  }
+  const id = `device-${os.hostname()}-${uuidv4().slice(0, 8)}`;
+  fs.writeFileSync(file, `${id}\n`);
+  return id;
+}
+
+/** Token the backend issued at registration, kept in agent/.device-token */
+function loadDeviceToken() {
+  try {
+    return fs.readFileSync(DEVICE_TOKEN_FILE, 'utf8').trim() || null;
+  } catch {
+    return null; // Not registered yet
+  }
+}
+
+function saveDeviceToken(token) {
+  deviceToken = token;
+  fs.writeFileSync(DEVICE_TOKEN_FILE, `${token}\n`, { mode: 0o600 });
+}
+
 async function apiCall(path, method = 'GET', body = null) {
   const url = `${API_BASE}${path}`;
-  const headers = { 'Content-Type': 'application/json' };
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Device-Id': DEVICE_ID,
+    'X-Device-Hostname': os.hostname(),
+    'X-Device-Platform': process.platform,
+    'X-Agent-Version': AGENT_VERSION,
+  };
+  if (deviceToken) {
+    headers['X-Device-Token'] = deviceToken;
+  }
   if (AGENT_SECRET) {
     headers['Authorization'] = `Bearer ${AGENT_SECRET}`;
   }
@@ -65,7 +117,7 @@ async function syncPush() {
 
 async function syncPull() {
   console.log(`[${new Date().toISOString()}] ⬇  Pulling latest from cloud…`);
-  const result = await apiCall('/sync/pull', 'POST');
+  const result = await apiCall(`/sync/pull?deviceId=${encodeURIComponent(DEVICE_ID)}`, 'POST');
   if (result.ok) {
     console.log(`   ✅ Pull complete:`, result.data);
   } else {
@@ -73,9 +125,42 @@ async function syncPull() {
   }
 }
 
+async function lanSync() {
+  console.log(`[${new Date().toISOString()}] ⇄  Syncing with LAN peers…`);
+  const result = await apiCall('/sync/lan', 'POST');
+  if (!result.ok) {
+    console.log(`   ⚠  LAN sync failed:`, result.error || result.data);
+  } else if (result.data.status === 'disabled') {
+    console.log('   ⚠  LAN sync is off on the backend — set LAN_SYNC_KEY');
+  } else if (result.data.status === 'suspended') {
+    console.log(`   ⛔ LAN sync suspended: ${result.data.reason}`);
+  } else {
+    for (const peer of result.data.peers) {
+      console.log(`   ${peer.status === 'ok' ? '✅' : '⚠ '} ${peer.device_id || peer.url}:`, peer.error || peer);
+    }
+  }
+}
+
 async function fullSync() {
   await syncPush();
   await syncPull();
+  if (LAN_SYNC) await lanSync();
+}
+
+async function heartbeat() {
+  const result = await apiCall('/devices/heartbeat', 'POST', {
+    device_id: DEVICE_ID,
+    hostname: os.hostname(),
+    platform: process.platform,
+    agent_version: AGENT_VERSION,
+    kind: 'agent',
+  });
+  if (result.ok && result.data.device_token) saveDeviceToken(result.data.device_token);
+  if (result.data?.revoked || result.data?.code === 'DEVICE_REVOKED') {
+    console.log('   ⛔ This device has been revoked by the owner — its writes are rejected');
+  } else if (!result.ok) {
+    console.log(`   ⚠  Heartbeat failed:`, result.error || result.data);
+  }
 }
 
 async function healthCheck() {
@@ -97,13 +182,16 @@ async function main() {
   console.log(`   Device ID : ${DEVICE_ID}`);
   console.log(`   API Base  : ${API_BASE}`);
   console.log(`   Auth      : ${AGENT_SECRET ? 'AGENT_SECRET set ✅' : 'no secret ⚠️  — set AGENT_SECRET in .env'}`);
+  console.log(`   LAN sync  : ${LAN_SYNC ? 'on' : 'off'}`);
+  console.log(`   Version   : ${AGENT_VERSION}`);
   console.log(`   Interval  : ${SYNC_INTERVAL_MS}ms\n`);
 
   // 1. Health check
   const online = await healthCheck();
 
-  // 2. Sync on startup
+  // 2. Register + sync on startup
   if (online) {
+    await heartbeat();
     await fullSync();
   } else {
     console.log('   📴 Offline — will retry on next interval');
@@ -115,6 +203,9 @@ async function main() {
     if (isOnline) await fullSync();
   }, SYNC_INTERVAL_MS);
 
+  // 4. Heartbeat (a failed one is retried on the next tick)
+  setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+
   console.log(`\n🔄  Periodic sync running every ${SYNC_INTERVAL_MS / 1000}s. Press Ctrl+C to stop.\n`);
 }
 
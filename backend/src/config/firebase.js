@@ -1,14 +1,25 @@
 /**
- * Firebase Admin SDK initialisation.
+ * Firebase Admin SDK initialisation + storage adapter selection.
  * Uses a service-account key file for server-side access.
  * The path is read from FIREBASE_SERVICE_ACCOUNT_PATH env var.
+ *
+ * STORAGE_ADAPTER picks what getFirestore() returns:
+ *   firestore (default) — the real Cloud Firestore client
+ *   local               — SQLite-backed stand-in (storage/localFirestore.js)
+ *                         at LOCAL_STORE_PATH; no Google credentials needed
+ * Both expose the same collection/doc/where/orderBy/batch surface, so callers
+ * never branch on the adapter.
  */
 
 const admin = require('firebase-admin');
 const fs = require('fs');
 const path = require('path');
+const { createLocalFirestore } = require('../storage/localFirestore');
+
+const STORAGE_ADAPTERS = ['firestore', 'local'];
 
 let db = null;
+let adapter = null;
 
 function resolveServiceAccountPath(rawPath) {
   const value = String(rawPath || '').trim();
@@ -43,12 +54,34 @@ function loadDefaultServiceAccountPath() {
   return defaults.find((candidate) => fs.existsSync(candidate)) || null;
 }
 
+function resolveStorageAdapter() {
+  const name = String(process.env.STORAGE_ADAPTER || 'firestore').trim().toLowerCase();
+  if (!STORAGE_ADAPTERS.includes(name)) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${name}". Use one of: ${STORAGE_ADAPTERS.join(', ')}`);
+  }
+  return name;
+}
+
 function initFirebase() {
-  // If already initialised, skip
-  if (admin.apps.length) {
-    db = admin.firestore();
+  adapter = resolveStorageAdapter();
+  initAdminApp();
+
+  if (adapter === 'local') {
+    if (!db) {
+      const storePath = process.env.LOCAL_STORE_PATH
+        || path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data'), 'local_firestore.db');
+      db = createLocalFirestore(storePath);
+      console.log(`🗄️  Local Firestore stand-in at ${storePath}`);
+    }
     return;
   }
+  db = admin.firestore();
+}
+
+/** Initialise the Admin SDK app (auth token verification uses it in every mode) */
+function initAdminApp() {
+  // If already initialised, skip
+  if (admin.apps.length) return;
 
   const saPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH;
   const saJson = process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
@@ -93,12 +126,7 @@ function initFirebase() {
         console.warn(`⚠️  FIREBASE_SERVICE_ACCOUNT_PATH not found: ${saPath}`);
       }
     }
-
-    db = admin.firestore();
-    return;
   }
-
-  db = admin.firestore();
 }
 
 /**
@@ -110,4 +138,9 @@ function getFirestore() {
   return db;
 }
 
-module.exports = { initFirebase, getFirestore };
+/** 'firestore' | 'local' once initFirebase() has run, else null */
+function getStorageAdapter() {
+  return adapter;
+}
+
+module.exports = { initFirebase, getFirestore, getStorageAdapter };
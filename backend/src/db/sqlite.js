@@ -1,21 +1,32 @@
 /**
  * Local SQLite cache layer — with tombstone support.
  * Uses better-sqlite3 for synchronous, fast, offline-first storage.
- * DB file lives at backend/data/local_cache.db
+ * DB file lives at backend/data/local_cache.db (DATA_DIR overrides the directory)
  *
  * Tombstone fields: deleted, deleted_at, deleted_by, delete_reason,
  *                   infection_id, revision, updated_by, source_device_id
+ * Expiry:           expires_at (ISO string; swept into a tombstone once past)
+ * Ordering:         hlc (hybrid logical clock + device id, see sync/hlc.js)
+ *
+ * Every set / tombstone / restore also appends a full snapshot of the row
+ * to memory_history, so earlier revisions stay readable after overwrite,
+ * and re-indexes the entry in the memory_fts full-text index.
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const hlcClock = require('../sync/hlc');
+
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '..', '..', 'data');
 
 let db = null;
 
 /** Ensure data directory exists, open DB, and run migrations */
 function initSQLite() {
-  const dataDir = path.join(__dirname, '..', '..', 'data');
+  const dataDir = DATA_DIR;
   if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 
   const dbPath = path.join(dataDir, 'local_cache.db');
@@ -26,6 +37,8 @@ function initSQLite() {
 
   // Run migrations
   migrate();
+  ensureSearchIndex();
+  seedClock();
 
   console.log('💾  SQLite initialised at', dbPath);
 }
@@ -45,7 +58,9 @@ function migrate() {
       deleted_at       TEXT,
       deleted_by       TEXT,
       delete_reason    TEXT,
-      infection_id     TEXT
+      infection_id     TEXT,
+      expires_at       TEXT,
+      hlc              TEXT
     );
 
     -- Per-project memory cache (with tombstone support)
@@ -62,6 +77,8 @@ function migrate() {
       deleted_by       TEXT,
       delete_reason    TEXT,
       infection_id     TEXT,
+      expires_at       TEXT,
+      hlc              TEXT,
       PRIMARY KEY (project_id, key)
     );
 
@@ -76,7 +93,11 @@ function migrate() {
       synced       INTEGER DEFAULT 0,
       retry_count  INTEGER DEFAULT 0,
       last_error   TEXT,
-      dead_letter  INTEGER DEFAULT 0
+      dead_letter  INTEGER DEFAULT 0,
+      next_attempt_at TEXT,
+      error_kind   TEXT,
+      dead_reason  TEXT,
+      coalesced    INTEGER DEFAULT 0
     );
 
     -- Device registry + last sync cursor
@@ -85,7 +106,113 @@ function migrate() {
       device_name TEXT,
       last_sync   TEXT,
       status      TEXT DEFAULT 'offline',
-      platform    TEXT
+      platform    TEXT,
+      sync_projects TEXT,
+      sync_global   INTEGER DEFAULT 1,
+      sync_tombstone_max_age_days REAL,
+      hostname          TEXT,
+      agent_version     TEXT,
+      ip                TEXT,
+      kind              TEXT,
+      registered_at     TEXT,
+      last_heartbeat_at TEXT,
+      revoked           INTEGER DEFAULT 0,
+      revoked_by        TEXT,
+      revoke_reason     TEXT,
+      revocation_updated_at TEXT,
+      token_hash        TEXT,
+      revoked_lan_key_id TEXT
+    );
+
+    -- LAN peers: devices reached without the cloud, and how far we have read each one
+    CREATE TABLE IF NOT EXISTS lan_peers (
+      device_id    TEXT PRIMARY KEY,
+      url          TEXT NOT NULL,
+      source       TEXT NOT NULL DEFAULT 'config',
+      cursor       TEXT,
+      last_seen_at TEXT,
+      last_sync_at TEXT,
+      last_error   TEXT
+    );
+
+    -- Append-only revision history for global + project memory
+    CREATE TABLE IF NOT EXISTS memory_history (
+      id               INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope            TEXT NOT NULL CHECK(scope IN ('global','project')),
+      project_id       TEXT,
+      key              TEXT NOT NULL,
+      revision         INTEGER NOT NULL,
+      operation        TEXT NOT NULL,
+      value            TEXT,
+      updated_at       TEXT,
+      updated_by       TEXT,
+      source_device_id TEXT,
+      deleted          INTEGER DEFAULT 0,
+      delete_reason    TEXT,
+      infection_id     TEXT,
+      expires_at       TEXT,
+      reverted_from    INTEGER,
+      hlc              TEXT,
+      origin           TEXT DEFAULT 'local',
+      recorded_at      TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_memory_history_key
+      ON memory_history (scope, project_id, key, revision);
+
+    -- Concurrent edits detected by sync (both sides changed since last sync)
+    CREATE TABLE IF NOT EXISTS sync_conflicts (
+      id               INTEGER PRIMARY KEY AUTOINCREMENT,
+      collection       TEXT NOT NULL,
+      doc_path         TEXT NOT NULL,
+      scope            TEXT NOT NULL CHECK(scope IN ('global','project')),
+      project_id       TEXT,
+      key              TEXT NOT NULL,
+      local_value      TEXT,
+      remote_value     TEXT,
+      local_deleted    INTEGER DEFAULT 0,
+      remote_deleted   INTEGER DEFAULT 0,
+      local_hlc        TEXT,
+      remote_hlc       TEXT,
+      local_device_id  TEXT,
+      remote_device_id TEXT,
+      winner           TEXT NOT NULL CHECK(winner IN ('local','remote')),
+      detected_by      TEXT NOT NULL,
+      merge_fields     TEXT,
+      detected_at      TEXT DEFAULT (datetime('now')),
+      status           TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open','resolved')),
+      resolution       TEXT,
+      resolved_value   TEXT,
+      resolved_by      TEXT,
+      resolved_at      TEXT
+    );
+
+    -- Full-text search: one doc row per memory entry, id doubles as the FTS rowid
+    CREATE TABLE IF NOT EXISTS memory_search_docs (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope      TEXT NOT NULL,
+      project_id TEXT NOT NULL DEFAULT '',
+      key        TEXT NOT NULL,
+      deleted    INTEGER DEFAULT 0,
+      UNIQUE (scope, project_id, key)
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS memory_fts USING fts5(
+      key, body, tags,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    -- Semantic search: one vector per memory entry per embedding provider
+    CREATE TABLE IF NOT EXISTS memory_embeddings (
+      scope      TEXT NOT NULL,
+      project_id TEXT NOT NULL DEFAULT '',
+      key        TEXT NOT NULL,
+      provider   TEXT NOT NULL,
+      revision   INTEGER NOT NULL,
+      dimensions INTEGER NOT NULL,
+      vector     BLOB NOT NULL,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (scope, project_id, key, provider)
     );
 
     -- Audit log for delete/restore actions
@@ -100,6 +227,44 @@ function migrate() {
     );
   `);
 
+  // Project metadata + MCP client registrations (synced records, sync/records.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id               TEXT PRIMARY KEY,
+      project_name     TEXT NOT NULL,
+      primary_language TEXT,
+      framework        TEXT,
+      git_remote       TEXT,
+      github_owner     TEXT,
+      github_repo      TEXT,
+      github_branch    TEXT,
+      created_by       TEXT,
+      created_at       TEXT DEFAULT (datetime('now')),
+      updated_at       TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS mcp_clients (
+      id               TEXT PRIMARY KEY,
+      name             TEXT NOT NULL,
+      client_type      TEXT NOT NULL,
+      connection_mode  TEXT NOT NULL DEFAULT 'http',
+      permissions      TEXT NOT NULL DEFAULT 'memory-only',
+      enabled          INTEGER DEFAULT 1,
+      last_tested_at   TEXT,
+      test_status      TEXT,
+      created_by       TEXT,
+      created_at       TEXT DEFAULT (datetime('now')),
+      updated_at       TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Where each project lives on this device (never synced)
+    CREATE TABLE IF NOT EXISTS project_paths (
+      project_id TEXT PRIMARY KEY,
+      local_path TEXT NOT NULL,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+
   // ── Column migrations for existing databases ────────
   const migrateCols = [
     { table: 'global_memory', col: 'revision',         type: 'INTEGER DEFAULT 1' },
@@ -110,6 +275,7 @@ function migrate() {
     { table: 'global_memory', col: 'deleted_by',       type: 'TEXT' },
     { table: 'global_memory', col: 'delete_reason',    type: 'TEXT' },
     { table: 'global_memory', col: 'infection_id',     type: 'TEXT' },
+    { table: 'global_memory', col: 'expires_at',       type: 'TEXT' },
     { table: 'project_memory', col: 'revision',         type: 'INTEGER DEFAULT 1' },
     { table: 'project_memory', col: 'updated_by',       type: 'TEXT' },
     { table: 'project_memory', col: 'source_device_id', type: 'TEXT' },
@@ -118,9 +284,51 @@ function migrate() {
     { table: 'project_memory', col: 'deleted_by',       type: 'TEXT' },
     { table: 'project_memory', col: 'delete_reason',    type: 'TEXT' },
     { table: 'project_memory', col: 'infection_id',     type: 'TEXT' },
+    { table: 'project_memory', col: 'expires_at',       type: 'TEXT' },
+    { table: 'memory_history', col: 'reverted_from', type: 'INTEGER' },
+    { table: 'memory_history', col: 'expires_at',    type: 'TEXT' },
+    { table: 'global_memory',  col: 'hlc',           type: 'TEXT' },
+    { table: 'project_memory', col: 'hlc',           type: 'TEXT' },
+    { table: 'memory_history', col: 'hlc',           type: 'TEXT' },
+    { table: 'memory_history', col: 'origin',        type: "TEXT DEFAULT 'local'" },
+    { table: 'sync_conflicts', col: 'status',        type: "TEXT NOT NULL DEFAULT 'open'" },
+    { table: 'sync_conflicts', col: 'resolution',    type: 'TEXT' },
+    { table: 'sync_conflicts', col: 'resolved_value', type: 'TEXT' },
+    { table: 'sync_conflicts', col: 'resolved_by',   type: 'TEXT' },
+    { table: 'sync_conflicts', col: 'resolved_at',   type: 'TEXT' },
+    { table: 'sync_conflicts', col: 'merge_fields',  type: 'TEXT' },
     { table: 'sync_queue', col: 'retry_count', type: 'INTEGER DEFAULT 0' },
     { table: 'sync_queue', col: 'last_error',  type: 'TEXT' },
     { table: 'sync_queue', col: 'dead_letter', type: 'INTEGER DEFAULT 0' },
+    { table: 'sync_queue', col: 'next_attempt_at', type: 'TEXT' },
+    { table: 'sync_queue', col: 'error_kind',  type: 'TEXT' },
+    { table: 'sync_queue', col: 'dead_reason', type: 'TEXT' },
+    { table: 'sync_queue', col: 'coalesced',   type: 'INTEGER DEFAULT 0' },
+    { table: 'devices', col: 'sync_projects', type: 'TEXT' },
+    { table: 'devices', col: 'sync_global',   type: 'INTEGER DEFAULT 1' },
+    { table: 'devices', col: 'sync_tombstone_max_age_days', type: 'REAL' },
+    { table: 'devices', col: 'hostname',          type: 'TEXT' },
+    { table: 'devices', col: 'agent_version',     type: 'TEXT' },
+    { table: 'devices', col: 'ip',                type: 'TEXT' },
+    { table: 'devices', col: 'kind',              type: 'TEXT' },
+    { table: 'devices', col: 'registered_at',     type: 'TEXT' },
+    { table: 'devices', col: 'last_heartbeat_at', type: 'TEXT' },
+    { table: 'devices', col: 'revoked',           type: 'INTEGER DEFAULT 0' },
+    { table: 'devices', col: 'revoked_by',        type: 'TEXT' },
+    { table: 'devices', col: 'revoke_reason',     type: 'TEXT' },
+    { table: 'devices', col: 'revocation_updated_at', type: 'TEXT' },
+    { table: 'devices', col: 'token_hash',        type: 'TEXT' },
+    { table: 'devices', col: 'revoked_lan_key_id', type: 'TEXT' },
+    { table: 'projects', col: 'revision',         type: 'INTEGER DEFAULT 1' },
+    { table: 'projects', col: 'hlc',              type: 'TEXT' },
+    { table: 'projects', col: 'source_device_id', type: 'TEXT' },
+    { table: 'projects', col: 'deleted',          type: 'INTEGER DEFAULT 0' },
+    { table: 'projects', col: 'deleted_at',       type: 'TEXT' },
+    { table: 'mcp_clients', col: 'revision',         type: 'INTEGER DEFAULT 1' },
+    { table: 'mcp_clients', col: 'hlc',              type: 'TEXT' },
+    { table: 'mcp_clients', col: 'source_device_id', type: 'TEXT' },
+    { table: 'mcp_clients', col: 'deleted',          type: 'INTEGER DEFAULT 0' },
+    { table: 'mcp_clients', col: 'deleted_at',       type: 'TEXT' },
   ];
 
   for (const { table, col, type } of migrateCols) {
@@ -130,6 +338,46 @@ function migrate() {
       // Column already exists — safe to ignore
     }
   }
+
+  // Older databases kept local_path on projects. The column and its values
+  // stay (an older build can still read them); live projects without a
+  // project_paths row get theirs from it.
+  const projectColumns = db.prepare('PRAGMA table_info(projects)').all().map((column) => column.name);
+  if (projectColumns.includes('local_path')) {
+    db.exec(`
+      INSERT OR IGNORE INTO project_paths (project_id, local_path)
+        SELECT id, local_path FROM projects WHERE local_path IS NOT NULL AND deleted = 0
+    `);
+  }
+
+  // Indexes on migrated columns
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status
+      ON sync_conflicts (status, detected_at);
+    CREATE INDEX IF NOT EXISTS idx_sync_queue_doc
+      ON sync_queue (collection, doc_path, synced);
+  `);
+
+  coalesceSyncQueue();
+}
+
+/** Start the HLC after the newest stamp on disk so restarts never go backwards */
+function seedClock() {
+  const { newest } = db.prepare(
+    `SELECT MAX(hlc) AS newest FROM (
+       SELECT MAX(hlc) AS hlc FROM global_memory UNION ALL SELECT MAX(hlc) FROM project_memory)`
+  ).get();
+  if (newest) hlcClock.receive(newest);
+}
+
+/** backend/data (or DATA_DIR) — home of local_cache.db and snapshots/ */
+function getDataDir() {
+  return DATA_DIR;
+}
+
+/** Copy the live database (WAL included) to `destPath` with SQLite's online backup API */
+function backupDatabase(destPath) {
+  return getDB().backup(destPath);
 }
 
 /** Return the raw better-sqlite3 instance */
@@ -138,8 +386,21 @@ function getDB() {
   return db;
 }
 
+/**
+ * Wrap fn in a better-sqlite3 transaction. Calling a wrapped function inside
+ * another transaction runs it as a savepoint, so it can fail on its own.
+ */
+function transaction(fn) {
+  return getDB().transaction(fn);
+}
+
 // ── Global memory helpers ──────────────────────────────
 
+/** HLC for a write: the caller's stamp (service layer, sync pull) or a fresh local tick */
+function stampOf(meta) {
+  return meta.hlc || hlcClock.tick(meta.source_device_id);
+}
+
 function getGlobalMemory(key) {
   const row = getDB().prepare(
     'SELECT value, revision, deleted FROM global_memory WHERE key = ?'
@@ -159,20 +420,24 @@ function setGlobalMemory(key, value, meta = {}) {
   const nextRev = existing ? (existing.revision || 0) + 1 : 1;
 
   getDB().prepare(
-    `INSERT INTO global_memory (key, value, revision, updated_at, updated_by, source_device_id, deleted)
-     VALUES (?, ?, ?, datetime('now'), ?, ?, 0)
+    `INSERT INTO global_memory (key, value, revision, updated_at, updated_by, source_device_id, deleted, expires_at, hlc)
+     VALUES (?, ?, ?, datetime('now'), ?, ?, 0, ?, ?)
      ON CONFLICT(key) DO UPDATE SET
        value = excluded.value,
        revision = ?,
        updated_at = datetime('now'),
        updated_by = excluded.updated_by,
        source_device_id = excluded.source_device_id,
+       expires_at = excluded.expires_at,
+       hlc = excluded.hlc,
        deleted = 0, deleted_at = NULL, deleted_by = NULL, delete_reason = NULL, infection_id = NULL`
   ).run(
     key, JSON.stringify(value), nextRev,
-    meta.updated_by || null, meta.source_device_id || null,
+    meta.updated_by || null, meta.source_device_id || null, meta.expires_at || null, stampOf(meta),
     nextRev
   );
+  recordGlobalHistory(key, meta.reverted_from ? 'REVERT' : 'SET', meta.reverted_from, meta.origin);
+  indexGlobalMemory(key);
   return nextRev;
 }
 
@@ -185,14 +450,16 @@ function tombstoneGlobalMemory(key, meta = {}) {
     `UPDATE global_memory SET
        deleted = 1, deleted_at = datetime('now'), deleted_by = ?,
        delete_reason = ?, infection_id = ?, revision = ?,
-       updated_at = datetime('now'), updated_by = ?, source_device_id = ?
+       updated_at = datetime('now'), updated_by = ?, source_device_id = ?, hlc = ?
      WHERE key = ?`
   ).run(
     meta.deleted_by || null, meta.delete_reason || null,
     meta.infection_id || null, nextRev,
-    meta.deleted_by || null, meta.source_device_id || null,
+    meta.deleted_by || null, meta.source_device_id || null, stampOf(meta),
     key
   );
+  recordGlobalHistory(key, 'TOMBSTONE', null, meta.origin);
+  indexGlobalMemory(key);
   return nextRev;
 }
 
@@ -204,10 +471,12 @@ function restoreGlobalMemory(key, meta = {}) {
   getDB().prepare(
     `UPDATE global_memory SET
        deleted = 0, deleted_at = NULL, deleted_by = NULL,
-       delete_reason = NULL, infection_id = NULL, revision = ?,
-       updated_at = datetime('now'), updated_by = ?, source_device_id = ?
+       delete_reason = NULL, infection_id = NULL, expires_at = NULL, revision = ?,
+       updated_at = datetime('now'), updated_by = ?, source_device_id = ?, hlc = ?
      WHERE key = ?`
-  ).run(nextRev, meta.updated_by || null, meta.source_device_id || null, key);
+  ).run(nextRev, meta.updated_by || null, meta.source_device_id || null, stampOf(meta), key);
+  recordGlobalHistory(key, 'RESTORE', null, meta.origin);
+  indexGlobalMemory(key);
   return nextRev;
 }
 
@@ -244,20 +513,24 @@ function setProjectMemory(projectId, key, value, meta = {}) {
   const nextRev = existing ? (existing.revision || 0) + 1 : 1;
 
   getDB().prepare(
-    `INSERT INTO project_memory (project_id, key, value, revision, updated_at, updated_by, source_device_id, deleted)
-     VALUES (?, ?, ?, ?, datetime('now'), ?, ?, 0)
+    `INSERT INTO project_memory (project_id, key, value, revision, updated_at, updated_by, source_device_id, deleted, expires_at, hlc)
+     VALUES (?, ?, ?, ?, datetime('now'), ?, ?, 0, ?, ?)
      ON CONFLICT(project_id, key) DO UPDATE SET
        value = excluded.value,
        revision = ?,
        updated_at = datetime('now'),
        updated_by = excluded.updated_by,
        source_device_id = excluded.source_device_id,
+       expires_at = excluded.expires_at,
+       hlc = excluded.hlc,
        deleted = 0, deleted_at = NULL, deleted_by = NULL, delete_reason = NULL, infection_id = NULL`
   ).run(
     projectId, key, JSON.stringify(value), nextRev,
-    meta.updated_by || null, meta.source_device_id || null,
+    meta.updated_by || null, meta.source_device_id || null, meta.expires_at || null, stampOf(meta),
     nextRev
   );
+  recordProjectHistory(projectId, key, meta.reverted_from ? 'REVERT' : 'SET', meta.reverted_from, meta.origin);
+  indexProjectMemory(projectId, key);
   return nextRev;
 }
 
@@ -272,14 +545,16 @@ function tombstoneProjectMemory(projectId, key, meta = {}) {
     `UPDATE project_memory SET
        deleted = 1, deleted_at = datetime('now'), deleted_by = ?,
        delete_reason = ?, infection_id = ?, revision = ?,
-       updated_at = datetime('now'), updated_by = ?, source_device_id = ?
+       updated_at = datetime('now'), updated_by = ?, source_device_id = ?, hlc = ?
      WHERE project_id = ? AND key = ?`
   ).run(
     meta.deleted_by || null, meta.delete_reason || null,
     meta.infection_id || null, nextRev,
-    meta.deleted_by || null, meta.source_device_id || null,
+    meta.deleted_by || null, meta.source_device_id || null, stampOf(meta),
     projectId, key
   );
+  recordProjectHistory(projectId, key, 'TOMBSTONE', null, meta.origin);
+  indexProjectMemory(projectId, key);
   return nextRev;
 }
 
@@ -293,10 +568,12 @@ function restoreProjectMemory(projectId, key, meta = {}) {
   getDB().prepare(
     `UPDATE project_memory SET
        deleted = 0, deleted_at = NULL, deleted_by = NULL,
-       delete_reason = NULL, infection_id = NULL, revision = ?,
-       updated_at = datetime('now'), updated_by = ?, source_device_id = ?
+       delete_reason = NULL, infection_id = NULL, expires_at = NULL, revision = ?,
+       updated_at = datetime('now'), updated_by = ?, source_device_id = ?, hlc = ?
      WHERE project_id = ? AND key = ?`
-  ).run(nextRev, meta.updated_by || null, meta.source_device_id || null, projectId, key);
+  ).run(nextRev, meta.updated_by || null, meta.source_device_id || null, stampOf(meta), projectId, key);
+  recordProjectHistory(projectId, key, 'RESTORE', null, meta.origin);
+  indexProjectMemory(projectId, key);
   return nextRev;
 }
 
@@ -308,47 +585,805 @@ function getAllProjectMemory(projectId, includeDeleted = false) {
   return rows.map(r => ({ ...r, value: JSON.parse(r.value) }));
 }
 
+// ── Expiry ─────────────────────────────────────────────
+
+/** Live (non-tombstoned) entries whose expires_at is at or before `nowIso` */
+function getExpiredMemory(nowIso, limit = 200) {
+  return getDB().prepare(
+    `SELECT 'global' AS scope, NULL AS project_id, key, expires_at FROM global_memory
+       WHERE deleted = 0 AND expires_at IS NOT NULL AND expires_at <= ?
+     UNION ALL
+     SELECT 'project' AS scope, project_id, key, expires_at FROM project_memory
+       WHERE deleted = 0 AND expires_at IS NOT NULL AND expires_at <= ?
+     ORDER BY expires_at ASC
+     LIMIT ?`
+  ).all(nowIso, nowIso, limit);
+}
+
+// ── Export ─────────────────────────────────────────────
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Lazily walk raw memory rows for export (global first, then projects), a
+ * page of EXPORT_PAGE_SIZE rows per query, so it can be consumed across
+ * event-loop turns (each page is read in full and frees the connection).
+ * Rows written meanwhile may or may not show up; no row appears twice.
+ * @param {object} opts  { scope: 'global'|'project', projectId, includeDeleted }
+ */
+function* iterateMemoryRows(opts = {}) {
+  const deletedClause = opts.includeDeleted ? '' : ' AND deleted = 0';
+  if (!opts.scope || opts.scope === 'global') {
+    const page = getDB().prepare(
+      `SELECT 'global' AS scope, NULL AS project_id, * FROM global_memory
+       WHERE key > ?${deletedClause} ORDER BY key LIMIT ${EXPORT_PAGE_SIZE}`
+    );
+    let rows = page.all('');
+    while (rows.length > 0) {
+      yield* rows;
+      rows = rows.length < EXPORT_PAGE_SIZE ? [] : page.all(rows[rows.length - 1].key);
+    }
+  }
+  if (!opts.scope || opts.scope === 'project') {
+    const projectClause = opts.projectId ? ' AND project_id = ?' : '';
+    const params = opts.projectId ? [opts.projectId] : [];
+    const page = getDB().prepare(
+      `SELECT 'project' AS scope, * FROM project_memory
+       WHERE (project_id, key) > (?, ?)${deletedClause}${projectClause}
+       ORDER BY project_id, key LIMIT ${EXPORT_PAGE_SIZE}`
+    );
+    let rows = page.all('', '', ...params);
+    while (rows.length > 0) {
+      yield* rows;
+      const last = rows[rows.length - 1];
+      rows = rows.length < EXPORT_PAGE_SIZE ? [] : page.all(last.project_id, last.key, ...params);
+    }
+  }
+}
+
+// ── Quarantine / infection helpers ─────────────────────
+
+/** ISO timestamp → SQLite datetime() text so it compares with updated_at */
+function toSqliteTime(iso) {
+  return new Date(iso).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Live entries matching every given filter.
+ * @param {object} filter  { scope: 'global'|'project', projectId, keyPrefix, tag,
+ *                           sourceDeviceId, since, until }  (since/until are ISO)
+ */
+function findMemoryEntries(filter = {}) {
+  const clauses = ['deleted = 0'];
+  const params = [];
+
+  if (filter.keyPrefix) {
+    clauses.push("key LIKE ? ESCAPE '\\'");
+    params.push(`${filter.keyPrefix.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (filter.tag) {
+    clauses.push("EXISTS (SELECT 1 FROM json_each(m.value, '$.tags') t WHERE lower(trim(t.value)) = ?)");
+    params.push(String(filter.tag).trim().toLowerCase());
+  }
+  if (filter.sourceDeviceId) {
+    clauses.push('source_device_id = ?');
+    params.push(filter.sourceDeviceId);
+  }
+  if (filter.since) {
+    clauses.push('updated_at >= ?');
+    params.push(toSqliteTime(filter.since));
+  }
+  if (filter.until) {
+    clauses.push('updated_at <= ?');
+    params.push(toSqliteTime(filter.until));
+  }
+
+  const where = clauses.join(' AND ');
+  const rows = [];
+  if (!filter.scope || filter.scope === 'global') {
+    rows.push(...getDB().prepare(
+      `SELECT 'global' AS scope, NULL AS project_id, key, revision, updated_at, source_device_id
+       FROM global_memory m WHERE ${where}`
+    ).all(...params));
+  }
+  if (!filter.scope || filter.scope === 'project') {
+    const projectClause = filter.projectId ? ' AND project_id = ?' : '';
+    const projectParams = filter.projectId ? [...params, filter.projectId] : params;
+    rows.push(...getDB().prepare(
+      `SELECT 'project' AS scope, project_id, key, revision, updated_at, source_device_id
+       FROM project_memory m WHERE ${where}${projectClause}`
+    ).all(...projectParams));
+  }
+  return rows;
+}
+
+/** Tombstoned entries carrying this infection_id */
+function findByInfectionId(infectionId) {
+  return getDB().prepare(
+    `SELECT 'global' AS scope, NULL AS project_id, key, revision, deleted_at FROM global_memory
+       WHERE deleted = 1 AND infection_id = ?
+     UNION ALL
+     SELECT 'project' AS scope, project_id, key, revision, deleted_at FROM project_memory
+       WHERE deleted = 1 AND infection_id = ?`
+  ).all(infectionId, infectionId);
+}
+
+// ── Revision history ───────────────────────────────────
+
+/**
+ * Copy the current global_memory row into memory_history.
+ * History ids double as the change-feed sequence; origin is 'local' or 'sync'.
+ */
+function recordGlobalHistory(key, operation, revertedFrom = null, origin = 'local') {
+  getDB().prepare(
+    `INSERT INTO memory_history (scope, project_id, key, revision, operation, value,
+       updated_at, updated_by, source_device_id, deleted, delete_reason, infection_id, expires_at, reverted_from, hlc,
+       origin)
+     SELECT 'global', NULL, key, revision, ?, value,
+       updated_at, updated_by, source_device_id, deleted, delete_reason, infection_id, expires_at, ?, hlc, ?
+     FROM global_memory WHERE key = ?`
+  ).run(operation, revertedFrom, origin || 'local', key);
+}
+
+/** Copy the current project_memory row into memory_history (see recordGlobalHistory) */
+function recordProjectHistory(projectId, key, operation, revertedFrom = null, origin = 'local') {
+  getDB().prepare(
+    `INSERT INTO memory_history (scope, project_id, key, revision, operation, value,
+       updated_at, updated_by, source_device_id, deleted, delete_reason, infection_id, expires_at, reverted_from, hlc,
+       origin)
+     SELECT 'project', project_id, key, revision, ?, value,
+       updated_at, updated_by, source_device_id, deleted, delete_reason, infection_id, expires_at, ?, hlc, ?
+     FROM project_memory WHERE project_id = ? AND key = ?`
+  ).run(operation, revertedFrom, origin || 'local', projectId, key);
+}
+
+function parseHistoryRow(row) {
+  return { ...row, value: row.value === null ? null : JSON.parse(row.value), deleted: !!row.deleted };
+}
+
+/** Revision history for a global key, newest first */
+function getGlobalMemoryHistory(key, limit = 50) {
+  const rows = getDB().prepare(
+    `SELECT * FROM memory_history WHERE scope = 'global' AND key = ?
+     ORDER BY revision DESC, id DESC LIMIT ?`
+  ).all(key, limit);
+  return rows.map(parseHistoryRow);
+}
+
+/** Revision history for a project key, newest first */
+function getProjectMemoryHistory(projectId, key, limit = 50) {
+  const rows = getDB().prepare(
+    `SELECT * FROM memory_history WHERE scope = 'project' AND project_id = ? AND key = ?
+     ORDER BY revision DESC, id DESC LIMIT ?`
+  ).all(projectId, key, limit);
+  return rows.map(parseHistoryRow);
+}
+
+/** The history entry written with a given HLC stamp (a three-way merge base) */
+function getHistoryByHlc(scope, projectId, key, hlc) {
+  const row = getDB().prepare(
+    `SELECT * FROM memory_history WHERE scope = ? AND project_id IS ? AND key = ? AND hlc = ?
+     ORDER BY id DESC LIMIT 1`
+  ).get(scope, scope === 'global' ? null : projectId, key, hlc);
+  return row ? parseHistoryRow(row) : null;
+}
+
+/** One historical revision of a global key (latest snapshot if recorded twice) */
+function getGlobalMemoryRevision(key, revision) {
+  const row = getDB().prepare(
+    `SELECT * FROM memory_history WHERE scope = 'global' AND key = ? AND revision = ?
+     ORDER BY id DESC LIMIT 1`
+  ).get(key, revision);
+  return row ? parseHistoryRow(row) : null;
+}
+
+/** One historical revision of a project key */
+function getProjectMemoryRevision(projectId, key, revision) {
+  const row = getDB().prepare(
+    `SELECT * FROM memory_history WHERE scope = 'project' AND project_id = ? AND key = ? AND revision = ?
+     ORDER BY id DESC LIMIT 1`
+  ).get(projectId, key, revision);
+  return row ? parseHistoryRow(row) : null;
+}
+
+// ── Change feed ────────────────────────────────────────
+
+/**
+ * History entries after a sequence id, oldest first (no values — the feed
+ * announces changes, clients refetch what they show).
+ * @param {object} filter  { scope: 'global'|'project', projectId, limit }
+ */
+function getMemoryChangesSince(afterSeq, { scope, projectId, limit = 500 } = {}) {
+  const where = ['id > ?'];
+  const params = [afterSeq];
+  if (scope) { where.push('scope = ?'); params.push(scope); }
+  if (projectId) { where.push('project_id = ?'); params.push(projectId); }
+  params.push(limit);
+  return getDB().prepare(
+    `SELECT id AS seq, scope, project_id, key, revision, operation, origin, deleted,
+       hlc, source_device_id, updated_at
+     FROM memory_history WHERE ${where.join(' AND ')} ORDER BY id ASC LIMIT ?`
+  ).all(...params).map((row) => ({ ...row, deleted: !!row.deleted }));
+}
+
+function getLatestChangeSeq() {
+  return getDB().prepare('SELECT COALESCE(MAX(id), 0) FROM memory_history').pluck().get();
+}
+
+// ── Full-text search (FTS5) ────────────────────────────
+
+/** Flatten a memory value into plain text; `tags` are indexed separately */
+function searchableText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  const parts = [];
+  for (const [field, inner] of Object.entries(value)) {
+    if (field === 'tags') continue;
+    parts.push(searchableText(inner));
+  }
+  return parts.filter(Boolean).join(' ');
+}
+
+function searchableTags(value) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.tags)) return '';
+  return value.tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean).join(' ');
+}
+
+function writeSearchDoc(scope, projectId, key, row) {
+  const db = getDB();
+  db.prepare(
+    `INSERT INTO memory_search_docs (scope, project_id, key, deleted) VALUES (?, ?, ?, ?)
+     ON CONFLICT(scope, project_id, key) DO UPDATE SET deleted = excluded.deleted`
+  ).run(scope, projectId, key, row.deleted ? 1 : 0);
+  const { id } = db.prepare(
+    'SELECT id FROM memory_search_docs WHERE scope = ? AND project_id = ? AND key = ?'
+  ).get(scope, projectId, key);
+
+  const value = JSON.parse(row.value);
+  db.prepare('DELETE FROM memory_fts WHERE rowid = ?').run(id);
+  db.prepare('INSERT INTO memory_fts (rowid, key, body, tags) VALUES (?, ?, ?, ?)')
+    .run(id, key, searchableText(value), searchableTags(value));
+}
+
+function indexGlobalMemory(key) {
+  const row = getDB().prepare('SELECT value, deleted FROM global_memory WHERE key = ?').get(key);
+  if (row) writeSearchDoc('global', '', key, row);
+}
+
+function indexProjectMemory(projectId, key) {
+  const row = getDB().prepare(
+    'SELECT value, deleted FROM project_memory WHERE project_id = ? AND key = ?'
+  ).get(projectId, key);
+  if (row) writeSearchDoc('project', projectId, key, row);
+}
+
+/** Rebuild the whole index from global_memory + project_memory */
+function rebuildSearchIndex() {
+  const db = getDB();
+  db.transaction(() => {
+    db.exec('DELETE FROM memory_fts; DELETE FROM memory_search_docs;');
+    for (const row of db.prepare('SELECT key, value, deleted FROM global_memory').all()) {
+      writeSearchDoc('global', '', row.key, row);
+    }
+    for (const row of db.prepare('SELECT project_id, key, value, deleted FROM project_memory').all()) {
+      writeSearchDoc('project', row.project_id, row.key, row);
+    }
+  })();
+}
+
+/** Backfill the index for databases created before FTS existed (or after a crash mid-write) */
+function ensureSearchIndex() {
+  const db = getDB();
+  const docs = db.prepare('SELECT COUNT(*) AS n FROM memory_search_docs').get().n;
+  const rows = db.prepare('SELECT COUNT(*) AS n FROM global_memory').get().n
+    + db.prepare('SELECT COUNT(*) AS n FROM project_memory').get().n;
+  if (docs !== rows) rebuildSearchIndex();
+}
+
+function quoteFtsTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Turn user input into a safe FTS5 MATCH expression.
+ * Supports "quoted phrases" and trailing-* prefix terms; everything else is
+ * quoted so punctuation never reaches the FTS parser. Terms are ANDed.
+ */
+function buildFtsQuery(raw) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(raw || ''))) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) terms.push(quoteFtsTerm(match[1].trim()));
+      continue;
+    }
+    const word = match[2];
+    const prefix = word.length > 1 && word.endsWith('*');
+    const bare = prefix ? word.slice(0, -1) : word;
+    if (bare.replace(/\*/g, '')) terms.push(`${quoteFtsTerm(bare)}${prefix ? '*' : ''}`);
+  }
+  return terms.join(' ');
+}
+
+/**
+ * BM25-ranked search over memory.
+ * @param {string} query  user query (phrases / prefix* supported)
+ * @param {object} opts   { scope: 'global'|'project', projectId, tag, includeDeleted, limit }
+ * @returns {Array|null}  null when the query has no searchable terms
+ */
+function searchMemory(query, opts = {}) {
+  const terms = buildFtsQuery(query);
+  if (!terms) return null;
+
+  const clauses = ['memory_fts MATCH ?'];
+  const params = [opts.tag ? `(${terms}) AND tags : ${quoteFtsTerm(String(opts.tag).trim().toLowerCase())}` : terms];
+
+  if (opts.scope) {
+    clauses.push('d.scope = ?');
+    params.push(opts.scope);
+  }
+  if (opts.projectId) {
+    clauses.push('d.project_id = ?');
+    params.push(opts.projectId);
+  }
+  if (!opts.includeDeleted) clauses.push('d.deleted = 0');
+  params.push(opts.limit || 50);
+
+  const rows = getDB().prepare(
+    `SELECT d.scope, d.project_id, d.key, d.deleted,
+       bm25(memory_fts, 5.0, 1.0, 2.0) AS rank,
+       snippet(memory_fts, 1, '**', '**', '…', 12) AS snippet,
+       COALESCE(g.value, p.value) AS value,
+       COALESCE(g.revision, p.revision) AS revision,
+       COALESCE(g.updated_at, p.updated_at) AS updated_at
+     FROM memory_fts
+     JOIN memory_search_docs d ON d.id = memory_fts.rowid
+     LEFT JOIN global_memory g ON d.scope = 'global' AND g.key = d.key
+     LEFT JOIN project_memory p ON d.scope = 'project' AND p.project_id = d.project_id AND p.key = d.key
+     WHERE ${clauses.join(' AND ')}
+     ORDER BY rank
+     LIMIT ?`
+  ).all(...params);
+
+  return rows.map((row) => ({
+    scope: row.scope,
+    projectId: row.scope === 'project' ? row.project_id : null,
+    key: row.key,
+    value: row.value === null ? null : JSON.parse(row.value),
+    revision: row.revision,
+    updated_at: row.updated_at,
+    deleted: !!row.deleted,
+    score: -row.rank,
+    snippet: row.snippet,
+  }));
+}
+
+// ── Embeddings (semantic search) ──────────────────────
+
+const EMBEDDING_SOURCE_SQL = `
+  SELECT 'global' AS scope, '' AS project_id, key, value, revision, updated_at, deleted FROM global_memory
+  UNION ALL
+  SELECT 'project' AS scope, project_id, key, value, revision, updated_at, deleted FROM project_memory`;
+
+/** Text fed to the embedding provider for one memory row */
+function embeddingText(key, value) {
+  return [key, searchableText(value), searchableTags(value)].filter(Boolean).join(' ');
+}
+
+/** Memory rows with no vector for this provider, or a vector from an older revision */
+function getStaleEmbeddingRows(provider, limit = 100) {
+  const rows = getDB().prepare(
+    `SELECT m.scope, m.project_id, m.key, m.value, m.revision
+     FROM (${EMBEDDING_SOURCE_SQL}) m
+     LEFT JOIN memory_embeddings e
+       ON e.scope = m.scope AND e.project_id = m.project_id AND e.key = m.key AND e.provider = ?
+     WHERE e.revision IS NULL OR e.revision != m.revision
+     LIMIT ?`
+  ).all(provider, limit);
+  return rows.map((row) => ({ ...row, text: embeddingText(row.key, JSON.parse(row.value)) }));
+}
+
+function upsertEmbedding(scope, projectId, key, provider, revision, vector) {
+  const floats = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+  getDB().prepare(
+    `INSERT INTO memory_embeddings (scope, project_id, key, provider, revision, dimensions, vector, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+     ON CONFLICT(scope, project_id, key, provider) DO UPDATE SET
+       revision = excluded.revision, dimensions = excluded.dimensions,
+       vector = excluded.vector, updated_at = excluded.updated_at`
+  ).run(scope, projectId || '', key, provider, revision, floats.length,
+    Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength));
+}
+
+/**
+ * All stored vectors for a provider joined with their memory rows.
+ * @param {object} opts  { scope: 'global'|'project', projectId, includeDeleted }
+ */
+function getEmbeddedMemories(provider, opts = {}) {
+  const clauses = ['e.provider = ?'];
+  const params = [provider];
+  if (opts.scope) {
+    clauses.push('m.scope = ?');
+    params.push(opts.scope);
+  }
+  if (opts.projectId) {
+    clauses.push('m.project_id = ?');
+    params.push(opts.projectId);
+  }
+  if (!opts.includeDeleted) clauses.push('m.deleted = 0');
+
+  const rows = getDB().prepare(
+    `SELECT m.scope, m.project_id, m.key, m.value, m.revision, m.updated_at, m.deleted, e.vector
+     FROM memory_embeddings e
+     JOIN (${EMBEDDING_SOURCE_SQL}) m
+       ON e.scope = m.scope AND e.project_id = m.project_id AND e.key = m.key
+     WHERE ${clauses.join(' AND ')}`
+  ).all(...params);
+
+  return rows.map((row) => ({
+    scope: row.scope,
+    projectId: row.scope === 'project' ? row.project_id : null,
+    key: row.key,
+    value: JSON.parse(row.value),
+    revision: row.revision,
+    updated_at: row.updated_at,
+    deleted: !!row.deleted,
+    vector: new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4),
+  }));
+}
+
 // ── Sync queue helpers ─────────────────────────────────
 
+/**
+ * One payload standing for two queued writes of a doc. Pushes are merge
+ * writes and tombstone / restore payloads carry no `value`, so the newer
+ * payload is laid over the older one: the result writes what pushing both
+ * in order would. base_hlc stays the one the *first* pending write replaced,
+ * i.e. the last version the remote side may have seen.
+ */
+function coalescedPayload(older, payload) {
+  if (!payload || !older) return payload;
+  const merged = { ...older, ...payload };
+  if ('base_hlc' in older) merged.base_hlc = older.base_hlc;
+  return merged;
+}
+
+/**
+ * Queue a write for push. A pending (not dead-lettered) item for the same
+ * doc takes the new write in place (coalescedPayload), so a key written 50
+ * times offline still costs one Firestore write; its backoff starts over.
+ */
 function enqueueSync(collection, docPath, operation, payload) {
-  getDB().prepare(
-    'INSERT INTO sync_queue (collection, doc_path, operation, payload) VALUES (?, ?, ?, ?)'
-  ).run(collection, docPath, operation, payload ? JSON.stringify(payload) : null);
+  const db = getDB();
+  db.transaction(() => {
+    const pending = db.prepare(
+      `SELECT id, payload FROM sync_queue
+       WHERE collection = ? AND doc_path = ? AND synced = 0 AND dead_letter = 0
+       ORDER BY id DESC LIMIT 1`
+    ).get(collection, docPath);
+    if (!pending) {
+      db.prepare(
+        'INSERT INTO sync_queue (collection, doc_path, operation, payload) VALUES (?, ?, ?, ?)'
+      ).run(collection, docPath, operation, payload ? JSON.stringify(payload) : null);
+      return;
+    }
+    const merged = coalescedPayload(pending.payload ? JSON.parse(pending.payload) : null, payload);
+    db.prepare(
+      `UPDATE sync_queue SET operation = ?, payload = ?, coalesced = coalesced + 1, retry_count = 0,
+         next_attempt_at = NULL, last_error = NULL, error_kind = NULL
+       WHERE id = ?`
+    ).run(operation, merged ? JSON.stringify(merged) : null, pending.id);
+  })();
+}
+
+/**
+ * Collapse pending items queued before enqueueSync coalesced (one per doc
+ * is left, holding the latest state); returns how many were folded in
+ */
+function coalesceSyncQueue() {
+  const db = getDB();
+  const docs = db.prepare(
+    `SELECT collection, doc_path FROM sync_queue WHERE synced = 0 AND dead_letter = 0
+     GROUP BY collection, doc_path HAVING COUNT(*) > 1`
+  ).all();
+  if (docs.length === 0) return 0;
+
+  const itemsOf = db.prepare(
+    `SELECT id, payload FROM sync_queue
+     WHERE collection = ? AND doc_path = ? AND synced = 0 AND dead_letter = 0 ORDER BY id ASC`
+  );
+  const fold = db.prepare("UPDATE sync_queue SET synced = 1, last_error = ? WHERE id = ?");
+  const keep = db.prepare('UPDATE sync_queue SET payload = ?, coalesced = coalesced + ? WHERE id = ?');
+  let folded = 0;
+  db.transaction(() => {
+    for (const { collection, doc_path: docPath } of docs) {
+      const items = itemsOf.all(collection, docPath);
+      const latest = items[items.length - 1];
+      const payload = items.reduce(
+        (folded, item) => coalescedPayload(folded, item.payload ? JSON.parse(item.payload) : null),
+        null
+      );
+      for (const item of items.slice(0, -1)) fold.run(`Coalesced into #${latest.id}`, item.id);
+      keep.run(payload ? JSON.stringify(payload) : null, items.length - 1, latest.id);
+      folded += items.length - 1;
+    }
+  })();
+  return folded;
 }
 
 function getPendingSyncItems() {
   return getDB().prepare(
-    'SELECT * FROM sync_queue WHERE synced = 0 AND dead_letter = 0 ORDER BY created_at ASC'
+    'SELECT * FROM sync_queue WHERE synced = 0 AND dead_letter = 0 ORDER BY created_at ASC, id ASC'
   ).all();
 }
 
-function markSynced(id) {
-  getDB().prepare('UPDATE sync_queue SET synced = 1 WHERE id = ?').run(id);
+/** Pending items whose backoff has elapsed (next_attempt_at is an ISO string) */
+function getDueSyncItems(nowIso = new Date().toISOString()) {
+  return getDB().prepare(
+    `SELECT * FROM sync_queue
+     WHERE synced = 0 AND dead_letter = 0 AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+     ORDER BY created_at ASC, id ASC`
+  ).all(nowIso);
+}
+
+/**
+ * Mark an item pushed. Pass the `coalesced` count it was read with: if a
+ * newer write was coalesced into it meanwhile, it stays pending (returns false).
+ */
+function markSynced(id, coalesced) {
+  return getDB().prepare(
+    'UPDATE sync_queue SET synced = 1, next_attempt_at = NULL WHERE id = ? AND (? IS NULL OR coalesced = ?)'
+  ).run(id, coalesced ?? null, coalesced ?? null).changes > 0;
 }
 
-function markSyncFailed(id, error) {
+/**
+ * Record a failed push: retried at nextAttemptAt, or parked as a dead letter
+ * when deadReason is given. kind is 'transient' | 'permanent'.
+ */
+function markSyncFailed(id, error, { kind = 'transient', nextAttemptAt = null, deadReason = null } = {}) {
   getDB().prepare(
-    `UPDATE sync_queue SET retry_count = retry_count + 1, last_error = ?,
-     dead_letter = CASE WHEN retry_count >= 4 THEN 1 ELSE 0 END WHERE id = ?`
-  ).run(error, id);
+    `UPDATE sync_queue SET retry_count = retry_count + 1, last_error = ?, error_kind = ?,
+       next_attempt_at = ?, dead_letter = ?, dead_reason = ?
+     WHERE id = ?`
+  ).run(error, kind, deadReason ? null : nextAttemptAt, deadReason ? 1 : 0, deadReason, id);
+}
+
+/** True when a local write for this doc has not reached Firestore yet */
+function hasPendingSync(collection, docPath) {
+  return !!getDB().prepare(
+    'SELECT 1 FROM sync_queue WHERE collection = ? AND doc_path = ? AND synced = 0 LIMIT 1'
+  ).get(collection, docPath);
+}
+
+/**
+ * Drop unsynced writes for a doc that lost to (or were merged into) a newer
+ * write, optionally keeping one item; returns how many were dropped
+ */
+function supersedePendingSync(collection, docPath, reason, exceptId = null) {
+  return getDB().prepare(
+    `UPDATE sync_queue SET synced = 1, last_error = ?
+     WHERE collection = ? AND doc_path = ? AND synced = 0 AND id IS NOT ?`
+  ).run(reason, collection, docPath, exceptId).changes;
+}
+
+function replaceSyncPayload(id, operation, payload) {
+  getDB().prepare('UPDATE sync_queue SET operation = ?, payload = ? WHERE id = ?')
+    .run(operation, JSON.stringify(payload), id);
 }
 
 function getDeadLetterItems() {
-  return getDB().prepare('SELECT * FROM sync_queue WHERE dead_letter = 1').all();
+  return getDB().prepare('SELECT * FROM sync_queue WHERE dead_letter = 1 AND synced = 0 ORDER BY id ASC').all();
+}
+
+function getSyncItem(id) {
+  return getDB().prepare('SELECT * FROM sync_queue WHERE id = ?').get(id) || null;
+}
+
+/** Put a dead letter back in the queue (optionally with a corrected payload); false if not a dead letter */
+function requeueDeadLetter(id, payload) {
+  const info = getDB().prepare(
+    `UPDATE sync_queue SET payload = COALESCE(?, payload), dead_letter = 0, retry_count = 0,
+       next_attempt_at = NULL, last_error = NULL, error_kind = NULL, dead_reason = NULL
+     WHERE id = ? AND dead_letter = 1 AND synced = 0`
+  ).run(payload === undefined ? null : JSON.stringify(payload), id);
+  return info.changes > 0;
+}
+
+/** Drop a dead letter for good; false if not a dead letter */
+function discardDeadLetter(id) {
+  return getDB().prepare('DELETE FROM sync_queue WHERE id = ? AND dead_letter = 1 AND synced = 0').run(id).changes > 0;
+}
+
+// ── Sync conflicts ────────────────────────────────────
+
+/**
+ * Record a concurrent edit. `local` / `remote` are
+ * { value, deleted, hlc, device_id }; `winner` is 'local' | 'remote';
+ * `mergeFields` lists fields a three-way merge found changed on both sides.
+ */
+function recordSyncConflict({
+  collection, docPath, scope, projectId, key, local, remote, winner, detectedBy, mergeFields,
+}) {
+  const info = getDB().prepare(
+    `INSERT INTO sync_conflicts (collection, doc_path, scope, project_id, key,
+       local_value, remote_value, local_deleted, remote_deleted,
+       local_hlc, remote_hlc, local_device_id, remote_device_id, winner, detected_by, merge_fields)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    collection, docPath, scope, projectId || null, key,
+    local.value === undefined ? null : JSON.stringify(local.value),
+    remote.value === undefined ? null : JSON.stringify(remote.value),
+    local.deleted ? 1 : 0, remote.deleted ? 1 : 0,
+    local.hlc || null, remote.hlc || null, local.device_id || null, remote.device_id || null,
+    winner, detectedBy, mergeFields && mergeFields.length > 0 ? JSON.stringify(mergeFields) : null
+  );
+  return info.lastInsertRowid;
+}
+
+function parseConflictRow(row) {
+  if (!row) return null;
+  const parse = (text) => (text === null ? null : JSON.parse(text));
+  return {
+    ...row,
+    local_value: parse(row.local_value),
+    remote_value: parse(row.remote_value),
+    resolved_value: parse(row.resolved_value),
+    merge_fields: parse(row.merge_fields),
+    local_deleted: !!row.local_deleted,
+    remote_deleted: !!row.remote_deleted,
+  };
+}
+
+/** Newest first; status 'open' | 'resolved' | undefined (all) */
+function getSyncConflicts({ status, limit = 100 } = {}) {
+  const where = status ? 'WHERE status = ?' : '';
+  const params = status ? [status, limit] : [limit];
+  return getDB().prepare(
+    `SELECT * FROM sync_conflicts ${where} ORDER BY detected_at DESC, id DESC LIMIT ?`
+  ).all(...params).map(parseConflictRow);
+}
+
+function getSyncConflict(id) {
+  return parseConflictRow(getDB().prepare('SELECT * FROM sync_conflicts WHERE id = ?').get(id));
+}
+
+/** Close an open conflict; returns false if it was already resolved */
+function markSyncConflictResolved(id, { resolution, value, resolvedBy }) {
+  const info = getDB().prepare(
+    `UPDATE sync_conflicts SET status = 'resolved', resolution = ?, resolved_value = ?,
+       resolved_by = ?, resolved_at = datetime('now')
+     WHERE id = ? AND status = 'open'`
+  ).run(resolution, value === undefined ? null : JSON.stringify(value), resolvedBy || null, id);
+  return info.changes > 0;
 }
 
 // ── Device helpers ────────────────────────────────────
 
+/**
+ * Register a device or record its heartbeat: marks it online and refreshes
+ * whichever of name / hostname / platform / agent version / IP / kind are
+ * given. The sync cursor (last_sync) is left alone.
+ */
 function upsertDevice(deviceId, meta = {}) {
+  const now = new Date().toISOString();
   getDB().prepare(
-    `INSERT INTO devices (device_id, device_name, last_sync, status, platform)
-     VALUES (?, ?, datetime('now'), 'online', ?)
+    `INSERT INTO devices (device_id, device_name, hostname, platform, agent_version, ip, kind,
+       status, registered_at, last_heartbeat_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'online', ?, ?)
      ON CONFLICT(device_id) DO UPDATE SET
        device_name = COALESCE(excluded.device_name, devices.device_name),
-       last_sync = datetime('now'),
+       hostname = COALESCE(excluded.hostname, devices.hostname),
+       platform = COALESCE(excluded.platform, devices.platform),
+       agent_version = COALESCE(excluded.agent_version, devices.agent_version),
+       ip = COALESCE(excluded.ip, devices.ip),
+       kind = COALESCE(excluded.kind, devices.kind),
        status = 'online',
-       platform = COALESCE(excluded.platform, devices.platform)`
-  ).run(deviceId, meta.device_name || null, meta.platform || null);
+       registered_at = COALESCE(devices.registered_at, excluded.registered_at),
+       last_heartbeat_at = excluded.last_heartbeat_at`
+  ).run(
+    deviceId, meta.device_name || null, meta.hostname || null, meta.platform || null,
+    meta.agent_version || null, meta.ip || null, meta.kind || null, now, now,
+  );
+}
+
+function getDevice(deviceId) {
+  return getDB().prepare('SELECT * FROM devices WHERE device_id = ?').get(deviceId) || null;
+}
+
+/** Online devices whose last heartbeat is before `cutoff` (ISO) go offline; returns their ids */
+function markStaleDevicesOffline(cutoff) {
+  const db = getDB();
+  return db.transaction(() => {
+    const stale = db.prepare(
+      `SELECT device_id FROM devices
+       WHERE status = 'online' AND (last_heartbeat_at IS NULL OR last_heartbeat_at < ?)`
+    ).all(cutoff).map((row) => row.device_id);
+    const mark = db.prepare(`UPDATE devices SET status = 'offline' WHERE device_id = ?`);
+    for (const deviceId of stale) mark.run(deviceId);
+    return stale;
+  })();
+}
+
+/** Revoke (revoked = true) or reinstate a device; registers it if unknown */
+function setDeviceRevoked(deviceId, revoked, { by = null, reason = null } = {}) {
+  const db = getDB();
+  db.transaction(() => {
+    ensureDevice(deviceId);
+    db.prepare(
+      `UPDATE devices SET revoked = ?, revoked_by = ?, revoke_reason = ?, revocation_updated_at = ?,
+         revoked_lan_key_id = NULL
+       WHERE device_id = ?`
+    ).run(revoked ? 1 : 0, by, revoked ? reason : null, new Date().toISOString(), deviceId);
+  })();
+  return getDevice(deviceId);
+}
+
+/** { revoked_at } when the device is revoked, else null */
+function getDeviceRevocation(deviceId) {
+  if (!deviceId) return null;
+  const row = getDB().prepare(
+    'SELECT revocation_updated_at FROM devices WHERE device_id = ? AND revoked = 1'
+  ).get(deviceId);
+  return row ? { revoked_at: row.revocation_updated_at } : null;
+}
+
+/** Whether any device is revoked (writes must then carry a device token) */
+function hasRevokedDevices() {
+  return !!getDB().prepare('SELECT 1 FROM devices WHERE revoked = 1 LIMIT 1').get();
+}
+
+/** Store the hash of a device's token (issued at registration) */
+function setDeviceTokenHash(deviceId, tokenHash) {
+  getDB().prepare('UPDATE devices SET token_hash = ? WHERE device_id = ?').run(tokenHash, deviceId);
+}
+
+/**
+ * Whether a revoked device may hold the LAN key `lanKeyId`. A revocation not
+ * yet bound to a key is bound to this one: the key in force when this
+ * device first sees the revocation.
+ */
+function isLanKeyRevoked(lanKeyId) {
+  const db = getDB();
+  return db.transaction(() => {
+    db.prepare(
+      'UPDATE devices SET revoked_lan_key_id = ? WHERE revoked = 1 AND revoked_lan_key_id IS NULL'
+    ).run(lanKeyId);
+    return !!db.prepare(
+      'SELECT 1 FROM devices WHERE revoked = 1 AND revoked_lan_key_id = ? LIMIT 1'
+    ).get(lanKeyId);
+  })();
+}
+
+/**
+ * Merge a device doc from Firestore (devices/{id}) into the local registry.
+ * Device info follows the newer heartbeat, revocation the newer change.
+ */
+function mergeRemoteDevice(deviceId, data) {
+  const db = getDB();
+  db.transaction(() => {
+    ensureDevice(deviceId);
+    const local = getDevice(deviceId);
+    if (data.last_heartbeat_at && data.last_heartbeat_at > (local.last_heartbeat_at || '')) {
+      db.prepare(
+        `UPDATE devices SET device_name = COALESCE(?, device_name), hostname = ?, platform = ?,
+           agent_version = ?, ip = ?, kind = ?, status = ?, last_heartbeat_at = ?,
+           registered_at = COALESCE(registered_at, ?)
+         WHERE device_id = ?`
+      ).run(
+        data.device_name || null, data.hostname || null, data.platform || null, data.agent_version || null,
+        data.ip || null, data.kind || null, data.status || 'online', data.last_heartbeat_at,
+        data.registered_at || data.last_heartbeat_at, deviceId,
+      );
+    }
+    if (data.revocation_updated_at && data.revocation_updated_at > (local.revocation_updated_at || '')) {
+      db.prepare(
+        `UPDATE devices SET revoked = ?, revoked_by = ?, revoke_reason = ?, revocation_updated_at = ?,
+           revoked_lan_key_id = NULL
+         WHERE device_id = ?`
+      ).run(data.revoked ? 1 : 0, data.revoked_by || null, data.revoke_reason || null, data.revocation_updated_at, deviceId);
+    }
+  })();
 }
 
 function getDeviceLastSync(deviceId) {
@@ -363,7 +1398,199 @@ function updateDeviceLastSync(deviceId) {
 }
 
 function getAllDevices() {
-  return getDB().prepare('SELECT * FROM devices ORDER BY last_sync DESC').all();
+  return getDB().prepare('SELECT * FROM devices ORDER BY last_heartbeat_at DESC, device_id').all();
+}
+
+/** Register a device without touching its cursor (no-op if it exists) */
+function ensureDevice(deviceId) {
+  getDB().prepare('INSERT OR IGNORE INTO devices (device_id) VALUES (?)').run(deviceId);
+}
+
+function parseSyncProfile(row) {
+  return {
+    device_id: row.device_id,
+    projects: row.sync_projects ? JSON.parse(row.sync_projects) : null,
+    global: row.sync_global !== 0,
+    tombstone_max_age_days: row.sync_tombstone_max_age_days ?? null,
+  };
+}
+
+/** { device_id, projects (null = all), global, tombstone_max_age_days } or null if unregistered */
+function getDeviceSyncProfile(deviceId) {
+  const row = getDB().prepare(
+    'SELECT device_id, sync_projects, sync_global, sync_tombstone_max_age_days FROM devices WHERE device_id = ?'
+  ).get(deviceId);
+  return row ? parseSyncProfile(row) : null;
+}
+
+function getAllDeviceSyncProfiles() {
+  return getDB().prepare(
+    'SELECT device_id, sync_projects, sync_global, sync_tombstone_max_age_days FROM devices ORDER BY device_id'
+  ).all().map(parseSyncProfile);
+}
+
+/**
+ * Store a device's sync profile (registering the device if needed).
+ * resetCursor clears last_sync so the next pull fetches newly included scopes in full.
+ */
+function setDeviceSyncProfile(deviceId, { projects, global, tombstone_max_age_days: maxAgeDays }, { resetCursor = false } = {}) {
+  const db = getDB();
+  db.transaction(() => {
+    ensureDevice(deviceId);
+    db.prepare(
+      `UPDATE devices SET sync_projects = ?, sync_global = ?, sync_tombstone_max_age_days = ?,
+         last_sync = CASE WHEN ? THEN NULL ELSE last_sync END
+       WHERE device_id = ?`
+    ).run(projects ? JSON.stringify(projects) : null, global ? 1 : 0, maxAgeDays ?? null, resetCursor ? 1 : 0, deviceId);
+  })();
+  return getDeviceSyncProfile(deviceId);
+}
+
+// ── Reconciliation ────────────────────────────────────
+
+/** key / hlc / revision of live entries in one scope, for the reconciliation hash tree */
+function getLiveMemoryVersions(scope, projectId = null) {
+  if (scope === 'global') {
+    return getDB().prepare('SELECT key, hlc, revision FROM global_memory WHERE deleted = 0').all();
+  }
+  return getDB().prepare(
+    'SELECT key, hlc, revision FROM project_memory WHERE project_id = ? AND deleted = 0'
+  ).all(projectId);
+}
+
+function getMemoryProjectIds() {
+  return getDB().prepare('SELECT DISTINCT project_id FROM project_memory ORDER BY project_id')
+    .all().map((row) => row.project_id);
+}
+
+// ── LAN peers ─────────────────────────────────────────
+
+/** Memory rows (tombstones included) written locally or pulled at or after `since` */
+function getMemoryChangedSince(since) {
+  const db = getDB();
+  const parse = (row) => ({ ...row, value: JSON.parse(row.value) });
+  return {
+    global: db.prepare('SELECT * FROM global_memory WHERE updated_at >= ? ORDER BY updated_at').all(since).map(parse),
+    project: db.prepare('SELECT * FROM project_memory WHERE updated_at >= ? ORDER BY updated_at').all(since).map(parse),
+  };
+}
+
+/** Stamp of the version before `revision` in local history (a write's merge base) */
+function getPreviousHistoryHlc(scope, projectId, key, revision) {
+  const row = getDB().prepare(
+    `SELECT hlc FROM memory_history
+     WHERE scope = ? AND project_id IS ? AND key = ? AND revision < ?
+     ORDER BY revision DESC, id DESC LIMIT 1`
+  ).get(scope, scope === 'global' ? null : projectId, key, revision);
+  return row ? row.hlc : null;
+}
+
+/**
+ * Remember a peer by device id; a peer that moved keeps its cursor.
+ * A configured URL is not replaced by one heard in a beacon.
+ */
+function upsertLanPeer(deviceId, url, source) {
+  getDB().prepare(
+    `INSERT INTO lan_peers (device_id, url, source, last_seen_at)
+     VALUES (?, ?, ?, datetime('now'))
+     ON CONFLICT(device_id) DO UPDATE SET
+       url = CASE WHEN lan_peers.source = 'config' AND excluded.source = 'discovered' THEN lan_peers.url ELSE excluded.url END,
+       source = CASE WHEN lan_peers.source = 'config' THEN 'config' ELSE excluded.source END,
+       last_seen_at = datetime('now')`
+  ).run(deviceId, url, source);
+}
+
+function getLanPeers() {
+  return getDB().prepare('SELECT * FROM lan_peers ORDER BY device_id').all();
+}
+
+function getLanPeer(deviceId) {
+  return getDB().prepare('SELECT * FROM lan_peers WHERE device_id = ?').get(deviceId) || null;
+}
+
+/** After a successful exchange: the peer's cursor for the next one */
+function setLanPeerCursor(deviceId, cursor) {
+  getDB().prepare(
+    `UPDATE lan_peers SET cursor = ?, last_sync_at = datetime('now'), last_error = NULL WHERE device_id = ?`
+  ).run(cursor, deviceId);
+}
+
+function setLanPeerError(deviceId, error) {
+  getDB().prepare('UPDATE lan_peers SET last_error = ? WHERE device_id = ?').run(error, deviceId);
+}
+
+// ── Garbage collection ────────────────────────────────
+
+/**
+ * Oldest last_sync across registered devices — tombstones deleted before it
+ * have been seen by every device. Returns { devices, safe_before, unsynced }
+ * where unsynced lists devices that never synced (they block all purges).
+ */
+function getDeviceSyncHorizon() {
+  // Revoked devices do not hold GC back
+  const devices = getDB().prepare('SELECT device_id, last_sync FROM devices WHERE revoked = 0').all();
+  const unsynced = devices.filter((d) => !d.last_sync).map((d) => d.device_id);
+  const synced = devices.filter((d) => d.last_sync).map((d) => d.last_sync).sort();
+  return { devices: devices.length, safe_before: synced[0] || null, unsynced };
+}
+
+/** Tombstones deleted at or before `cutoff` (SQLite datetime text) */
+function getTombstonesDeletedBefore(cutoff) {
+  return getDB().prepare(
+    `SELECT 'global' AS scope, NULL AS project_id, key, revision, deleted_at FROM global_memory
+       WHERE deleted = 1 AND deleted_at IS NOT NULL AND deleted_at <= ?
+     UNION ALL
+     SELECT 'project' AS scope, project_id, key, revision, deleted_at FROM project_memory
+       WHERE deleted = 1 AND deleted_at IS NOT NULL AND deleted_at <= ?
+     ORDER BY deleted_at ASC`
+  ).all(cutoff, cutoff);
+}
+
+/**
+ * Hard-delete tombstones plus their search-index and embedding rows.
+ * memory_history is kept so purged keys stay auditable.
+ * @param {Array<{scope, project_id, key}>} rows
+ */
+function purgeTombstones(rows) {
+  const db = getDB();
+  const deleteGlobal = db.prepare('DELETE FROM global_memory WHERE key = ? AND deleted = 1');
+  const deleteProject = db.prepare('DELETE FROM project_memory WHERE project_id = ? AND key = ? AND deleted = 1');
+  const findDoc = db.prepare('SELECT id FROM memory_search_docs WHERE scope = ? AND project_id = ? AND key = ?');
+  const deleteFts = db.prepare('DELETE FROM memory_fts WHERE rowid = ?');
+  const deleteDoc = db.prepare('DELETE FROM memory_search_docs WHERE id = ?');
+  const deleteEmbeddings = db.prepare('DELETE FROM memory_embeddings WHERE scope = ? AND project_id = ? AND key = ?');
+
+  let purged = 0;
+  db.transaction(() => {
+    for (const row of rows) {
+      const projectId = row.scope === 'global' ? '' : row.project_id;
+      const result = row.scope === 'global'
+        ? deleteGlobal.run(row.key)
+        : deleteProject.run(row.project_id, row.key);
+      if (result.changes === 0) continue; // restored since it was selected
+
+      const doc = findDoc.get(row.scope, projectId, row.key);
+      if (doc) {
+        deleteFts.run(doc.id);
+        deleteDoc.run(doc.id);
+      }
+      deleteEmbeddings.run(row.scope, projectId, row.key);
+      purged++;
+    }
+  })();
+  return purged;
+}
+
+/** Count (or delete) synced sync_queue rows created at or before `cutoff` */
+function purgeSyncedQueueItems(cutoff, dryRun = false) {
+  if (dryRun) {
+    return getDB().prepare(
+      'SELECT COUNT(*) AS n FROM sync_queue WHERE synced = 1 AND created_at <= ?'
+    ).get(cutoff).n;
+  }
+  return getDB().prepare(
+    'DELETE FROM sync_queue WHERE synced = 1 AND created_at <= ?'
+  ).run(cutoff).changes;
 }
 
 // ── Audit log ──────────────────────────────────────────
@@ -381,6 +1608,9 @@ function getAuditLog(limit = 50) {
 module.exports = {
   initSQLite,
   getDB,
+  getDataDir,
+  backupDatabase,
+  transaction,
   // Global memory
   getGlobalMemory,
   getGlobalMemoryFull,
@@ -395,17 +1625,80 @@ module.exports = {
   tombstoneProjectMemory,
   restoreProjectMemory,
   getAllProjectMemory,
+  // Expiry
+  getExpiredMemory,
+  // Export
+  iterateMemoryRows,
+  // Quarantine
+  findMemoryEntries,
+  findByInfectionId,
+  // History
+  getGlobalMemoryHistory,
+  getProjectMemoryHistory,
+  getHistoryByHlc,
+  // Change feed
+  getMemoryChangesSince,
+  getLatestChangeSeq,
+  getGlobalMemoryRevision,
+  getProjectMemoryRevision,
+  // Search
+  searchMemory,
+  rebuildSearchIndex,
+  // Embeddings
+  getStaleEmbeddingRows,
+  upsertEmbedding,
+  getEmbeddedMemories,
   // Sync queue
   enqueueSync,
   getPendingSyncItems,
   markSynced,
   markSyncFailed,
   getDeadLetterItems,
+  getDueSyncItems,
+  coalesceSyncQueue,
+  getSyncItem,
+  requeueDeadLetter,
+  discardDeadLetter,
+  hasPendingSync,
+  supersedePendingSync,
+  replaceSyncPayload,
+  // Sync conflicts
+  recordSyncConflict,
+  getSyncConflicts,
+  getSyncConflict,
+  markSyncConflictResolved,
   // Devices
   upsertDevice,
+  getDevice,
+  markStaleDevicesOffline,
+  setDeviceRevoked,
+  getDeviceRevocation,
+  hasRevokedDevices,
+  setDeviceTokenHash,
+  isLanKeyRevoked,
+  mergeRemoteDevice,
   getDeviceLastSync,
   updateDeviceLastSync,
   getAllDevices,
+  ensureDevice,
+  getLiveMemoryVersions,
+  getMemoryProjectIds,
+  getDeviceSyncProfile,
+  getAllDeviceSyncProfiles,
+  setDeviceSyncProfile,
+  // LAN peers
+  getMemoryChangedSince,
+  getPreviousHistoryHlc,
+  upsertLanPeer,
+  getLanPeers,
+  getLanPeer,
+  setLanPeerCursor,
+  setLanPeerError,
+  // Garbage collection
+  getDeviceSyncHorizon,
+  getTombstonesDeletedBefore,
+  purgeTombstones,
+  purgeSyncedQueueItems,
   // Audit
   logAudit,
   getAuditLog,
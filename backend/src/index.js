@@ -21,10 +21,13 @@ const aiRoutes = require('./routes/ai');
 const projectRoutes = require('./routes/projects');
 const mcpClientRoutes = require('./routes/mcpClients');
 const adminRoutes = require('./routes/admin');
+const lanRoutes = require('./routes/lan');
+const deviceRoutes = require('./routes/devices');
 const { router: mcpRouter, bootstrapMcp } = require('./mcp/server');
 
 // Middleware
 const { requireAuth } = require('./middleware/auth');
+const { trackDevice } = require('./middleware/deviceTracker');
 const { apiLimiter } = require('./middleware/rateLimiter');
 const { requestLogger } = require('./middleware/requestLogger');
 const { errorEnvelope } = require('./middleware/errorEnvelope');
@@ -66,24 +69,43 @@ app.use('/api', apiLimiter);
 initFirebase();
 initSQLite();
 
-// Bootstrap project/MCP client tables
-const { ensureProjectTables } = require('./services/projectService');
-ensureProjectTables();
+// Queue project/MCP client records written before they synced
+const { queueUnstampedRecords } = require('./sync/records');
+queueUnstampedRecords();
 
 bootstrapMcp({ mode: 'HTTP', initializeBackends: false });
 
+// ── Background jobs ───────────────────────────────────
+const { startExpirySweeper } = require('./jobs/expirySweeper');
+startExpirySweeper();
+const { startTombstoneGc } = require('./jobs/tombstoneGc');
+startTombstoneGc();
+const { startSnapshotScheduler } = require('./jobs/snapshotScheduler');
+startSnapshotScheduler();
+const { startSyncScheduler } = require('./jobs/syncScheduler');
+startSyncScheduler();
+const { startReconcileJob } = require('./jobs/reconcileJob');
+startReconcileJob();
+const { startLanSync } = require('./jobs/lanSyncJob');
+startLanSync();
+const { startDeviceMonitor } = require('./jobs/deviceMonitor');
+startDeviceMonitor();
+
 // ── Public routes (no auth) ───────────────────────────
 app.use('/api/health', healthRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/lan', lanRoutes);  // signed with LAN_SYNC_KEY, not Firebase Auth
 
 // ── Auth-protected routes ─────────────────────────────
-app.use('/api/memory', requireAuth, memoryRoutes);
-app.use('/api/sync', requireAuth, syncRoutes);
-app.use('/api/tools', requireAuth, toolRoutes);
-app.use('/api/ai', requireAuth, aiRoutes);
-app.use('/api/projects', requireAuth, projectRoutes);
-app.use('/api/mcp/clients', requireAuth, mcpClientRoutes);
-app.use('/api/mcp', requireAuth, mcpRouter);
+// trackDevice: X-Device-Id heartbeats the registry; revoked devices cannot write
+app.use('/api/memory', requireAuth, trackDevice, memoryRoutes);
+app.use('/api/sync', requireAuth, trackDevice, syncRoutes);
+app.use('/api/devices', requireAuth, trackDevice, deviceRoutes);
+app.use('/api/tools', requireAuth, trackDevice, toolRoutes);
+app.use('/api/ai', requireAuth, trackDevice, aiRoutes);
+app.use('/api/projects', requireAuth, trackDevice, projectRoutes);
+app.use('/api/mcp/clients', requireAuth, trackDevice, mcpClientRoutes);
+app.use('/api/mcp', requireAuth, trackDevice, mcpRouter);
 
 // ── Global error handler — structured JSON envelope ────
 // Must be registered AFTER all routes (Express convention).
@@ -0,0 +1,44 @@
+/**
+ * Device monitor — marks devices offline after missed heartbeats.
+ *
+ * Every DEVICE_CHECK_INTERVAL_MS (default 60s), devices whose last heartbeat
+ * is older than DEVICE_OFFLINE_AFTER_MS (default 3min, i.e. three missed
+ * agent heartbeats) are set to status 'offline'. The next heartbeat brings
+ * them back online. The backend heartbeats its own device on the same tick.
+ */
+
+const { markOfflineDevices, registerLocalProcess } = require('../services/deviceService');
+const packageJson = require('../../package.json');
+
+const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
+
+const DEFAULT_INTERVAL_MS = 60_000;
+
+let timer = null;
+
+function runDeviceCheck() {
+  try {
+    registerLocalProcess(DEVICE_ID, { kind: 'backend', version: packageJson.version });
+    const offline = markOfflineDevices();
+    if (offline.length > 0) console.log(`[DEVICES] Offline after missed heartbeats: ${offline.join(', ')}`);
+    return offline;
+  } catch (error) {
+    console.error('[DEVICES] Check failed:', error.message);
+    return [];
+  }
+}
+
+function startDeviceMonitor(intervalMs = Number(process.env.DEVICE_CHECK_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+  timer = setInterval(runDeviceCheck, intervalMs);
+  timer.unref();
+  runDeviceCheck();
+  console.log(`💓  Device monitor running every ${intervalMs / 1000}s`);
+}
+
+function stopDeviceMonitor() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startDeviceMonitor, stopDeviceMonitor, runDeviceCheck };
@@ -0,0 +1,46 @@
+/**
+ * Expiry sweeper — periodically tombstones memory entries past their expires_at.
+ *
+ * Runs inside the backend process every MEMORY_EXPIRY_SWEEP_MS (default 60s).
+ * Each expired entry is tombstoned with delete_reason 'expired' through
+ * memoryService, so the normal tombstone sync path carries it to every device.
+ */
+
+const { expireDueMemories } = require('../services/memoryService');
+
+const DEFAULT_INTERVAL_MS = 60_000;
+
+let timer = null;
+let running = false;
+
+async function runSweep() {
+  if (running) return null; // previous sweep still pushing to Firestore
+  running = true;
+  try {
+    const result = await expireDueMemories();
+    if (result.expired > 0) {
+      console.log(`[EXPIRY] Tombstoned ${result.expired} expired entr${result.expired === 1 ? 'y' : 'ies'}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('[EXPIRY] Sweep failed:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+function startExpirySweeper(intervalMs = Number(process.env.MEMORY_EXPIRY_SWEEP_MS) || DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+  timer = setInterval(runSweep, intervalMs);
+  timer.unref();
+  runSweep();
+  console.log(`⏳  Memory expiry sweeper running every ${intervalMs / 1000}s`);
+}
+
+function stopExpirySweeper() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startExpirySweeper, stopExpirySweeper, runSweep };
@@ -0,0 +1,53 @@
+/**
+ * LAN sync job — exchanges changes with peers on the local network
+ * (see sync/lan.js), so devices keep converging while the cloud is out of reach.
+ *
+ * Runs only when LAN_SYNC_KEY is set, every LAN_SYNC_INTERVAL_MS (default
+ * 60s; 0 leaves it to POST /api/sync/lan). Starts peer discovery too.
+ */
+
+const { isLanEnabled, syncWithPeers, startDiscovery } = require('../sync/lan');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = null;
+let lastResult = null;
+
+/** One exchange with every peer; concurrent callers share the run in progress */
+function runLanSync() {
+  if (running) return running;
+  running = syncWithPeers()
+    .then((result) => {
+      lastResult = { ...result, ran_at: new Date().toISOString() };
+      const changed = result.peers.filter((peer) => peer.pulled || peer.merged || peer.records);
+      for (const peer of changed) {
+        console.log(`[LAN] ${peer.device_id}: pulled ${peer.pulled}, merged ${peer.merged}, records ${peer.records}`);
+      }
+      return lastResult;
+    })
+    .finally(() => { running = null; });
+  return running;
+}
+
+function getLastLanSync() {
+  return lastResult;
+}
+
+function startLanSync() {
+  if (timer || !isLanEnabled()) return;
+  startDiscovery();
+  const env = process.env.LAN_SYNC_INTERVAL_MS;
+  const intervalMs = env === undefined || env === '' ? DEFAULT_INTERVAL_MS : Number(env);
+  if (!(intervalMs > 0)) return;
+  timer = setInterval(() => runLanSync().catch((error) => console.error('[LAN] Run failed:', error.message)), intervalMs);
+  timer.unref();
+  console.log(`📡  LAN sync running every ${intervalMs / 1000}s`);
+}
+
+function stopLanSync() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startLanSync, stopLanSync, runLanSync, getLastLanSync };
@@ -0,0 +1,64 @@
+/**
+ * Reconcile job — periodically compares SQLite with Firestore by hash tree
+ * and repairs drift that incremental pull missed (see sync/engine.js).
+ *
+ * Runs every RECONCILE_INTERVAL_MS (default 6h); RECONCILE_INTERVAL_MS=0
+ * disables it. The last report is served by GET /api/sync/verify.
+ */
+
+const { reconcile } = require('../sync/engine');
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let timer = null;
+let tail = Promise.resolve(); // passes run one at a time
+const inFlight = new Map(); // repair flag → queued or running pass of that kind
+let lastReport = null;
+
+/**
+ * One reconcile pass. Callers asking for the same kind of pass (repair or
+ * verify-only) share the one queued or in progress; a repair asked for
+ * during a verify runs after it instead of getting its read-only report.
+ */
+function runReconcile(opts = {}) {
+  const repair = opts.repair !== false;
+  if (inFlight.has(repair)) return inFlight.get(repair);
+  const run = tail
+    .then(() => reconcile({ ...opts, repair }))
+    .then((report) => {
+      lastReport = report;
+      if (report.totals.differences > 0) {
+        const { differences, pulled, merged, queued } = report.totals;
+        console.log(`[RECONCILE] ${differences} drifted key(s): ${pulled} pulled, ${merged} merged, ${queued} queued`);
+      }
+      return report;
+    })
+    .catch((error) => {
+      console.error('[RECONCILE] Run failed:', error.message);
+      throw error;
+    })
+    .finally(() => { inFlight.delete(repair); });
+  inFlight.set(repair, run);
+  tail = run.catch(() => {});
+  return run;
+}
+
+function getLastReconcileReport() {
+  return lastReport;
+}
+
+function startReconcileJob() {
+  const env = process.env.RECONCILE_INTERVAL_MS;
+  const intervalMs = env === undefined || env === '' ? DEFAULT_INTERVAL_MS : Number(env);
+  if (timer || !(intervalMs > 0)) return;
+  timer = setInterval(() => runReconcile().catch(() => {}), intervalMs);
+  timer.unref();
+  console.log(`🌳  Sync reconciliation running every ${intervalMs / 60000}min`);
+}
+
+function stopReconcileJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startReconcileJob, stopReconcileJob, runReconcile, getLastReconcileReport };
@@ -0,0 +1,37 @@
+/**
+ * Snapshot scheduler — periodic online backups of the SQLite cache.
+ *
+ * Runs every SNAPSHOT_INTERVAL_MS (default 6h); on-demand snapshots go
+ * through POST /api/admin/snapshots. Rotation is handled by snapshotService.
+ */
+
+const { createSnapshot } = require('../services/snapshotService');
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let timer = null;
+
+async function runSnapshot() {
+  try {
+    const result = await createSnapshot();
+    console.log(`[SNAPSHOT] Saved ${result.id}${result.rotated.length ? `, rotated ${result.rotated.length}` : ''}`);
+    return result;
+  } catch (error) {
+    console.error('[SNAPSHOT] Backup failed:', error.message);
+    return null;
+  }
+}
+
+function startSnapshotScheduler(intervalMs = Number(process.env.SNAPSHOT_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+  timer = setInterval(runSnapshot, intervalMs);
+  timer.unref();
+  console.log(`📸  SQLite snapshots every ${intervalMs / 60000}min`);
+}
+
+function stopSnapshotScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startSnapshotScheduler, stopSnapshotScheduler, runSnapshot };
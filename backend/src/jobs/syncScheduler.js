@@ -0,0 +1,112 @@
+/**
+ * Sync scheduler — the backend pushes its own sync_queue and pulls remote
+ * changes without the local agent or a manual POST /api/sync/push.
+ *
+ * Runs every SYNC_INTERVAL_MS (default 60s). A run that cannot reach
+ * Firestore doubles the delay (up to SYNC_MAX_BACKOFF_MS, default 15min)
+ * until one succeeds, so queued writes drain on their own after an outage.
+ * Every delay gets ±SYNC_JITTER (default 0.2) random spread so devices
+ * coming back together do not hit Firestore in lockstep.
+ * SYNC_SCHEDULER=off disables it.
+ */
+
+const { syncPush, syncPull } = require('../sync/engine');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_BACKOFF_MS = 15 * 60 * 1000;
+const DEFAULT_JITTER = 0.2;
+
+let timer = null;
+let running = false;
+
+const state = {
+  enabled: false,
+  intervalMs: DEFAULT_INTERVAL_MS,
+  maxBackoffMs: DEFAULT_MAX_BACKOFF_MS,
+  jitter: DEFAULT_JITTER,
+  nextRunAt: null,
+  lastRunAt: null,
+  lastSuccessAt: null,
+  lastResult: null,
+  consecutiveFailures: 0,
+};
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/** Base interval doubled per consecutive failure, capped, then jittered */
+function nextDelay() {
+  const backoff = Math.min(state.intervalMs * 2 ** state.consecutiveFailures, state.maxBackoffMs);
+  const spread = backoff * state.jitter;
+  return Math.max(1000, Math.round(backoff - spread + Math.random() * 2 * spread));
+}
+
+function schedule() {
+  const delay = nextDelay();
+  state.nextRunAt = new Date(Date.now() + delay).toISOString();
+  timer = setTimeout(runScheduledSync, delay);
+  timer.unref();
+}
+
+/** A run fails when Firestore was unreachable, not when individual items did */
+function describeFailure(push, pull) {
+  if (push.error) return push.error;
+  if (push.failed > 0 && push.synced === 0) return `${push.failed} item(s) failed to push`;
+  if (pull.status === 'error') return pull.error;
+  return null;
+}
+
+async function runScheduledSync() {
+  if (running) return state.lastResult;
+  running = true;
+  state.lastRunAt = new Date().toISOString();
+  try {
+    const push = await syncPush();
+    const pull = await syncPull();
+    const error = describeFailure(push, pull);
+    state.lastResult = { ok: !error, error, push, pull };
+    if (error) {
+      state.consecutiveFailures += 1;
+      console.error(`[SYNC] Scheduled sync failed (${state.consecutiveFailures} in a row): ${error}`);
+    } else {
+      state.consecutiveFailures = 0;
+      state.lastSuccessAt = state.lastRunAt;
+      if (push.synced > 0 || pull.pulled > 0 || pull.merged > 0) {
+        console.log(`[SYNC] Pushed ${push.synced}, pulled ${pull.pulled}, merged ${pull.merged}`);
+      }
+    }
+  } catch (error) {
+    state.consecutiveFailures += 1;
+    state.lastResult = { ok: false, error: error.message };
+    console.error('[SYNC] Scheduled sync crashed:', error.message);
+  } finally {
+    running = false;
+    if (state.enabled) schedule();
+  }
+  return state.lastResult;
+}
+
+function startSyncScheduler() {
+  if (state.enabled || process.env.SYNC_SCHEDULER === 'off') return;
+  state.intervalMs = envNumber('SYNC_INTERVAL_MS', DEFAULT_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  state.maxBackoffMs = Math.max(envNumber('SYNC_MAX_BACKOFF_MS', DEFAULT_MAX_BACKOFF_MS), state.intervalMs);
+  state.jitter = Math.min(envNumber('SYNC_JITTER', DEFAULT_JITTER), 1);
+  state.enabled = true;
+  schedule();
+  console.log(`🔄  Scheduled sync every ${state.intervalMs / 1000}s (backoff up to ${state.maxBackoffMs / 60000}min)`);
+}
+
+function stopSyncScheduler() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  state.enabled = false;
+  state.nextRunAt = null;
+}
+
+function getSyncSchedulerState() {
+  return { ...state, running };
+}
+
+module.exports = { startSyncScheduler, stopSyncScheduler, runScheduledSync, getSyncSchedulerState };
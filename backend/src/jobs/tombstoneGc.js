@@ -0,0 +1,41 @@
+/**
+ * Tombstone GC job — periodically applies the retention policy in gcService.
+ *
+ * Runs every GC_INTERVAL_MS (default 6h). The same pass is available on
+ * demand through POST /api/admin/gc.
+ */
+
+const { runGarbageCollection } = require('../services/gcService');
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let timer = null;
+
+function runGc() {
+  try {
+    const report = runGarbageCollection();
+    const { tombstones, sync_queue: queue } = report.purged;
+    if (tombstones > 0 || queue > 0) {
+      console.log(`[GC] Purged ${tombstones} tombstone(s), ${queue} synced queue row(s); ${report.deferred} deferred`);
+    }
+    return report;
+  } catch (error) {
+    console.error('[GC] Run failed:', error.message);
+    return null;
+  }
+}
+
+function startTombstoneGc(intervalMs = Number(process.env.GC_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+  timer = setInterval(runGc, intervalMs);
+  timer.unref();
+  runGc();
+  console.log(`🧹  Tombstone GC running every ${intervalMs / 60000}min`);
+}
+
+function stopTombstoneGc() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startTombstoneGc, stopTombstoneGc, runGc };
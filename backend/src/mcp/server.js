@@ -9,13 +9,16 @@ const readline = require('readline');
 
 const sqlite = require('../db/sqlite');
 const { initSQLite, getDB } = require('../db/sqlite');
-const { initFirebase, getFirestore } = require('../config/firebase');
+const { initFirebase, getFirestore, getStorageAdapter } = require('../config/firebase');
 const { getSyncStatus } = require('../sync/engine');
+const { getSyncSchedulerState } = require('../jobs/syncScheduler');
 const { MemoryServiceError, formatMcpError } = require('../services/memoryService');
 const { getMcpClientPermission } = require('../services/projectService');
+const { registerLocalProcess, noteDeviceActivity } = require('../services/deviceService');
 const { registerTools } = require('./tools/registerTools');
 
 const DEFAULT_DEVICE_ID = process.env.DEVICE_ID || 'mcp-server';
+const STDIO_HEARTBEAT_MS = 60 * 1000;
 
 const runtimeState = {
   mode: null,
@@ -103,6 +106,7 @@ function toMcpError(error) {
         code: error.code,
         message: error.message,
         status: error.status,
+        ...(error.details ? { details: error.details } : {}),
       },
     };
   }
@@ -234,8 +238,10 @@ function getMcpHealth() {
     mode: runtimeState.mode || 'uninitialized',
     sqliteReady: runtimeState.sqliteReady,
     firestoreReady: runtimeState.firestoreReady,
+    storageAdapter: getStorageAdapter(),
     syncQueueDepth,
     deadLetters,
+    syncScheduler: getSyncSchedulerState(),
     toolsRegistered: toolRegistry.listToolMetadata().length,
     resourcesRegistered: RESOURCES.length,
     lastToolCallAt: runtimeState.lastToolCallAt,
@@ -337,8 +343,22 @@ router.post('/call_tool', async (req, res) => {
   }
 });
 
+/** The STDIO server registers itself and heartbeats while the client keeps it running */
+function startStdioHeartbeat() {
+  const beat = () => {
+    try {
+      registerLocalProcess(DEFAULT_DEVICE_ID, { kind: 'stdio', version: SERVER_INFO.version });
+    } catch (error) {
+      console.error('[MCP][STDIO] Heartbeat failed:', error.message);
+    }
+  };
+  beat();
+  setInterval(beat, STDIO_HEARTBEAT_MS).unref();
+}
+
 function runStdio() {
   bootstrapMcp({ mode: 'STDIO', initializeBackends: true });
+  startStdioHeartbeat();
 
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: false });
 
@@ -394,6 +414,7 @@ function runStdio() {
       context.mcpClientId = params.clientId || process.env.MCP_CLIENT_ID || null;
 
       console.log(`[MCP][STDIO] device_id=${resolvedDeviceId} tool=${toolName}`);
+      if (resolvedDeviceId !== DEFAULT_DEVICE_ID) noteDeviceActivity(resolvedDeviceId, { kind: 'stdio' });
 
       try {
         const payload = await executeTool(toolName, toolArgs, context);
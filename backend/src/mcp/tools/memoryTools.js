@@ -4,14 +4,28 @@ const {
   setGlobalMemory,
   deleteGlobalMemory,
   restoreGlobalMemory,
+  getGlobalMemoryHistory,
+  revertGlobalMemory,
   listProjectMemory,
   getProjectMemory,
   setProjectMemory,
   deleteProjectMemory,
   restoreProjectMemory,
+  getProjectMemoryHistory,
+  revertProjectMemory,
+  searchMemories,
+  semanticSearchMemories,
+  applyMemoryBatch,
+  quarantineMemories,
+  restoreInfection,
 } = require('../../services/memoryService');
 const { listProjects } = require('../../services/projectService');
 
+const EXPIRY_PROPERTIES = {
+  expires_at: { type: 'string', description: 'Optional ISO timestamp after which the entry is tombstoned' },
+  ttl_seconds: { type: 'number', description: 'Optional time-to-live in seconds (alternative to expires_at)' },
+};
+
 function autoMemoryKey(prefix = 'manual') {
   const random = Math.random().toString(36).slice(2, 8);
   return `${prefix}_${Date.now()}_${random}`;
@@ -96,16 +110,26 @@ function registerMemoryTools() {
           scope: { type: 'string', description: 'global or a projectId' },
           key: { type: 'string' },
           value: { description: 'Any JSON-serializable value' },
+          expectedRevision: {
+            type: 'number',
+            description: 'Optional compare-and-set guard; write fails with REVISION_CONFLICT if the current revision differs (0 = key must not exist)',
+          },
+          ...EXPIRY_PROPERTIES,
         },
         required: ['scope', 'key', 'value'],
       },
       handler: async ({ args, context }) => {
         validateMemoryScope(args.scope);
         const normalized = normalizeScope(args.scope);
+        const options = {
+          expectedRevision: args.expectedRevision,
+          expiresAt: args.expires_at,
+          ttlSeconds: args.ttl_seconds,
+        };
         if (normalized.type === 'global') {
-          return setGlobalMemory(context, args.key, args.value);
+          return setGlobalMemory(context, args.key, args.value, options);
         }
-        return setProjectMemory(context, normalized.projectId, args.key, args.value);
+        return setProjectMemory(context, normalized.projectId, args.key, args.value, options);
       },
     },
     {
@@ -154,6 +178,123 @@ function registerMemoryTools() {
         return restoreProjectMemory(context, normalized.projectId, args.key);
       },
     },
+    {
+      name: 'read_memory_history',
+      description: 'Read the revision history of a memory key (who changed it, when, from which device).',
+      ownerOnly: false,
+      writeEffect: false,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scope: { type: 'string', description: 'global or a projectId' },
+          key: { type: 'string', description: 'Memory key' },
+          limit: { type: 'number', default: 50 },
+        },
+        required: ['scope', 'key'],
+      },
+      handler: async ({ args, context }) => {
+        validateMemoryScope(args.scope);
+        const normalized = normalizeScope(args.scope);
+        if (normalized.type === 'global') {
+          return getGlobalMemoryHistory(context, args.key, args.limit);
+        }
+        return getProjectMemoryHistory(context, normalized.projectId, args.key, args.limit);
+      },
+    },
+    {
+      name: 'revert_memory',
+      description: 'Roll a memory key back to a prior revision (written as a new revision).',
+      ownerOnly: false,
+      writeEffect: true,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scope: { type: 'string', description: 'global or a projectId' },
+          key: { type: 'string' },
+          revision: { type: 'number', description: 'Revision number from read_memory_history' },
+        },
+        required: ['scope', 'key', 'revision'],
+      },
+      handler: async ({ args, context }) => {
+        validateMemoryScope(args.scope);
+        const normalized = normalizeScope(args.scope);
+        if (normalized.type === 'global') {
+          return revertGlobalMemory(context, args.key, args.revision);
+        }
+        return revertProjectMemory(context, normalized.projectId, args.key, args.revision);
+      },
+    },
+    {
+      name: 'batch_memory',
+      description: 'Apply many set/delete/restore operations across scopes in one transaction (delete/restore need owner).',
+      ownerOnly: false,
+      writeEffect: true,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          operations: {
+            type: 'array',
+            maxItems: 500,
+            items: {
+              type: 'object',
+              properties: {
+                op: { type: 'string', enum: ['set', 'delete', 'restore'] },
+                scope: { type: 'string', description: 'global or a projectId' },
+                key: { type: 'string' },
+                value: { description: 'Required for set' },
+                expectedRevision: { type: 'number' },
+                reason: { type: 'string', description: 'delete only' },
+                infection_id: { type: 'string', description: 'delete only' },
+                ...EXPIRY_PROPERTIES,
+              },
+              required: ['op', 'scope', 'key'],
+            },
+          },
+        },
+        required: ['operations'],
+      },
+      handler: async ({ args, context }) => applyMemoryBatch(context, args.operations),
+    },
+    {
+      name: 'quarantine_memory',
+      description: 'Tombstone every entry matching a filter under one infection_id (owner-only, reversible with restore_infection).',
+      ownerOnly: true,
+      writeEffect: true,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scope: { type: 'string', description: 'Optional: global or a projectId (default: everything)' },
+          keyPrefix: { type: 'string' },
+          tag: { type: 'string' },
+          sourceDeviceId: { type: 'string' },
+          since: { type: 'string', description: 'ISO timestamp; entries updated at or after' },
+          until: { type: 'string', description: 'ISO timestamp; entries updated at or before' },
+          reason: { type: 'string' },
+          dryRun: { type: 'boolean', default: false },
+        },
+      },
+      handler: async ({ args, context }) => {
+        const { reason, dryRun, ...filter } = args;
+        return quarantineMemories(context, filter, { reason, dryRun: dryRun === true });
+      },
+    },
+    {
+      name: 'restore_infection',
+      description: 'Restore every entry tombstoned under an infection_id (owner-only).',
+      ownerOnly: true,
+      writeEffect: true,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          infection_id: { type: 'string' },
+          dryRun: { type: 'boolean', default: false },
+        },
+        required: ['infection_id'],
+      },
+      handler: async ({ args, context }) => restoreInfection(context, args.infection_id, {
+        dryRun: args.dryRun === true,
+      }),
+    },
     {
       name: 'list_memory',
       description: 'List memory entries in global or project scope.',
@@ -224,35 +365,51 @@ function registerMemoryTools() {
     },
     {
       name: 'search_memories',
-      description: 'Search memory text/value content by free-text query.',
+      description: 'Full-text search over memory (BM25-ranked, supports "phrases" and prefix*, returns highlighted snippets).',
       ownerOnly: false,
       writeEffect: false,
       requiredPermission: 'memory-only',
       inputSchema: {
         type: 'object',
         properties: {
-          query: { type: 'string' },
+          query: { type: 'string', description: 'Search terms; wrap phrases in quotes, end a word with * for prefix match' },
+          scope: { type: 'string', description: 'Optional: global or a projectId' },
+          tag: { type: 'string', description: 'Optional tag filter' },
           includeDeleted: { type: 'boolean', default: false },
           limit: { type: 'number', default: 50 },
         },
         required: ['query'],
       },
-      handler: async ({ args, context }) => {
-        const q = String(args.query || '').trim().toLowerCase();
-        const includeDeleted = args.includeDeleted === true;
-        const rows = await gatherMemoryRows(context, includeDeleted);
-        const hits = rows.filter((row) => {
-          const haystack = `${row.key} ${JSON.stringify(row.value || '')}`.toLowerCase();
-          return haystack.includes(q);
-        });
-
-        const limit = Math.min(Number(args.limit || 50), 200);
-        return {
-          query: args.query,
-          count: hits.length,
-          items: hits.slice(0, limit),
-        };
+      handler: async ({ args, context }) => searchMemories(context, args.query, {
+        scope: args.scope,
+        tag: args.tag,
+        includeDeleted: args.includeDeleted === true,
+        limit: args.limit,
+      }),
+    },
+    {
+      name: 'semantic_search_memories',
+      description: 'Find memories by meaning rather than exact words (vector search, cosine-scored).',
+      ownerOnly: false,
+      writeEffect: false,
+      requiredPermission: 'memory-only',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Natural-language description of what to recall' },
+          scope: { type: 'string', description: 'Optional: global or a projectId' },
+          includeDeleted: { type: 'boolean', default: false },
+          limit: { type: 'number', default: 10 },
+          minScore: { type: 'number', default: 0, description: 'Drop results with cosine score at or below this' },
+        },
+        required: ['query'],
       },
+      handler: async ({ args, context }) => semanticSearchMemories(context, args.query, {
+        scope: args.scope,
+        includeDeleted: args.includeDeleted === true,
+        limit: args.limit,
+        minScore: args.minScore,
+      }),
     },
     {
       name: 'add_freeform_memory',
@@ -269,6 +426,7 @@ function registerMemoryTools() {
           importance: { type: 'string', enum: ['low', 'medium', 'high'] },
           pinned: { type: 'boolean', default: false },
           key: { type: 'string', description: 'Optional explicit key' },
+          ...EXPIRY_PROPERTIES,
         },
         required: ['text'],
       },
@@ -288,12 +446,14 @@ function registerMemoryTools() {
           created_at: new Date().toISOString(),
         };
 
+        const options = { expiresAt: args.expires_at, ttlSeconds: args.ttl_seconds };
+
         if (args.projectId) {
-          const result = await setProjectMemory(context, args.projectId, key, payload);
+          const result = await setProjectMemory(context, args.projectId, key, payload, options);
           return { scope: 'project', projectId: args.projectId, key, ...result };
         }
 
-        const result = await setGlobalMemory(context, key, payload);
+        const result = await setGlobalMemory(context, key, payload, options);
         return { scope: 'global', key, ...result };
       },
     },
@@ -0,0 +1,51 @@
+/**
+ * Device tracker middleware.
+ * Requests carrying X-Device-Id heartbeat that device in the registry
+ * (throttled), and a revoked device's writes are rejected with 403.
+ *
+ * Writes with X-Device-Id must carry that device's X-Device-Token once it
+ * holds one, or once any device is revoked (deviceService). The
+ * registration heartbeat checks the token itself, so new devices can join,
+ * and lets a revoked device through so it learns it has been revoked.
+ *
+ * Optional headers: X-Device-Hostname, X-Device-Platform, X-Agent-Version.
+ * Must be used AFTER requireAuth, so unauthenticated callers cannot register devices.
+ */
+
+const { noteDeviceActivity, ensureDeviceCredential } = require('../services/deviceService');
+const { MemoryServiceError, ensureDeviceActive } = require('../services/memoryService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const REGISTRATION_PATH = '/api/devices/heartbeat';
+
+function trackDevice(req, res, next) {
+  const header = String(req.headers['x-device-id'] || '').trim();
+  const deviceId = header && !header.includes('/') && header.length <= 128 ? header : null;
+  const token = req.headers['x-device-token'] || null;
+
+  if (!READ_METHODS.includes(req.method) && `${req.baseUrl}${req.path}` !== REGISTRATION_PATH) {
+    try {
+      ensureDeviceCredential(deviceId, token);
+      if (deviceId) ensureDeviceActive(deviceId);
+    } catch (error) {
+      if (!(error instanceof MemoryServiceError)) return next(error);
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+  }
+  if (!deviceId) return next();
+
+  try {
+    noteDeviceActivity(deviceId, {
+      hostname: req.headers['x-device-hostname'],
+      platform: req.headers['x-device-platform'],
+      agent_version: req.headers['x-agent-version'],
+      ip: req.ip,
+      kind: 'http',
+    }, token);
+  } catch (error) {
+    console.error('[DEVICES] Heartbeat failed:', error.message);
+  }
+  return next();
+}
+
+module.exports = { trackDevice };
@@ -16,6 +16,11 @@ const {
   assertAdminChat,
   triggerBackendRestart,
 } = require('../services/telegramControlService');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { trackDevice } = require('../middleware/deviceTracker');
+const { runGarbageCollection } = require('../services/gcService');
+const { MemoryServiceError } = require('../services/memoryService');
+const { listSnapshots, createSnapshot, restoreSnapshot } = require('../services/snapshotService');
 
 const router = Router();
 
@@ -146,4 +151,57 @@ router.post('/restart-backend', async (req, res, next) => {
   }
 });
 
+// Firebase/agent-authenticated (not Telegram) — owner runs the retention policy on demand
+router.post('/gc', requireAuth, requireOwner, trackDevice, (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const report = runGarbageCollection({
+      tombstoneRetentionDays: body.tombstone_retention_days,
+      queueRetentionDays: body.queue_retention_days,
+      dryRun: body.dry_run === true,
+      actorUid: req.user.uid,
+    });
+    return res.json(report);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// ── SQLite snapshots (owner, Bearer auth) ─────────────
+
+function snapshotError(error, res, next) {
+  if (error instanceof MemoryServiceError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  return next(error);
+}
+
+router.get('/snapshots', requireAuth, requireOwner, (_req, res) => {
+  res.json({ snapshots: listSnapshots() });
+});
+
+router.post('/snapshots', requireAuth, requireOwner, trackDevice, async (_req, res, next) => {
+  try {
+    return res.json(await createSnapshot());
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post('/snapshots/:id/restore', requireAuth, requireOwner, trackDevice, async (req, res, next) => {
+  try {
+    const context = {
+      uid: req.user.uid,
+      deviceId: req.headers['x-device-id'] || process.env.DEVICE_ID || 'backend-primary',
+    };
+    const result = await restoreSnapshot(context, req.params.id, {
+      scope: req.body?.scope || undefined,
+      dryRun: req.body?.dry_run === true,
+    });
+    return res.json(result);
+  } catch (error) {
+    return snapshotError(error, res, next);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
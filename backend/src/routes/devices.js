@@ -0,0 +1,75 @@
+/**
+ * Device registry routes.
+ *
+ * GET  /api/devices               → every known device with status, heartbeat and revocation
+ * GET  /api/devices/:id           → one device
+ * POST /api/devices/heartbeat     → register / heartbeat { device_id, hostname, platform, agent_version, kind };
+ *                                   issues `device_token` once, to be sent as X-Device-Token from then on
+ * POST /api/devices/:id/revoke    → revoke { reason?, quarantine?, since? } (owner)
+ * POST /api/devices/:id/reinstate → lift a revocation (owner)
+ */
+
+const { Router } = require('express');
+const router = Router();
+const { requireOwner } = require('../middleware/auth');
+const { writeLimiter } = require('../middleware/rateLimiter');
+const { MemoryServiceError } = require('../services/memoryService');
+const {
+  listDevices, getDevice, recordHeartbeat, revokeDevice, reinstateDevice,
+} = require('../services/deviceService');
+
+function ctx(req) {
+  return { uid: req.user?.uid, deviceId: req.headers['x-device-id'] || undefined };
+}
+
+function serviceError(error, res, next) {
+  if (error instanceof MemoryServiceError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  return next(error);
+}
+
+router.get('/', (req, res, next) => {
+  try {
+    return res.json(listDevices(ctx(req)));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.post('/heartbeat', async (req, res, next) => {
+  try {
+    return res.json(await recordHeartbeat(ctx(req), req.body || {}, {
+      ip: req.ip,
+      token: req.headers['x-device-token'] || null,
+    }));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.get('/:id', (req, res, next) => {
+  try {
+    return res.json(getDevice(ctx(req), req.params.id));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.post('/:id/revoke', requireOwner, writeLimiter, async (req, res, next) => {
+  try {
+    return res.json(await revokeDevice(ctx(req), req.params.id, req.body || {}));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.post('/:id/reinstate', requireOwner, writeLimiter, async (req, res, next) => {
+  try {
+    return res.json(await reinstateDevice(ctx(req), req.params.id));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+module.exports = router;
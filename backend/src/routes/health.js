@@ -42,6 +42,19 @@ router.get('/metrics', (_req, res) => {
   });
 });
 
+/** Scheduler state for an unauthenticated caller: status and timestamps, no result details or error text */
+function publicSchedulerState(scheduler) {
+  return {
+    enabled: scheduler.enabled,
+    running: scheduler.running,
+    nextRunAt: scheduler.nextRunAt,
+    lastRunAt: scheduler.lastRunAt,
+    lastSuccessAt: scheduler.lastSuccessAt,
+    lastOk: scheduler.lastResult ? scheduler.lastResult.ok : null,
+    consecutiveFailures: scheduler.consecutiveFailures,
+  };
+}
+
 router.get('/mcp', (_req, res) => {
   const diagnostics = getMcpDiagnostics();
   const mcp = getMcpHealth();
@@ -65,6 +78,7 @@ router.get('/mcp', (_req, res) => {
     sqliteReady: mcp.sqliteReady,
     firestoreReady: mcp.firestoreReady,
     syncQueueDepth: mcp.syncQueueDepth,
+    syncScheduler: publicSchedulerState(mcp.syncScheduler),
   });
 });
 
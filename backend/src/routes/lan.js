@@ -0,0 +1,47 @@
+/**
+ * LAN peer routes — served to other devices' backends, not to users.
+ *
+ * GET /api/lan/hello    → this device's id
+ * GET /api/lan/changes  → docs changed since ?since=<cursor>, plus the next cursor
+ *
+ * Requests carry an HMAC signature under the shared LAN_SYNC_KEY instead of
+ * a Firebase token; responses are signed back (see sync/lan.js).
+ */
+
+const { Router } = require('express');
+const router = Router();
+const { verifyPeerRequest, signResponse } = require('../sync/lan');
+const { collectChanges } = require('../sync/engine');
+const { MemoryServiceError } = require('../services/memoryService');
+
+const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
+
+function sendSigned(req, res, payload) {
+  const body = JSON.stringify(payload);
+  res.set('X-Lan-Signature', signResponse(req, body));
+  return res.type('application/json').send(body);
+}
+
+router.use((req, res, next) => {
+  try {
+    req.peerDeviceId = verifyPeerRequest(req);
+    return next();
+  } catch (error) {
+    if (error instanceof MemoryServiceError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    return next(error);
+  }
+});
+
+router.get('/hello', (req, res) => sendSigned(req, res, { device_id: DEVICE_ID }));
+
+router.get('/changes', (req, res, next) => {
+  try {
+    return sendSigned(req, res, collectChanges(req.query.since || null));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
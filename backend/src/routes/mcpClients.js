@@ -5,6 +5,7 @@
  * GET    /api/mcp/clients            → list all MCP clients
  * GET    /api/mcp/clients/:id        → get single client
  * PUT    /api/mcp/clients/:id        → update client (enable/disable, perms)
+ * DELETE /api/mcp/clients/:id        → remove client (tombstone, syncs to every device)
  * POST   /api/mcp/clients/:id/test   → test MCP connectivity
  */
 
@@ -17,6 +18,7 @@ const {
   listMcpClients,
   getMcpClient,
   updateMcpClient,
+  deleteMcpClient,
   testMcpClient,
   reconnectMcpClient,
   VALID_CLIENT_TYPES,
@@ -64,7 +66,7 @@ router.get('/:id', async (req, res, next) => {
 
 router.post('/', writeLimiter, async (req, res, next) => {
   try {
-    const result = createMcpClient(ctx(req), req.body);
+    const result = await createMcpClient(ctx(req), req.body);
     return res.status(201).json(result);
   } catch (error) {
     return handleError(error, res, next);
@@ -73,7 +75,16 @@ router.post('/', writeLimiter, async (req, res, next) => {
 
 router.put('/:id', writeLimiter, async (req, res, next) => {
   try {
-    const result = updateMcpClient(ctx(req), req.params.id, req.body);
+    const result = await updateMcpClient(ctx(req), req.params.id, req.body);
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.delete('/:id', writeLimiter, async (req, res, next) => {
+  try {
+    const result = await deleteMcpClient(ctx(req), req.params.id);
     return res.json(result);
   } catch (error) {
     return handleError(error, res, next);
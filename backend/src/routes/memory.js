@@ -3,25 +3,39 @@
  * Delegates all data semantics to shared memoryService.
  */
 
-const { Router } = require('express');
+const express = require('express');
+const { Readable, pipeline } = require('stream');
+const { Router } = express;
 const router = Router();
 
 const { writeLimiter } = require('../middleware/rateLimiter');
 const {
   MemoryServiceError,
+  ensureAuth,
   listGlobalMemory,
   getGlobalMemory,
   setGlobalMemory,
   deleteGlobalMemory,
   restoreGlobalMemory,
+  getGlobalMemoryHistory,
+  revertGlobalMemory,
   listProjectMemory,
   getProjectMemory,
   setProjectMemory,
   deleteProjectMemory,
   restoreProjectMemory,
+  getProjectMemoryHistory,
+  revertProjectMemory,
+  applyMemoryBatch,
+  quarantineMemories,
+  restoreInfection,
 } = require('../services/memoryService');
+const { exportMemories, archiveHeader, importMemories } = require('../services/archiveService');
+const { exportVault, importVault } = require('../services/vaultService');
+const { subscribeChanges } = require('../services/changeFeedService');
 
 const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
+const SSE_HEARTBEAT_MS = 15000;
 
 function requestContext(req) {
   return {
@@ -32,13 +46,167 @@ function requestContext(req) {
   };
 }
 
+/** Parse an If-Match header (`3`, `"3"` or `W/"3"`) into an expected revision */
+function expectedRevisionFrom(req) {
+  const header = req.headers['if-match'];
+  if (header === undefined || header === '*') return undefined;
+  const raw = String(header).trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+  if (!/^\d+$/.test(raw)) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'If-Match must be a revision number');
+  }
+  return Number(raw);
+}
+
 function handleError(error, res, next) {
   if (error instanceof MemoryServiceError) {
-    return res.status(error.status).json({ error: error.message, code: error.code });
+    const body = { error: error.message, code: error.code };
+    if (error.details) body.details = error.details;
+    return res.status(error.status).json(body);
   }
   return next(error);
 }
 
+router.post('/batch', writeLimiter, async (req, res, next) => {
+  try {
+    const { operations } = req.body || {};
+    const result = await applyMemoryBatch(requestContext(req), operations);
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+/** NDJSON lines for the first entry (already read) and the rest */
+function* ndjsonLines(first, entries) {
+  if (first.done) return;
+  yield `${JSON.stringify(first.value)}\n`;
+  for (const entry of entries) yield `${JSON.stringify(entry)}\n`;
+}
+
+// NDJSON (default) streams one entry per line; format=json wraps them in an archive object
+router.get('/export', (req, res, next) => {
+  try {
+    const scope = req.query.scope || undefined;
+    const format = req.query.format === 'json' ? 'json' : 'ndjson';
+    const entries = exportMemories(requestContext(req), {
+      scope,
+      includeDeleted: req.query.includeDeleted !== 'false',
+    });
+    const first = entries.next(); // runs the auth check before headers go out
+    const stamp = new Date().toISOString().slice(0, 10);
+    const name = `memory-${scope || 'all'}-${stamp}.${format === 'json' ? 'json' : 'ndjson'}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+    if (format === 'json') {
+      const all = first.done ? [] : [first.value, ...entries];
+      return res.json({ ...archiveHeader(scope), count: all.length, entries: all });
+    }
+
+    res.type('application/x-ndjson');
+    // pipeline waits for 'drain'; past the headers a failure can only cut the response short
+    return pipeline(Readable.from(ndjsonLines(first, entries)), res, (error) => {
+      if (error) console.error('[EXPORT] Aborted:', error.message);
+    });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+// Server-Sent Events: one `change` event per memory write, id = change sequence.
+// Resume with the Last-Event-ID header (or ?lastEventId=); ?scope=global|<projectId> filters.
+router.get('/changes/stream', (req, res, next) => {
+  try {
+    ensureAuth(requestContext(req));
+    const resumeFrom = req.headers['last-event-id'] ?? req.query.lastEventId;
+    if (resumeFrom !== undefined && !/^\d+$/.test(String(resumeFrom))) {
+      throw new MemoryServiceError(400, 'BAD_REQUEST', 'Last-Event-ID must be a change sequence number');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    const unsubscribe = subscribeChanges((event) => {
+      res.write(`id: ${event.seq}\nevent: change\ndata: ${JSON.stringify(event)}\n\n`);
+    }, {
+      after: resumeFrom === undefined ? undefined : Number(resumeFrom),
+      scope: req.query.scope || undefined,
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    return undefined;
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+// Body: NDJSON or a JSON archive as text, or a parsed JSON archive / array
+router.post(
+  '/import',
+  writeLimiter,
+  express.text({ type: ['application/x-ndjson', 'application/ndjson', 'text/plain'], limit: '50mb' }),
+  async (req, res, next) => {
+    try {
+      const result = await importMemories(requestContext(req), req.body, {
+        mode: req.query.mode || 'merge',
+        dryRun: req.query.dry_run === 'true',
+        scope: req.query.scope || undefined,
+      });
+      return res.json(result);
+    } catch (error) {
+      return handleError(error, res, next);
+    }
+  }
+);
+
+// Markdown / Obsidian vault in a folder on the backend host (owner-only)
+router.post('/vault/export', writeLimiter, (req, res, next) => {
+  try {
+    const { path: vaultPath, scope } = req.body || {};
+    return res.json(exportVault(requestContext(req), vaultPath, { scope }));
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.post('/vault/import', writeLimiter, async (req, res, next) => {
+  try {
+    const { path: vaultPath, scope, dry_run: dryRun } = req.body || {};
+    const result = await importVault(requestContext(req), vaultPath, { scope, dryRun: dryRun === true });
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.post('/quarantine', writeLimiter, async (req, res, next) => {
+  try {
+    const { reason, dry_run: dryRun, ...filter } = req.body || {};
+    const result = await quarantineMemories(requestContext(req), filter, { reason, dryRun: dryRun === true });
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.post('/restore-infection', writeLimiter, async (req, res, next) => {
+  try {
+    const { infection_id: infectionId, dry_run: dryRun } = req.body || {};
+    const result = await restoreInfection(requestContext(req), infectionId, { dryRun: dryRun === true });
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
 router.get('/global', async (req, res, next) => {
   try {
     const includeDeleted = req.query.includeDeleted === 'true';
@@ -53,6 +221,16 @@ router.get('/global/:key', async (req, res, next) => {
   try {
     const includeDeleted = req.query.includeDeleted === 'true';
     const result = await getGlobalMemory(requestContext(req), req.params.key, includeDeleted);
+    res.set('ETag', `"${result.revision || 0}"`);
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.get('/global/:key/history', async (req, res, next) => {
+  try {
+    const result = await getGlobalMemoryHistory(requestContext(req), req.params.key, req.query.limit);
     return res.json(result);
   } catch (error) {
     return handleError(error, res, next);
@@ -61,8 +239,12 @@ router.get('/global/:key', async (req, res, next) => {
 
 router.post('/global', writeLimiter, async (req, res, next) => {
   try {
-    const { key, value } = req.body;
-    const result = await setGlobalMemory(requestContext(req), key, value);
+    const { key, value, expires_at: expiresAt, ttl_seconds: ttlSeconds } = req.body;
+    const result = await setGlobalMemory(requestContext(req), key, value, {
+      expectedRevision: expectedRevisionFrom(req),
+      expiresAt,
+      ttlSeconds,
+    });
     return res.json(result);
   } catch (error) {
     return handleError(error, res, next);
@@ -88,6 +270,16 @@ router.post('/global/:key/restore', writeLimiter, async (req, res, next) => {
   }
 });
 
+router.post('/global/:key/revert', writeLimiter, async (req, res, next) => {
+  try {
+    const { revision } = req.body || {};
+    const result = await revertGlobalMemory(requestContext(req), req.params.key, revision);
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
 router.get('/project/:projectId', async (req, res, next) => {
   try {
     const includeDeleted = req.query.includeDeleted === 'true';
@@ -105,6 +297,21 @@ router.get('/project/:projectId/:key', async (req, res, next) => {
     }
     const includeDeleted = req.query.includeDeleted === 'true';
     const result = await getProjectMemory(requestContext(req), req.params.projectId, req.params.key, includeDeleted);
+    res.set('ETag', `"${result.revision || 0}"`);
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.get('/project/:projectId/:key/history', async (req, res, next) => {
+  try {
+    const result = await getProjectMemoryHistory(
+      requestContext(req),
+      req.params.projectId,
+      req.params.key,
+      req.query.limit,
+    );
     return res.json(result);
   } catch (error) {
     return handleError(error, res, next);
@@ -113,8 +320,12 @@ router.get('/project/:projectId/:key', async (req, res, next) => {
 
 router.post('/project/:projectId', writeLimiter, async (req, res, next) => {
   try {
-    const { key, value } = req.body;
-    const result = await setProjectMemory(requestContext(req), req.params.projectId, key, value);
+    const { key, value, expires_at: expiresAt, ttl_seconds: ttlSeconds } = req.body;
+    const result = await setProjectMemory(requestContext(req), req.params.projectId, key, value, {
+      expectedRevision: expectedRevisionFrom(req),
+      expiresAt,
+      ttlSeconds,
+    });
     return res.json(result);
   } catch (error) {
     return handleError(error, res, next);
@@ -146,4 +357,19 @@ router.post('/project/:projectId/:key/restore', writeLimiter, async (req, res, n
   }
 });
 
+router.post('/project/:projectId/:key/revert', writeLimiter, async (req, res, next) => {
+  try {
+    const { revision } = req.body || {};
+    const result = await revertProjectMemory(
+      requestContext(req),
+      req.params.projectId,
+      req.params.key,
+      revision,
+    );
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
 module.exports = router;
@@ -5,6 +5,8 @@
  * GET    /api/projects              → list all projects
  * GET    /api/projects/:id          → get single project
  * POST   /api/projects/:id/rescan   → rescan local folder
+ * PUT    /api/projects/:id/local-path → attach a synced project to a folder on this device
+ * DELETE /api/projects/:id          → remove project (tombstone, syncs to every device)
  * POST   /api/projects/scan-preview → preview scan without saving
  * POST   /api/projects/validate-github → validate GitHub URL/username
  */
@@ -18,6 +20,8 @@ const {
   listProjects,
   getProject,
   rescanProject,
+  setProjectLocalPath,
+  deleteProject,
   scanProjectFolder,
   validateGitHubUsername,
   parseGitHubUrl,
@@ -64,7 +68,25 @@ router.post('/', writeLimiter, async (req, res, next) => {
 
 router.post('/:id/rescan', writeLimiter, async (req, res, next) => {
   try {
-    const result = rescanProject(ctx(req), req.params.id);
+    const result = await rescanProject(ctx(req), req.params.id);
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.put('/:id/local-path', writeLimiter, async (req, res, next) => {
+  try {
+    const result = setProjectLocalPath(ctx(req), req.params.id, req.body?.local_path);
+    return res.json(result);
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+});
+
+router.delete('/:id', writeLimiter, async (req, res, next) => {
+  try {
+    const result = await deleteProject(ctx(req), req.params.id);
     return res.json(result);
   } catch (error) {
     return handleError(error, res, next);
@@ -3,15 +3,53 @@
  *
  * POST /api/sync/push              → push offline queue to Firebase
  * POST /api/sync/pull              → incremental pull (accepts ?deviceId=)
- * GET  /api/sync/status            → pending + dead-letter counts
+ * GET  /api/sync/status            → pending + dead-letter counts, scheduler state with the last run's result
  * POST /api/sync/retry-dead-letters → re-attempt dead-letter items
+ * GET  /api/sync/dead-letters      → parked items with error and dead-letter reason
+ * GET  /api/sync/dead-letters/:id  → one dead letter
+ * PUT  /api/sync/dead-letters/:id  → requeue, optionally with an edited payload (owner)
+ * DELETE /api/sync/dead-letters/:id → discard (owner)
+ * GET  /api/sync/verify           → last reconcile report + every device's convergence (?refresh=true re-checks, read-only)
+ * POST /api/sync/reconcile        → compare hash trees with Firestore and repair drift (owner)
+ * GET  /api/sync/lan              → LAN sync config, known peers and their cursors, last run
+ * POST /api/sync/lan              → exchange changes with every LAN peer now
+ * GET  /api/sync/profiles         → sync profile of every registered device + this device
+ * GET  /api/sync/profiles/:deviceId → one device's sync profile
+ * PUT  /api/sync/profiles/:deviceId → set projects / global / tombstone_max_age_days (owner)
+ * GET  /api/sync/conflicts         → recorded sync conflicts (?status=open|resolved|all, ?limit=)
+ * POST /api/sync/conflicts/:id/resolve → keep local / remote / merged value (owner)
  */
 
 const { Router } = require('express');
 const router = Router();
-const { syncPush, syncPull, getSyncStatus, retryDeadLetters } = require('../sync/engine');
+const {
+  syncPush, syncPull, getSyncStatus, retryDeadLetters, getDeviceConvergence,
+} = require('../sync/engine');
+const { runReconcile, getLastReconcileReport } = require('../jobs/reconcileJob');
+const { runLanSync, getLastLanSync } = require('../jobs/lanSyncJob');
+const { getSyncSchedulerState } = require('../jobs/syncScheduler');
+const { getLanStatus } = require('../sync/lan');
 const { requireOwner } = require('../middleware/auth');
 const { writeLimiter } = require('../middleware/rateLimiter');
+const { MemoryServiceError } = require('../services/memoryService');
+const { listSyncConflicts, resolveSyncConflict } = require('../services/syncConflictService');
+const {
+  listDeadLetters, getDeadLetter, requeueDeadLetter, discardDeadLetter,
+} = require('../services/deadLetterService');
+const {
+  listSyncProfiles, getDeviceSyncProfile, updateDeviceSyncProfile,
+} = require('../services/syncProfileService');
+
+const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
+
+function serviceError(error, res, next) {
+  if (error instanceof MemoryServiceError) {
+    const body = { error: error.message, code: error.code };
+    if (error.details) body.details = error.details;
+    return res.status(error.status).json(body);
+  }
+  return next(error);
+}
 
 router.post('/push', writeLimiter, async (_req, res, next) => {
   try {
@@ -29,7 +67,7 @@ router.post('/pull', writeLimiter, async (req, res, next) => {
 });
 
 router.get('/status', (_req, res) => {
-  res.json(getSyncStatus());
+  res.json({ ...getSyncStatus(), scheduler: getSyncSchedulerState() });
 });
 
 router.post('/retry-dead-letters', requireOwner, writeLimiter, async (_req, res, next) => {
@@ -39,4 +77,123 @@ router.post('/retry-dead-letters', requireOwner, writeLimiter, async (_req, res,
   } catch (err) { next(err); }
 });
 
+// ── Reconciliation ─────────────────────────────────────
+
+router.get('/verify', async (req, res, next) => {
+  try {
+    let report = getLastReconcileReport();
+    if (!report || req.query.refresh === 'true') report = await runReconcile({ repair: false });
+    const devices = await getDeviceConvergence(report);
+    res.json({
+      converged: report.converged && devices.every((device) => device.converged && device.matches_remote),
+      report,
+      devices,
+    });
+  } catch (err) { next(err); }
+});
+
+router.post('/reconcile', requireOwner, writeLimiter, async (_req, res, next) => {
+  try {
+    res.json(await runReconcile({ repair: true }));
+  } catch (err) { next(err); }
+});
+
+// ── LAN peers ──────────────────────────────────────────
+
+router.get('/lan', (_req, res) => {
+  res.json({ ...getLanStatus(), last_run: getLastLanSync() });
+});
+
+router.post('/lan', writeLimiter, async (_req, res, next) => {
+  try {
+    res.json(await runLanSync());
+  } catch (err) { next(err); }
+});
+
+// ── Dead letters ───────────────────────────────────────
+
+router.get('/dead-letters', (req, res, next) => {
+  try {
+    return res.json(listDeadLetters({ uid: req.user?.uid }));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.get('/dead-letters/:id', (req, res, next) => {
+  try {
+    return res.json(getDeadLetter({ uid: req.user?.uid }, req.params.id));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.put('/dead-letters/:id', requireOwner, writeLimiter, (req, res, next) => {
+  try {
+    const { payload } = req.body || {};
+    return res.json(requeueDeadLetter({ uid: req.user?.uid }, req.params.id, { payload }));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.delete('/dead-letters/:id', requireOwner, writeLimiter, (req, res, next) => {
+  try {
+    return res.json(discardDeadLetter({ uid: req.user?.uid }, req.params.id));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+// ── Sync profiles ──────────────────────────────────────
+
+router.get('/profiles', (req, res, next) => {
+  try {
+    return res.json(listSyncProfiles({ uid: req.user?.uid }, DEVICE_ID));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.get('/profiles/:deviceId', (req, res, next) => {
+  try {
+    return res.json(getDeviceSyncProfile({ uid: req.user?.uid }, req.params.deviceId));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.put('/profiles/:deviceId', requireOwner, writeLimiter, (req, res, next) => {
+  try {
+    return res.json(updateDeviceSyncProfile({ uid: req.user?.uid }, req.params.deviceId, req.body || {}));
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+// ── Conflicts ──────────────────────────────────────────
+
+router.get('/conflicts', (req, res, next) => {
+  try {
+    const result = listSyncConflicts({ uid: req.user?.uid }, {
+      status: req.query.status || undefined,
+      limit: req.query.limit,
+    });
+    return res.json(result);
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
+router.post('/conflicts/:id/resolve', requireOwner, writeLimiter, async (req, res, next) => {
+  try {
+    const context = { uid: req.user?.uid, deviceId: req.headers['x-device-id'] || DEVICE_ID };
+    const { resolution, value } = req.body || {};
+    const result = await resolveSyncConflict(context, req.params.id, { resolution, value });
+    return res.json(result);
+  } catch (error) {
+    return serviceError(error, res, next);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,295 @@
+/**
+ * Archive Service — whole-brain export/import as NDJSON or a JSON archive.
+ *
+ * Every line / entry carries the full row: value, revision and tombstone
+ * fields, so an export can be replayed into another backend.
+ *
+ * Import modes:
+ *   merge    — apply entries whose revision is newer than the local one;
+ *              older or diverged entries are reported as conflicts and skipped.
+ *   replace  — the archive becomes the truth for the scopes it covers:
+ *              every differing entry is written and live keys missing from
+ *              the archive are tombstoned (owner-only).
+ *
+ * Imported writes get fresh local revisions (same as sync pull); dry-run
+ * reports the plan and conflicts without writing anything.
+ */
+
+const sqlite = require('../db/sqlite');
+const {
+  MemoryServiceError,
+  ensureAuth,
+  ensureOwner,
+  executeBatch,
+} = require('./memoryService');
+
+const ARCHIVE_FORMAT = 'swastik-memory-archive';
+const ARCHIVE_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+
+/** 'global' | projectId | undefined → sqlite filter */
+function scopeFilter(scope) {
+  if (!scope) return {};
+  if (scope === 'global') return { scope: 'global' };
+  return { scope: 'project', projectId: scope };
+}
+
+// ── Export ─────────────────────────────────────────────
+
+function toArchiveEntry(row) {
+  return {
+    scope: row.scope,
+    project_id: row.project_id || null,
+    key: row.key,
+    value: JSON.parse(row.value),
+    revision: row.revision,
+    updated_at: row.updated_at,
+    updated_by: row.updated_by,
+    source_device_id: row.source_device_id,
+    deleted: !!row.deleted,
+    deleted_at: row.deleted_at,
+    deleted_by: row.deleted_by,
+    delete_reason: row.delete_reason,
+    infection_id: row.infection_id,
+    expires_at: row.expires_at,
+    hlc: row.hlc,
+  };
+}
+
+/**
+ * Generator of archive entries; tombstones are included unless asked not to.
+ * @param {object} opts  { scope: 'global'|projectId, includeDeleted = true }
+ */
+function* exportMemories(context, { scope, includeDeleted = true } = {}) {
+  ensureAuth(context);
+  for (const row of sqlite.iterateMemoryRows({ ...scopeFilter(scope), includeDeleted })) {
+    yield toArchiveEntry(row);
+  }
+}
+
+function archiveHeader(scope) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    scope: scope || 'all',
+  };
+}
+
+// ── Import ─────────────────────────────────────────────
+
+/**
+ * Accept a JSON archive ({ entries }), a JSON array, or NDJSON text.
+ * @returns {object[]} raw entries
+ */
+function parseArchive(input) {
+  if (Array.isArray(input)) return input;
+  if (input && typeof input === 'object') {
+    if (Array.isArray(input.entries)) return input.entries;
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'JSON archive must have an entries array');
+  }
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'Import body is empty');
+  }
+
+  try {
+    const whole = JSON.parse(input);
+    if (Array.isArray(whole) || Array.isArray(whole?.entries)) return parseArchive(whole);
+  } catch {
+    // Not a single JSON document — treat as NDJSON
+  }
+
+  const entries = [];
+  input.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new MemoryServiceError(400, 'BAD_REQUEST', `Invalid JSON on line ${index + 1}`, { line: index + 1 });
+    }
+    if (entry && entry.format === ARCHIVE_FORMAT) return; // optional header line
+    entries.push(entry);
+  });
+  return entries;
+}
+
+function validateEntry(entry, index) {
+  const fail = (message) => {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', `Entry ${index + 1}: ${message}`, { entry: index + 1 });
+  };
+  if (!entry || typeof entry !== 'object') fail('must be an object');
+  if (!entry.key || typeof entry.key !== 'string') fail('key is required');
+  if (entry.scope !== 'global' && entry.scope !== 'project') fail("scope must be 'global' or 'project'");
+  if (entry.scope === 'project' && !entry.project_id) fail('project_id is required for project entries');
+  if (!entry.deleted && entry.value === undefined) fail('value is required for live entries');
+  if (entry.revision !== undefined && !Number.isInteger(entry.revision)) fail('revision must be an integer');
+}
+
+function batchScope(entry) {
+  return entry.scope === 'global' ? 'global' : entry.project_id;
+}
+
+function entryId(scope, key) {
+  return `${scope}\u0000${key}`;
+}
+
+function currentRow(entry) {
+  return entry.scope === 'global'
+    ? sqlite.getGlobalMemoryFull(entry.key)
+    : sqlite.getProjectMemoryFull(entry.project_id, entry.key);
+}
+
+function sameContent(entry, current) {
+  return !!entry.deleted === !!current.deleted
+    && (entry.deleted || JSON.stringify(entry.value) === JSON.stringify(current.value));
+}
+
+/** Batch operations that turn `current` into the archived entry */
+function operationsFor(entry, current) {
+  const scope = batchScope(entry);
+  const reason = entry.delete_reason || 'Imported tombstone';
+  const tombstone = {
+    op: 'delete', scope, key: entry.key, reason, infection_id: entry.infection_id || null,
+  };
+
+  if (entry.deleted) {
+    if (current && current.deleted) return [];
+    // A tombstone needs a row to land on
+    return current ? [tombstone] : [{ op: 'set', scope, key: entry.key, value: entry.value ?? null }, tombstone];
+  }
+  return [{ op: 'set', scope, key: entry.key, value: entry.value, expires_at: entry.expires_at || undefined }];
+}
+
+/** Live keys in the scopes an archive covers, for replace mode */
+function liveKeysInScopes(scopes) {
+  const rows = [];
+  for (const scope of scopes) {
+    if (scope === 'global') {
+      rows.push(...sqlite.getAllGlobalMemory(false).map((row) => ({ scope, key: row.key })));
+    } else {
+      rows.push(...sqlite.getAllProjectMemory(scope, false).map((row) => ({ scope, key: row.key })));
+    }
+  }
+  return rows;
+}
+
+/** Every scope with live entries right now */
+function allLiveScopes() {
+  const projectIds = sqlite.getDB()
+    .prepare('SELECT DISTINCT project_id FROM project_memory WHERE deleted = 0')
+    .pluck()
+    .all();
+  return ['global', ...projectIds];
+}
+
+/**
+ * Import an archive.
+ * @param {object} opts  { mode: 'merge'|'replace', dryRun, scope } — scope limits
+ *                       which entries are imported and what replace may tombstone;
+ *                       allScopes makes replace cover every scope, not just the
+ *                       archive's; auditAction labels the Firestore audit entry
+ */
+async function importMemories(context, input, {
+  mode = 'merge',
+  dryRun = false,
+  scope,
+  allScopes = false,
+  auditAction = 'IMPORT',
+} = {}) {
+  ensureAuth(context);
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', `mode must be one of ${IMPORT_MODES.join(', ')}`);
+  }
+  if (mode === 'replace') ensureOwner(context);
+
+  const entries = parseArchive(input);
+  entries.forEach(validateEntry);
+
+  const now = Date.now();
+  const plan = { create: 0, update: 0, delete: 0, unchanged: 0, expired: 0, out_of_scope: 0 };
+  const conflicts = [];
+  const operations = [];
+  const covered = new Set();
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const entryScope = batchScope(entry);
+    if (scope && entryScope !== scope) {
+      plan.out_of_scope++;
+      continue;
+    }
+    covered.add(entryScope);
+    seen.add(entryId(entryScope, entry.key));
+
+    if (!entry.deleted && entry.expires_at && new Date(entry.expires_at).getTime() <= now) {
+      plan.expired++;
+      continue;
+    }
+
+    const current = currentRow(entry);
+    if (current && sameContent(entry, current)) {
+      plan.unchanged++;
+      continue;
+    }
+
+    const importRevision = entry.revision || 0;
+    if (current && importRevision <= (current.revision || 0)) {
+      conflicts.push({
+        scope: entryScope,
+        key: entry.key,
+        import_revision: importRevision,
+        current_revision: current.revision,
+        import_deleted: !!entry.deleted,
+        current_deleted: !!current.deleted,
+      });
+      if (mode === 'merge') continue;
+    }
+
+    const ops = operationsFor(entry, current);
+    if (ops.length === 0) {
+      plan.unchanged++;
+      continue;
+    }
+    if (!current) plan.create++;
+    else if (entry.deleted) plan.delete++;
+    else plan.update++;
+    operations.push(...ops);
+  }
+
+  if (mode === 'replace') {
+    let covering = [...covered];
+    if (scope) covering = [scope];
+    else if (allScopes) covering = allLiveScopes();
+    for (const row of liveKeysInScopes(covering)) {
+      if (seen.has(entryId(row.scope, row.key))) continue;
+      plan.delete++;
+      operations.push({ op: 'delete', scope: row.scope, key: row.key, reason: 'Import replace' });
+    }
+  }
+
+  // Deletes are owner-only; check up front so a tombstone for a missing key
+  // cannot land its set and then fail its delete, reviving the content
+  if (operations.some((op) => op.op === 'delete')) ensureOwner(context);
+
+  const report = {
+    mode,
+    dry_run: dryRun,
+    entries: entries.length,
+    plan,
+    conflicts,
+    conflict_policy: mode === 'merge' ? 'skip' : 'overwrite',
+  };
+  if (dryRun || operations.length === 0) return report;
+
+  const result = await executeBatch(context, operations, auditAction, { mode, entries: entries.length });
+  return { ...report, ...result };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  toArchiveEntry,
+  exportMemories,
+  archiveHeader,
+  importMemories,
+};
@@ -0,0 +1,113 @@
+/**
+ * Change Feed Service — live memory change events for SSE subscribers.
+ *
+ * The feed is memory_history: every set, tombstone, restore, revert and
+ * sync-pull application already appends a row there, and its id is a
+ * persisted, monotonically increasing sequence — so clients resume with
+ * Last-Event-ID and writes from other processes sharing the SQLite file
+ * (the STDIO MCP server, the agent) show up too.
+ *
+ * One poller (CHANGE_FEED_POLL_MS, default 1000) reads new rows while at
+ * least one subscriber is connected and fans them out.
+ */
+
+const sqlite = require('../db/sqlite');
+
+const DEFAULT_POLL_MS = 1000;
+const BATCH_LIMIT = 500;
+
+const subscribers = new Set();
+let timer = null;
+let lastSeq = 0;
+
+/** History row → feed event payload */
+function toChangeEvent(row) {
+  return {
+    seq: row.seq,
+    operation: row.operation,
+    origin: row.origin || 'local',
+    scope: row.scope,
+    project_id: row.project_id || null,
+    key: row.key,
+    revision: row.revision,
+    deleted: row.deleted,
+    hlc: row.hlc,
+    source_device_id: row.source_device_id,
+    updated_at: row.updated_at,
+  };
+}
+
+function matches(subscriber, event) {
+  if (!subscriber.scope) return true;
+  if (subscriber.scope === 'global') return event.scope === 'global';
+  return event.scope === 'project' && event.project_id === subscriber.scope;
+}
+
+function poll() {
+  let rows;
+  try {
+    rows = sqlite.getMemoryChangesSince(lastSeq, { limit: BATCH_LIMIT });
+  } catch (error) {
+    console.error('[CHANGE FEED] Poll failed:', error.message);
+    return;
+  }
+  for (const row of rows) {
+    const event = toChangeEvent(row);
+    lastSeq = event.seq;
+    for (const subscriber of subscribers) {
+      if (event.seq > subscriber.after && matches(subscriber, event)) subscriber.listener(event);
+    }
+  }
+  // A full batch means more are waiting — keep draining before the next tick
+  if (rows.length === BATCH_LIMIT) setImmediate(poll);
+}
+
+function startPolling() {
+  if (timer) return;
+  lastSeq = sqlite.getLatestChangeSeq();
+  timer = setInterval(poll, Number(process.env.CHANGE_FEED_POLL_MS) || DEFAULT_POLL_MS);
+  timer.unref();
+}
+
+function stopPolling() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Events after `after` (a sequence id; default = now, no backlog) in `scope`
+ * ('global' | projectId | undefined for all). Missed events are replayed
+ * from history before live delivery starts.
+ * @returns {() => void} unsubscribe
+ */
+function subscribeChanges(listener, { after, scope } = {}) {
+  const subscriber = { listener, scope, after: 0 };
+  const filter = !scope ? {} : scope === 'global' ? { scope: 'global' } : { scope: 'project', projectId: scope };
+
+  startPolling();
+  const live = lastSeq;
+  if (Number.isInteger(after) && after >= 0) {
+    // Replay what was missed up to the poller's position, then go live
+    let cursor = after;
+    for (;;) {
+      const rows = sqlite.getMemoryChangesSince(cursor, { ...filter, limit: BATCH_LIMIT })
+        .filter((row) => row.seq <= live);
+      rows.forEach((row) => listener(toChangeEvent(row)));
+      if (rows.length < BATCH_LIMIT) break;
+      cursor = rows[rows.length - 1].seq;
+    }
+  }
+  subscriber.after = live;
+  subscribers.add(subscriber);
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) stopPolling();
+  };
+}
+
+function getLatestChangeSeq() {
+  return sqlite.getLatestChangeSeq();
+}
+
+module.exports = { subscribeChanges, getLatestChangeSeq };
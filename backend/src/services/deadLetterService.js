@@ -0,0 +1,88 @@
+/**
+ * Dead Letter Service — inspect, repair or discard parked sync_queue items.
+ *
+ * The sync engine parks an item as a dead letter when its error is
+ * permanent or it keeps failing while other items sync (see
+ * sync/retryPolicy.js). Nothing replays it automatically: the owner either
+ * fixes its payload and requeues it, or discards it.
+ */
+
+const sqlite = require('../db/sqlite');
+const { MemoryServiceError, ensureAuth, ensureOwner } = require('./memoryService');
+
+/** Queue row → API shape with the payload parsed (kept raw if unparseable) */
+function toDeadLetter(row) {
+  let payload = row.payload;
+  if (payload) {
+    try { payload = JSON.parse(payload); } catch { /* shown as stored */ }
+  }
+  return {
+    id: row.id,
+    collection: row.collection,
+    doc_path: row.doc_path,
+    operation: row.operation,
+    payload,
+    attempts: row.retry_count,
+    last_error: row.last_error,
+    error_kind: row.error_kind,
+    dead_reason: row.dead_reason,
+    created_at: row.created_at,
+  };
+}
+
+function loadDeadLetter(id) {
+  const row = sqlite.getSyncItem(Number(id));
+  if (!row || !row.dead_letter || row.synced) {
+    throw new MemoryServiceError(404, 'NOT_FOUND', 'Dead letter not found');
+  }
+  return row;
+}
+
+function listDeadLetters(context) {
+  ensureAuth(context);
+  const deadLetters = sqlite.getDeadLetterItems().map(toDeadLetter);
+  return { count: deadLetters.length, deadLetters };
+}
+
+function getDeadLetter(context, id) {
+  ensureAuth(context);
+  return toDeadLetter(loadDeadLetter(id));
+}
+
+/**
+ * Requeue a dead letter for the next push (owner-only), optionally with a
+ * corrected payload. Attempts and backoff start over.
+ */
+function requeueDeadLetter(context, id, { payload } = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+  const row = loadDeadLetter(id);
+  if (payload !== undefined && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'payload must be an object');
+  }
+
+  sqlite.requeueDeadLetter(row.id, payload);
+  sqlite.logAudit('REQUEUE_DEAD_LETTER', row.collection, row.doc_path, context.uid, {
+    queue_id: row.id,
+    edited: payload !== undefined,
+  });
+  return toDeadLetter(sqlite.getSyncItem(row.id));
+}
+
+/** Drop a dead letter for good (owner-only) */
+function discardDeadLetter(context, id) {
+  ensureAuth(context);
+  ensureOwner(context);
+  const row = loadDeadLetter(id);
+
+  sqlite.discardDeadLetter(row.id);
+  sqlite.logAudit('DISCARD_DEAD_LETTER', row.collection, row.doc_path, context.uid, {
+    queue_id: row.id,
+    operation: row.operation,
+    dead_reason: row.dead_reason,
+    payload: row.payload,
+  });
+  return { discarded: true, id: row.id };
+}
+
+module.exports = { listDeadLetters, getDeadLetter, requeueDeadLetter, discardDeadLetter };
@@ -0,0 +1,257 @@
+/**
+ * Device Service — registry of the devices that use this brain.
+ *
+ * The agent, the MCP STDIO server and HTTP callers sending X-Device-Id
+ * register and heartbeat with hostname, platform, agent version and IP.
+ * The registry lives in the local `devices` table and is mirrored to
+ * Firestore devices/{id} (best-effort), so every backend sees every device.
+ * A device without a heartbeat for DEVICE_OFFLINE_AFTER_MS goes offline
+ * (jobs/deviceMonitor.js).
+ *
+ * Owners can revoke a device: its writes are rejected here (memoryService),
+ * by sync pull and by LAN peers, and its memory can be quarantined in one go.
+ *
+ * Registration issues each device a token (X-Device-Token), kept hashed in
+ * this backend's registry and never mirrored. A device that holds one must
+ * present it, and once any device is revoked every HTTP write naming a
+ * device (X-Device-Id) needs that device's token, so a revoked device cannot
+ * write under another registered id. Callers that name no device (HTTP MCP
+ * clients, scripts) are not held to it.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const sqlite = require('../db/sqlite');
+const { getFirestore } = require('../config/firebase');
+const {
+  MemoryServiceError, ensureAuth, ensureOwner, quarantineMemories,
+} = require('./memoryService');
+
+const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
+const ACTIVITY_THROTTLE_MS = 30 * 1000;
+const DEVICE_KINDS = ['agent', 'stdio', 'http', 'backend'];
+
+const lastActivity = new Map(); // deviceId → ms of the last heartbeat from request activity
+
+function badRequest(message) {
+  return new MemoryServiceError(400, 'BAD_REQUEST', message);
+}
+
+/** process.platform → the registry's "windows" | "macos" | "linux" */
+function normalizePlatform(platform) {
+  if (!platform) return null;
+  const value = String(platform).toLowerCase();
+  if (value === 'win32' || value.startsWith('win')) return 'windows';
+  if (value === 'darwin' || value.startsWith('mac')) return 'macos';
+  return value.slice(0, 32);
+}
+
+function parseDeviceId(deviceId) {
+  if (typeof deviceId !== 'string' || !deviceId.trim() || deviceId.includes('/') || deviceId.length > 128) {
+    throw badRequest('device_id must be a non-empty string without "/" (max 128 chars)');
+  }
+  return deviceId.trim();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/** true / false when the device holds a token and `token` does / does not match it; null when it holds none */
+function tokenMatches(row, token) {
+  if (!row?.token_hash) return null;
+  if (!token) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(row.token_hash));
+}
+
+function offlineAfterMs() {
+  return Number(process.env.DEVICE_OFFLINE_AFTER_MS) || 3 * 60 * 1000;
+}
+
+function formatDevice(row) {
+  return {
+    device_id: row.device_id,
+    device_name: row.device_name,
+    hostname: row.hostname,
+    platform: row.platform,
+    agent_version: row.agent_version,
+    ip: row.ip,
+    kind: row.kind,
+    status: row.status,
+    registered_at: row.registered_at,
+    last_heartbeat_at: row.last_heartbeat_at,
+    last_sync: row.last_sync,
+    revoked: !!row.revoked,
+    revoked_by: row.revoked_by,
+    revoke_reason: row.revoke_reason,
+    revocation_updated_at: row.revocation_updated_at,
+    this_backend: row.device_id === DEVICE_ID,
+  };
+}
+
+const REVOCATION_FIELDS = ['revoked', 'revoked_by', 'revoke_reason', 'revocation_updated_at'];
+
+/**
+ * Best-effort copy of a registry row to Firestore devices/{id}. Heartbeats
+ * copy device info only, so a backend that has not yet pulled a revocation
+ * cannot overwrite it; `revocation` copies the revocation fields too.
+ */
+async function mirrorDevice(deviceId, { revocation = false } = {}) {
+  const row = sqlite.getDevice(deviceId);
+  if (!row) return;
+  const doc = formatDevice(row);
+  delete doc.this_backend;
+  delete doc.last_sync; // this backend's pull cursor, not the device's
+  if (!revocation) REVOCATION_FIELDS.forEach((field) => delete doc[field]);
+  try {
+    await getFirestore().collection('devices').doc(deviceId).set(doc, { merge: true });
+  } catch {
+    // Offline: the next heartbeat mirrors it again
+  }
+}
+
+function heartbeat(deviceId, meta) {
+  sqlite.upsertDevice(deviceId, {
+    device_name: meta.device_name ? String(meta.device_name).slice(0, 128) : null,
+    hostname: meta.hostname ? String(meta.hostname).slice(0, 255) : null,
+    platform: normalizePlatform(meta.platform),
+    agent_version: meta.agent_version ? String(meta.agent_version).slice(0, 64) : null,
+    ip: meta.ip || null,
+    kind: DEVICE_KINDS.includes(meta.kind) ? meta.kind : null,
+  });
+}
+
+/**
+ * Explicit heartbeat (agent, POST /api/devices/heartbeat). Registers the
+ * device and issues its token the first time (returned once, as
+ * `device_token`); after that the heartbeat must carry the token.
+ * @param {object} body  { device_id, device_name?, hostname?, platform?, agent_version?, kind? }
+ * @param {object} opts  { ip, token } — the caller's address as the server saw it, its X-Device-Token
+ */
+async function recordHeartbeat(context, body = {}, { ip = null, token = null } = {}) {
+  ensureAuth(context);
+  const deviceId = parseDeviceId(body.device_id);
+  if (tokenMatches(sqlite.getDevice(deviceId), token) === false) {
+    throw new MemoryServiceError(403, 'DEVICE_TOKEN_INVALID', `Invalid device token for ${deviceId}`);
+  }
+  heartbeat(deviceId, { ...body, kind: body.kind || 'agent', ip });
+
+  let issued = null;
+  if (!sqlite.getDevice(deviceId).token_hash) {
+    issued = crypto.randomBytes(32).toString('base64url');
+    sqlite.setDeviceTokenHash(deviceId, hashToken(issued));
+  }
+  await mirrorDevice(deviceId);
+  const device = formatDevice(sqlite.getDevice(deviceId));
+  return issued ? { ...device, device_token: issued } : device;
+}
+
+/**
+ * Check the device credential of an HTTP write: X-Device-Id `deviceId`
+ * (null when absent, and then nothing to check) and its X-Device-Token `token`.
+ */
+function ensureDeviceCredential(deviceId, token) {
+  if (!deviceId) return;
+  const matches = tokenMatches(sqlite.getDevice(deviceId), token);
+  if (matches === false) {
+    throw new MemoryServiceError(403, 'DEVICE_TOKEN_INVALID', `Invalid device token for ${deviceId}`);
+  }
+  if (matches === null && sqlite.hasRevokedDevices()) {
+    throw new MemoryServiceError(
+      403,
+      'DEVICE_TOKEN_REQUIRED',
+      `A device is revoked: writes from ${deviceId} must carry the X-Device-Token issued by POST /api/devices/heartbeat`,
+    );
+  }
+}
+
+/**
+ * Heartbeat from an authenticated request carrying X-Device-Id, at most every
+ * ACTIVITY_THROTTLE_MS. `kind` only applies to a new device, so an agent's
+ * own API calls do not turn it into an 'http' device. Skipped when the
+ * device holds a token the request does not carry.
+ */
+function noteDeviceActivity(deviceId, meta = {}, token = null) {
+  const row = sqlite.getDevice(deviceId);
+  if (tokenMatches(row, token) === false) return;
+  const now = Date.now();
+  if (now - (lastActivity.get(deviceId) || 0) < ACTIVITY_THROTTLE_MS) return;
+  lastActivity.set(deviceId, now);
+  heartbeat(deviceId, { ...meta, kind: row?.kind ? null : meta.kind });
+  mirrorDevice(deviceId);
+}
+
+/** Register and heartbeat a process on this machine (the MCP STDIO server) */
+function registerLocalProcess(deviceId, { kind, version }) {
+  heartbeat(deviceId, { hostname: os.hostname(), platform: process.platform, agent_version: version, kind });
+  mirrorDevice(deviceId);
+}
+
+function listDevices(context) {
+  ensureAuth(context);
+  return { device_id: DEVICE_ID, devices: sqlite.getAllDevices().map(formatDevice) };
+}
+
+function getDevice(context, deviceId) {
+  ensureAuth(context);
+  const row = sqlite.getDevice(deviceId);
+  if (!row) throw new MemoryServiceError(404, 'NOT_FOUND', `Device ${deviceId} not found`);
+  return formatDevice(row);
+}
+
+/**
+ * Revoke a device (owner-only). With `quarantine`, its memory entries are
+ * tombstoned under one infection_id (optionally only those written `since`).
+ * @param {object} body  { reason?, quarantine?, since? }
+ */
+async function revokeDevice(context, deviceId, body = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+  deviceId = parseDeviceId(deviceId);
+  if (deviceId === DEVICE_ID) throw badRequest('This backend cannot revoke its own device');
+
+  const reason = body.reason ? String(body.reason).slice(0, 500) : null;
+  const row = sqlite.setDeviceRevoked(deviceId, true, { by: context.uid, reason });
+  sqlite.logAudit('REVOKE_DEVICE', 'devices', deviceId, context.uid, { reason, quarantine: !!body.quarantine });
+  await mirrorDevice(deviceId, { revocation: true });
+
+  const quarantine = body.quarantine
+    ? await quarantineMemories(
+      context,
+      { sourceDeviceId: deviceId, since: body.since || undefined },
+      { reason: `Device revoked${reason ? `: ${reason}` : ''}` },
+    )
+    : null;
+  return { device: formatDevice(row), quarantine };
+}
+
+/** Lift a revocation (owner-only); quarantined memory stays until restored by infection_id */
+async function reinstateDevice(context, deviceId) {
+  ensureAuth(context);
+  ensureOwner(context);
+  deviceId = parseDeviceId(deviceId);
+  if (!sqlite.getDevice(deviceId)) throw new MemoryServiceError(404, 'NOT_FOUND', `Device ${deviceId} not found`);
+
+  const row = sqlite.setDeviceRevoked(deviceId, false, { by: context.uid });
+  sqlite.logAudit('REINSTATE_DEVICE', 'devices', deviceId, context.uid, {});
+  await mirrorDevice(deviceId, { revocation: true });
+  return { device: formatDevice(row) };
+}
+
+/** Mark devices without a recent heartbeat offline; returns their ids */
+function markOfflineDevices() {
+  const cutoff = new Date(Date.now() - offlineAfterMs()).toISOString();
+  return sqlite.markStaleDevicesOffline(cutoff);
+}
+
+module.exports = {
+  recordHeartbeat,
+  ensureDeviceCredential,
+  noteDeviceActivity,
+  registerLocalProcess,
+  listDevices,
+  getDevice,
+  revokeDevice,
+  reinstateDevice,
+  markOfflineDevices,
+};
@@ -0,0 +1,135 @@
+/**
+ * Embedding Service — pluggable text → vector providers for semantic search.
+ *
+ * Providers implement: { name, dimensions, embed(texts) → Promise<Float32Array[]> }
+ * and must return L2-normalised vectors so cosine similarity is a dot product.
+ *
+ * Built-in provider:
+ *   local-hash  — deterministic hashing vectorizer (default, no network)
+ *
+ * Memory content never leaves the machine unless a provider that sends it
+ * somewhere is registered with registerEmbeddingProvider() and selected
+ * with EMBEDDING_PROVIDER.
+ */
+
+const DEFAULT_PROVIDER = 'local-hash';
+const HASH_DIMENSIONS = 512;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'thing', 'to', 'was', 'we',
+  'what', 'when', 'where', 'which', 'with',
+]);
+
+// ── Local hashing vectorizer ───────────────────────────
+
+/** 32-bit FNV-1a */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** Crude suffix stripping so "tokens"/"token", "deploying"/"deploy" share a feature */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Features: stemmed words (weight 1) + character trigrams of each word
+ * (weight 0.5) so near-spellings and compound keys still overlap.
+ */
+function extractFeatures(text) {
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  for (const word of tokenize(text)) {
+    add(`w:${word}`, 1);
+    const padded = `#${word}#`;
+    for (let index = 0; index + 3 <= padded.length; index += 1) {
+      add(`c:${padded.slice(index, index + 3)}`, 0.5);
+    }
+  }
+  return features;
+}
+
+function normalise(vector) {
+  let norm = 0;
+  for (const component of vector) norm += component * component;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let index = 0; index < vector.length; index += 1) vector[index] /= norm;
+  }
+  return vector;
+}
+
+function hashEmbed(text, dimensions = HASH_DIMENSIONS) {
+  const vector = new Float32Array(dimensions);
+  for (const [feature, weight] of extractFeatures(text)) {
+    const hash = fnv1a(feature);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % dimensions] += sign * (1 + Math.log(weight));
+  }
+  return normalise(vector);
+}
+
+function createLocalHashProvider() {
+  return {
+    name: 'local-hash',
+    dimensions: HASH_DIMENSIONS,
+    embed: async (texts) => texts.map((text) => hashEmbed(text)),
+  };
+}
+
+// ── Registry ───────────────────────────────────────────
+
+const providerFactories = new Map([
+  ['local-hash', createLocalHashProvider],
+]);
+
+const providerCache = new Map();
+
+function registerEmbeddingProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providerCache.delete(name);
+}
+
+function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || DEFAULT_PROVIDER) {
+  if (!providerCache.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown embedding provider: ${name}. Available: ${[...providerFactories.keys()].join(', ')}`);
+    }
+    providerCache.set(name, factory());
+  }
+  return providerCache.get(name);
+}
+
+/** Dot product of two normalised vectors */
+function cosineSimilarity(a, b) {
+  const length = Math.min(a.length, b.length);
+  let dot = 0;
+  for (let index = 0; index < length; index += 1) dot += a[index] * b[index];
+  return dot;
+}
+
+module.exports = {
+  getEmbeddingProvider,
+  registerEmbeddingProvider,
+  cosineSimilarity,
+  hashEmbed,
+};
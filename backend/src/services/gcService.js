@@ -0,0 +1,104 @@
+/**
+ * GC Service — retention policy for tombstones and synced queue rows.
+ *
+ * A tombstone is purged only when it is older than the retention window AND
+ * every registered device's last_sync is past its deleted_at; purging
+ * earlier could let a stale device push the key back to life. Devices that
+ * have never synced, or an empty registry (nothing known about the other
+ * devices yet), block tombstone purges entirely; only revoked devices are
+ * left out. The agent pulls with its own deviceId so its last_sync counts.
+ *
+ * Firestore tombstone docs are left alone so devices that join later still
+ * pull the deletion.
+ *
+ * Env: TOMBSTONE_RETENTION_DAYS (default 30), SYNC_QUEUE_RETENTION_DAYS (default 7)
+ */
+
+const sqlite = require('../db/sqlite');
+const { createApiError } = require('../middleware/errorEnvelope');
+
+const DEFAULT_TOMBSTONE_RETENTION_DAYS = 30;
+const DEFAULT_QUEUE_RETENTION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Date → SQLite datetime() text, the format deleted_at / last_sync use */
+function toSqliteTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function parseRetentionDays(value, fallback, field) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    throw createApiError(`${field} must be a non-negative number of days`, 400, 'BAD_REQUEST');
+  }
+  return days;
+}
+
+/**
+ * Run one GC pass.
+ * @param {object} opts  { tombstoneRetentionDays, queueRetentionDays, dryRun, now }
+ */
+function runGarbageCollection(opts = {}) {
+  const tombstoneDays = parseRetentionDays(
+    opts.tombstoneRetentionDays ?? process.env.TOMBSTONE_RETENTION_DAYS,
+    DEFAULT_TOMBSTONE_RETENTION_DAYS,
+    'tombstone_retention_days'
+  );
+  const queueDays = parseRetentionDays(
+    opts.queueRetentionDays ?? process.env.SYNC_QUEUE_RETENTION_DAYS,
+    DEFAULT_QUEUE_RETENTION_DAYS,
+    'queue_retention_days'
+  );
+  const dryRun = opts.dryRun === true;
+  const now = opts.now ? new Date(opts.now) : new Date();
+
+  const tombstoneCutoff = toSqliteTime(new Date(now.getTime() - tombstoneDays * DAY_MS));
+  const queueCutoff = toSqliteTime(new Date(now.getTime() - queueDays * DAY_MS));
+
+  const horizon = sqlite.getDeviceSyncHorizon();
+  const expired = sqlite.getTombstonesDeletedBefore(tombstoneCutoff);
+
+  const eligible = horizon.unsynced.length > 0 || !horizon.safe_before
+    ? []
+    : expired.filter((row) => row.deleted_at < horizon.safe_before);
+
+  const entries = eligible.map((row) => ({
+    scope: row.scope === 'global' ? 'global' : row.project_id,
+    key: row.key,
+    revision: row.revision,
+    deleted_at: row.deleted_at,
+  }));
+
+  const tombstonesPurged = dryRun ? eligible.length : sqlite.purgeTombstones(eligible);
+  const queuePurged = sqlite.purgeSyncedQueueItems(queueCutoff, dryRun);
+
+  const report = {
+    dry_run: dryRun,
+    ran_at: now.toISOString(),
+    policy: {
+      tombstone_retention_days: tombstoneDays,
+      queue_retention_days: queueDays,
+    },
+    device_horizon: horizon.safe_before,
+    blocking_devices: horizon.unsynced,
+    purged: {
+      tombstones: tombstonesPurged,
+      sync_queue: queuePurged,
+    },
+    // Old enough to purge but not yet seen by every device
+    deferred: expired.length - eligible.length,
+    entries,
+  };
+
+  if (!dryRun && (tombstonesPurged > 0 || queuePurged > 0)) {
+    sqlite.logAudit('GC', 'memory', null, opts.actorUid || 'system:gc', {
+      tombstones: tombstonesPurged,
+      sync_queue: queuePurged,
+      deferred: report.deferred,
+    });
+  }
+  return report;
+}
+
+module.exports = { runGarbageCollection };
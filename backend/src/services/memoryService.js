@@ -1,13 +1,17 @@
 const sqlite = require('../db/sqlite');
 const { getFirestore } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { getEmbeddingProvider, cosineSimilarity } = require('./embeddingService');
+const { tick } = require('../sync/hlc');
 
 const DEFAULT_DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
 
 class MemoryServiceError extends Error {
-  constructor(status, code, message) {
+  constructor(status, code, message, details = null) {
     super(message);
     this.status = status;
     this.code = code;
+    this.details = details;
   }
 }
 
@@ -27,13 +31,26 @@ function ensureOwner(context = {}) {
   }
 }
 
+/** Writes from a revoked device are rejected (see services/deviceService.js) */
+function ensureDeviceActive(deviceId) {
+  if (sqlite.getDeviceRevocation(deviceId)) {
+    throw new MemoryServiceError(403, 'DEVICE_REVOKED', `Device ${deviceId} has been revoked`);
+  }
+}
+
 function asMeta(context = {}) {
+  ensureDeviceActive(context.deviceId || DEFAULT_DEVICE_ID);
   return {
     uid: context.uid,
     sourceDeviceId: context.deviceId || DEFAULT_DEVICE_ID,
   };
 }
 
+/** Give a write its hybrid logical clock stamp (one per write, shared by SQLite and Firestore) */
+function stamp(meta) {
+  return { ...meta, hlc: tick(meta.sourceDeviceId) };
+}
+
 function parsePathParts(collection, docPath) {
   const parts = docPath.split('/');
   if (parts.length === 1) {
@@ -71,6 +88,54 @@ async function addFirestoreAudit(action, collection, docPath, actorUid, details)
   }
 }
 
+// ── Firestore payloads (shared by single writes and batches) ──
+
+/** base_hlc = stamp of the version this write replaced (the sync engine's three-way merge base) */
+function buildSetPayload(meta, value, revision, expiresAt = null, baseHlc = null) {
+  return {
+    value,
+    revision,
+    updated_at: new Date().toISOString(),
+    updated_by: meta.uid,
+    source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
+    base_hlc: baseHlc,
+    deleted: false,
+    expires_at: expiresAt,
+  };
+}
+
+function buildTombstonePayload(meta, details, revision) {
+  return {
+    deleted: true,
+    deleted_at: new Date().toISOString(),
+    deleted_by: meta.uid,
+    delete_reason: details.delete_reason,
+    infection_id: details.infection_id,
+    revision,
+    updated_at: new Date().toISOString(),
+    updated_by: meta.uid,
+    source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
+  };
+}
+
+function buildRestorePayload(meta, revision) {
+  return {
+    deleted: false,
+    deleted_at: null,
+    deleted_by: null,
+    delete_reason: null,
+    infection_id: null,
+    expires_at: null,
+    revision,
+    updated_at: new Date().toISOString(),
+    updated_by: meta.uid,
+    source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
+  };
+}
+
 function formatMcpError(error) {
   if (error instanceof MemoryServiceError) {
     return {
@@ -79,6 +144,7 @@ function formatMcpError(error) {
         code: error.code,
         message: error.message,
         status: error.status,
+        ...(error.details ? { details: error.details } : {}),
       },
     };
   }
@@ -92,6 +158,81 @@ function formatMcpError(error) {
   };
 }
 
+/**
+ * Compare-and-set guard. `expectedRevision` of 0 means "key must not exist yet".
+ * Must run synchronously right before the SQLite write so no other call can interleave.
+ */
+function assertExpectedRevision(current, expectedRevision) {
+  if (expectedRevision === undefined || expectedRevision === null) return;
+
+  const expected = Number(expectedRevision);
+  if (!Number.isInteger(expected) || expected < 0) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'expectedRevision must be a non-negative integer');
+  }
+
+  const currentRevision = current ? (current.revision || 0) : 0;
+  if (currentRevision === expected) return;
+
+  throw new MemoryServiceError(
+    409,
+    'REVISION_CONFLICT',
+    `Expected revision ${expected}, current revision is ${currentRevision}`,
+    {
+      expected_revision: expected,
+      current: current ? {
+        value: current.value,
+        revision: currentRevision,
+        deleted: !!current.deleted,
+        updated_at: current.updated_at,
+        updated_by: current.updated_by,
+        source_device_id: current.source_device_id,
+      } : null,
+    },
+  );
+}
+
+/**
+ * Revision a read reports. Pulls renumber revisions locally, so a Firestore
+ * doc's own revision can differ from the SQLite row assertExpectedRevision
+ * checks; reads always report the SQLite one (0 = not written here yet).
+ */
+function localRevision(full) {
+  return full ? (full.revision || 0) : 0;
+}
+
+/**
+ * Turn `{ expiresAt }` or `{ ttlSeconds }` into an ISO expiry (or null = permanent).
+ * Rewriting a key without either clears any previous expiry.
+ */
+function resolveExpiry(options = {}) {
+  const hasTtl = options.ttlSeconds !== undefined && options.ttlSeconds !== null;
+  const hasExpiresAt = options.expiresAt !== undefined && options.expiresAt !== null;
+  if (hasTtl && hasExpiresAt) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'Pass either expires_at or ttl_seconds, not both');
+  }
+
+  if (hasTtl) {
+    const ttl = Number(options.ttlSeconds);
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      throw new MemoryServiceError(400, 'BAD_REQUEST', 'ttl_seconds must be a positive number');
+    }
+    return new Date(Date.now() + ttl * 1000).toISOString();
+  }
+
+  if (hasExpiresAt) {
+    const expiresAt = new Date(options.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      throw new MemoryServiceError(400, 'BAD_REQUEST', 'expires_at must be an ISO date');
+    }
+    if (expiresAt.getTime() <= Date.now()) {
+      throw new MemoryServiceError(400, 'BAD_REQUEST', 'expires_at must be in the future');
+    }
+    return expiresAt.toISOString();
+  }
+
+  return null;
+}
+
 async function listGlobalMemory(context, includeDeleted = false) {
   ensureAuth(context);
   try {
@@ -113,7 +254,7 @@ async function getGlobalMemory(context, key, includeDeleted = false) {
       if (value.deleted && !includeDeleted) {
         throw new MemoryServiceError(404, 'NOT_FOUND', 'Key not found');
       }
-      return { source: 'firebase', key, ...value };
+      return { source: 'firebase', key, ...value, revision: localRevision(sqlite.getGlobalMemoryFull(key)) };
     }
   } catch (error) {
     if (error instanceof MemoryServiceError) {
@@ -128,26 +269,25 @@ async function getGlobalMemory(context, key, includeDeleted = false) {
   return { source: 'sqlite', key, ...full };
 }
 
-async function setGlobalMemory(context, key, value) {
+async function setGlobalMemory(context, key, value, options = {}) {
   ensureAuth(context);
   if (!key || value === undefined) {
     throw new MemoryServiceError(400, 'BAD_REQUEST', 'key and value are required');
   }
 
-  const meta = asMeta(context);
+  const meta = stamp(asMeta(context));
+  const current = sqlite.getGlobalMemoryFull(key);
+  assertExpectedRevision(current, options.expectedRevision);
+  const expiresAt = resolveExpiry(options);
   const revision = sqlite.setGlobalMemory(key, value, {
     updated_by: meta.uid,
     source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
+    reverted_from: options.revertedFrom || null,
+    expires_at: expiresAt,
   });
 
-  const payload = {
-    value,
-    revision,
-    updated_at: new Date().toISOString(),
-    updated_by: meta.uid,
-    source_device_id: meta.sourceDeviceId,
-    deleted: false,
-  };
+  const payload = buildSetPayload(meta, value, revision, expiresAt, current?.hlc);
 
   try {
     await getFirestore().collection('global_memory').doc(key).set(payload, { merge: true });
@@ -161,13 +301,18 @@ async function setGlobalMemory(context, key, value) {
 async function deleteGlobalMemory(context, key, reason, infectionId = null) {
   ensureAuth(context);
   ensureOwner(context);
+  return tombstoneGlobal(asMeta(context), key, reason, infectionId);
+}
 
-  const meta = asMeta(context);
+/** Tombstone + audit + push, without auth checks (shared by delete and the expiry sweeper) */
+async function tombstoneGlobal(baseMeta, key, reason, infectionId = null) {
+  const meta = stamp(baseMeta);
   const details = {
     deleted_by: meta.uid,
     delete_reason: reason || 'Manual delete',
     infection_id: infectionId || null,
     source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
   };
 
   const revision = sqlite.tombstoneGlobalMemory(key, details);
@@ -178,17 +323,7 @@ async function deleteGlobalMemory(context, key, reason, infectionId = null) {
   sqlite.logAudit('DELETE', 'global_memory', key, meta.uid, details);
   await addFirestoreAudit('DELETE', 'global_memory', key, meta.uid, details);
 
-  const payload = {
-    deleted: true,
-    deleted_at: new Date().toISOString(),
-    deleted_by: meta.uid,
-    delete_reason: details.delete_reason,
-    infection_id: details.infection_id,
-    revision,
-    updated_at: new Date().toISOString(),
-    updated_by: meta.uid,
-    source_device_id: meta.sourceDeviceId,
-  };
+  const payload = buildTombstonePayload(meta, details, revision);
 
   try {
     await getFirestore().collection('global_memory').doc(key).set(payload, { merge: true });
@@ -203,10 +338,11 @@ async function restoreGlobalMemory(context, key) {
   ensureAuth(context);
   ensureOwner(context);
 
-  const meta = asMeta(context);
+  const meta = stamp(asMeta(context));
   const revision = sqlite.restoreGlobalMemory(key, {
     updated_by: meta.uid,
     source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
   });
 
   if (!revision) {
@@ -216,17 +352,7 @@ async function restoreGlobalMemory(context, key) {
   sqlite.logAudit('RESTORE', 'global_memory', key, meta.uid, {});
   await addFirestoreAudit('RESTORE', 'global_memory', key, meta.uid, {});
 
-  const payload = {
-    deleted: false,
-    deleted_at: null,
-    deleted_by: null,
-    delete_reason: null,
-    infection_id: null,
-    revision,
-    updated_at: new Date().toISOString(),
-    updated_by: meta.uid,
-    source_device_id: meta.sourceDeviceId,
-  };
+  const payload = buildRestorePayload(meta, revision);
 
   try {
     await getFirestore().collection('global_memory').doc(key).set(payload, { merge: true });
@@ -237,6 +363,71 @@ async function restoreGlobalMemory(context, key) {
   }
 }
 
+/** A `limit` option or query parameter: `fallback` when not a number, else within 1..max */
+function clampLimit(limit, fallback, max) {
+  const parsed = Number.parseInt(limit, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(Math.max(parsed, 1), max);
+}
+
+function clampHistoryLimit(limit) {
+  const parsed = Number(limit);
+  if (!Number.isFinite(parsed) || parsed <= 0) return 50;
+  return Math.min(Math.floor(parsed), 500);
+}
+
+async function getGlobalMemoryHistory(context, key, limit) {
+  ensureAuth(context);
+  const items = sqlite.getGlobalMemoryHistory(key, clampHistoryLimit(limit));
+  if (items.length === 0) {
+    throw new MemoryServiceError(404, 'NOT_FOUND', 'No history for key');
+  }
+  return { source: 'sqlite', key, count: items.length, items };
+}
+
+/**
+ * Resolve the history row a revert should copy back.
+ * Tombstone snapshots are rejected — use delete_memory to go back to "deleted".
+ */
+function resolveRevertTarget(target, current, revision, context) {
+  if (!target) {
+    throw new MemoryServiceError(404, 'REVISION_NOT_FOUND', `Revision ${revision} not found in history`);
+  }
+  if (target.deleted) {
+    throw new MemoryServiceError(400, 'REVISION_IS_TOMBSTONE', `Revision ${revision} is a tombstone; nothing to revert to`);
+  }
+  if (current && current.deleted) {
+    // Writing over a tombstone resurrects the key, which is a restore in disguise.
+    ensureOwner(context);
+  }
+  return target;
+}
+
+function parseRevision(revision) {
+  const parsed = Number(revision);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'revision must be a positive integer');
+  }
+  return parsed;
+}
+
+async function revertGlobalMemory(context, key, revision) {
+  ensureAuth(context);
+  const wanted = parseRevision(revision);
+  const target = resolveRevertTarget(
+    sqlite.getGlobalMemoryRevision(key, wanted),
+    sqlite.getGlobalMemoryFull(key),
+    wanted,
+    context,
+  );
+
+  const result = await setGlobalMemory(context, key, target.value, { revertedFrom: wanted });
+  const details = { reverted_from: wanted, revision: result.revision };
+  sqlite.logAudit('REVERT', 'global_memory', key, context.uid, details);
+  await addFirestoreAudit('REVERT', 'global_memory', key, context.uid, details);
+  return { ...result, reverted_from: wanted };
+}
+
 async function listProjectMemory(context, projectId, includeDeleted = false) {
   ensureAuth(context);
   try {
@@ -264,7 +455,10 @@ async function getProjectMemory(context, projectId, key, includeDeleted = false)
       if (value.deleted && !includeDeleted) {
         throw new MemoryServiceError(404, 'NOT_FOUND', 'Key not found');
       }
-      return { source: 'firebase', projectId, key, ...value };
+      return {
+        source: 'firebase', projectId, key, ...value,
+        revision: localRevision(sqlite.getProjectMemoryFull(projectId, key)),
+      };
     }
   } catch (error) {
     if (error instanceof MemoryServiceError) {
@@ -279,26 +473,25 @@ async function getProjectMemory(context, projectId, key, includeDeleted = false)
   return { source: 'sqlite', projectId, key, ...full };
 }
 
-async function setProjectMemory(context, projectId, key, value) {
+async function setProjectMemory(context, projectId, key, value, options = {}) {
   ensureAuth(context);
   if (!key || value === undefined) {
     throw new MemoryServiceError(400, 'BAD_REQUEST', 'key and value are required');
   }
 
-  const meta = asMeta(context);
+  const meta = stamp(asMeta(context));
+  const current = sqlite.getProjectMemoryFull(projectId, key);
+  assertExpectedRevision(current, options.expectedRevision);
+  const expiresAt = resolveExpiry(options);
   const revision = sqlite.setProjectMemory(projectId, key, value, {
     updated_by: meta.uid,
     source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
+    reverted_from: options.revertedFrom || null,
+    expires_at: expiresAt,
   });
 
-  const payload = {
-    value,
-    revision,
-    updated_at: new Date().toISOString(),
-    updated_by: meta.uid,
-    source_device_id: meta.sourceDeviceId,
-    deleted: false,
-  };
+  const payload = buildSetPayload(meta, value, revision, expiresAt, current?.hlc);
   const docPath = `${projectId}/entries/${key}`;
 
   try {
@@ -313,13 +506,17 @@ async function setProjectMemory(context, projectId, key, value) {
 async function deleteProjectMemory(context, projectId, key, reason, infectionId = null) {
   ensureAuth(context);
   ensureOwner(context);
+  return tombstoneProject(asMeta(context), projectId, key, reason, infectionId);
+}
 
-  const meta = asMeta(context);
+async function tombstoneProject(baseMeta, projectId, key, reason, infectionId = null) {
+  const meta = stamp(baseMeta);
   const details = {
     deleted_by: meta.uid,
     delete_reason: reason || 'Manual delete',
     infection_id: infectionId || null,
     source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
   };
 
   const revision = sqlite.tombstoneProjectMemory(projectId, key, details);
@@ -331,17 +528,7 @@ async function deleteProjectMemory(context, projectId, key, reason, infectionId
   sqlite.logAudit('DELETE', 'project_memory', docPath, meta.uid, details);
   await addFirestoreAudit('DELETE', 'project_memory', docPath, meta.uid, details);
 
-  const payload = {
-    deleted: true,
-    deleted_at: new Date().toISOString(),
-    deleted_by: meta.uid,
-    delete_reason: details.delete_reason,
-    infection_id: details.infection_id,
-    revision,
-    updated_at: new Date().toISOString(),
-    updated_by: meta.uid,
-    source_device_id: meta.sourceDeviceId,
-  };
+  const payload = buildTombstonePayload(meta, details, revision);
 
   const queuePath = `${projectId}/entries/${key}`;
   try {
@@ -357,10 +544,11 @@ async function restoreProjectMemory(context, projectId, key) {
   ensureAuth(context);
   ensureOwner(context);
 
-  const meta = asMeta(context);
+  const meta = stamp(asMeta(context));
   const revision = sqlite.restoreProjectMemory(projectId, key, {
     updated_by: meta.uid,
     source_device_id: meta.sourceDeviceId,
+    hlc: meta.hlc,
   });
 
   if (!revision) {
@@ -371,17 +559,7 @@ async function restoreProjectMemory(context, projectId, key) {
   sqlite.logAudit('RESTORE', 'project_memory', docPath, meta.uid, {});
   await addFirestoreAudit('RESTORE', 'project_memory', docPath, meta.uid, {});
 
-  const payload = {
-    deleted: false,
-    deleted_at: null,
-    deleted_by: null,
-    delete_reason: null,
-    infection_id: null,
-    revision,
-    updated_at: new Date().toISOString(),
-    updated_by: meta.uid,
-    source_device_id: meta.sourceDeviceId,
-  };
+  const payload = buildRestorePayload(meta, revision);
 
   const queuePath = `${projectId}/entries/${key}`;
   try {
@@ -393,17 +571,454 @@ async function restoreProjectMemory(context, projectId, key) {
   }
 }
 
+async function revertProjectMemory(context, projectId, key, revision) {
+  ensureAuth(context);
+  const wanted = parseRevision(revision);
+  const target = resolveRevertTarget(
+    sqlite.getProjectMemoryRevision(projectId, key, wanted),
+    sqlite.getProjectMemoryFull(projectId, key),
+    wanted,
+    context,
+  );
+
+  const result = await setProjectMemory(context, projectId, key, target.value, { revertedFrom: wanted });
+  const docPath = `${projectId}/${key}`;
+  const details = { reverted_from: wanted, revision: result.revision };
+  sqlite.logAudit('REVERT', 'project_memory', docPath, context.uid, details);
+  await addFirestoreAudit('REVERT', 'project_memory', docPath, context.uid, details);
+  return { ...result, reverted_from: wanted };
+}
+
+/**
+ * Full-text search over the local SQLite FTS5 index (works offline).
+ * `scope` is 'global' or a projectId, matching the MCP tool convention.
+ */
+async function searchMemories(context, query, options = {}) {
+  ensureAuth(context);
+  const filters = {
+    tag: options.tag || null,
+    includeDeleted: options.includeDeleted === true,
+    limit: clampLimit(options.limit, 50, 200),
+  };
+  if (options.scope === 'global') {
+    filters.scope = 'global';
+  } else if (options.scope) {
+    filters.scope = 'project';
+    filters.projectId = options.scope;
+  }
+
+  let items;
+  try {
+    items = sqlite.searchMemory(query, filters);
+  } catch (error) {
+    throw new MemoryServiceError(400, 'BAD_QUERY', `Invalid search query: ${error.message}`);
+  }
+  if (items === null) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'query must contain at least one search term');
+  }
+  return { source: 'sqlite-fts', query, count: items.length, items };
+}
+
+// ── Batch operations ───────────────────────────────────
+
+const MAX_BATCH_OPERATIONS = 500;
+const FIRESTORE_BATCH_LIMIT = 500;
+
+const BATCH_STATUS = {
+  set: { synced: 'synced', queued: 'queued' },
+  delete: { synced: 'deleted', queued: 'queued-delete' },
+  restore: { synced: 'restored', queued: 'queued-restore' },
+};
+
+function batchTarget(op) {
+  if (!op || typeof op !== 'object') {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'operation must be an object');
+  }
+  if (!op.scope || !op.key) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'scope and key are required');
+  }
+  if (op.scope === 'global') {
+    return { scope: 'global', projectId: null, key: op.key, collection: 'global_memory', docPath: op.key, auditPath: op.key };
+  }
+  return {
+    scope: 'project',
+    projectId: op.scope,
+    key: op.key,
+    collection: 'project_memory',
+    docPath: `${op.scope}/entries/${op.key}`,
+    auditPath: `${op.scope}/${op.key}`,
+  };
+}
+
+/** Apply one batch operation to SQLite (synchronous); returns the Firestore write it needs */
+function applyBatchOperation(context, baseMeta, op) {
+  const meta = stamp(baseMeta);
+  const target = batchTarget(op);
+  const isGlobal = target.scope === 'global';
+  let operation;
+  let payload;
+  let revision;
+
+  if (op.op === 'set') {
+    if (op.value === undefined) {
+      throw new MemoryServiceError(400, 'BAD_REQUEST', 'value is required for set');
+    }
+    const current = isGlobal
+      ? sqlite.getGlobalMemoryFull(target.key)
+      : sqlite.getProjectMemoryFull(target.projectId, target.key);
+    assertExpectedRevision(current, op.expectedRevision);
+    const expiresAt = resolveExpiry({ expiresAt: op.expires_at, ttlSeconds: op.ttl_seconds });
+    const writeMeta = {
+      updated_by: meta.uid, source_device_id: meta.sourceDeviceId, hlc: meta.hlc, expires_at: expiresAt,
+    };
+    revision = isGlobal
+      ? sqlite.setGlobalMemory(target.key, op.value, writeMeta)
+      : sqlite.setProjectMemory(target.projectId, target.key, op.value, writeMeta);
+    operation = 'SET';
+    payload = buildSetPayload(meta, op.value, revision, expiresAt, current?.hlc);
+  } else if (op.op === 'delete') {
+    ensureOwner(context);
+    const details = {
+      deleted_by: meta.uid,
+      delete_reason: op.reason || 'Batch delete',
+      infection_id: op.infection_id || null,
+      source_device_id: meta.sourceDeviceId,
+      hlc: meta.hlc,
+    };
+    revision = isGlobal
+      ? sqlite.tombstoneGlobalMemory(target.key, details)
+      : sqlite.tombstoneProjectMemory(target.projectId, target.key, details);
+    if (!revision) {
+      throw new MemoryServiceError(404, 'NOT_FOUND', 'Key not found');
+    }
+    sqlite.logAudit('DELETE', target.collection, target.auditPath, meta.uid, details);
+    operation = 'TOMBSTONE';
+    payload = buildTombstonePayload(meta, details, revision);
+  } else if (op.op === 'restore') {
+    ensureOwner(context);
+    const restoreMeta = { updated_by: meta.uid, source_device_id: meta.sourceDeviceId, hlc: meta.hlc };
+    revision = isGlobal
+      ? sqlite.restoreGlobalMemory(target.key, restoreMeta)
+      : sqlite.restoreProjectMemory(target.projectId, target.key, restoreMeta);
+    if (!revision) {
+      throw new MemoryServiceError(404, 'NOT_FOUND', 'Key not found or not deleted');
+    }
+    sqlite.logAudit('RESTORE', target.collection, target.auditPath, meta.uid, {});
+    operation = 'SET';
+    payload = buildRestorePayload(meta, revision);
+  } else {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'op must be one of set, delete, restore');
+  }
+
+  return {
+    result: { op: op.op, scope: target.scope, projectId: target.projectId, key: target.key, revision },
+    write: { collection: target.collection, docPath: target.docPath, operation, payload },
+  };
+}
+
+/**
+ * Push writes with Firestore batched writes (≤ 500 per commit).
+ * A failed commit queues every write of that chunk in sync_queue.
+ * @returns {Set<number>} indexes of writes that reached Firestore
+ */
+async function pushBatchWrites(writes) {
+  const synced = new Set();
+  let db = null;
+  try { db = getFirestore(); } catch { /* everything goes to the queue */ }
+
+  for (let start = 0; start < writes.length; start += FIRESTORE_BATCH_LIMIT) {
+    const chunk = writes.slice(start, start + FIRESTORE_BATCH_LIMIT);
+    try {
+      if (!db) throw new Error('Firebase unavailable');
+      const batch = db.batch();
+      for (const write of chunk) {
+        batch.set(resolveRef(db, write.collection, write.docPath), write.payload, { merge: true });
+      }
+      await batch.commit();
+      for (const write of chunk) synced.add(write.index);
+    } catch {
+      for (const write of chunk) {
+        sqlite.enqueueSync(write.collection, write.docPath, write.operation, write.payload);
+      }
+    }
+  }
+  return synced;
+}
+
+/**
+ * Apply a list of set / delete / restore operations across scopes.
+ * All SQLite writes share one transaction; each operation runs in its own
+ * savepoint so a rejected operation (bad input, conflict, not found,
+ * owner-only) is reported without undoing the others.
+ */
+async function applyMemoryBatch(context, operations) {
+  ensureAuth(context);
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'operations must be a non-empty array');
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw new MemoryServiceError(400, 'BATCH_TOO_LARGE', `At most ${MAX_BATCH_OPERATIONS} operations per batch`);
+  }
+  return executeBatch(context, operations, 'BATCH');
+}
+
+/** Shared by applyMemoryBatch, quarantine, restore-infection and imports (no size cap) */
+async function executeBatch(context, operations, auditAction, auditDetails = {}) {
+  const meta = asMeta(context);
+  const results = [];
+  const writes = [];
+  const applyOne = sqlite.transaction((op) => applyBatchOperation(context, meta, op));
+
+  sqlite.transaction(() => {
+    operations.forEach((op, index) => {
+      try {
+        const { result, write } = applyOne(op);
+        results.push({ index, ok: true, ...result });
+        writes.push({ index, ...write });
+      } catch (error) {
+        if (!(error instanceof MemoryServiceError)) throw error;
+        results.push({
+          index,
+          ok: false,
+          op: op?.op,
+          key: op?.key,
+          error: formatMcpError(error).error,
+        });
+      }
+    });
+  })();
+
+  const synced = await pushBatchWrites(writes);
+  for (const result of results) {
+    if (result.ok) {
+      result.status = BATCH_STATUS[result.op][synced.has(result.index) ? 'synced' : 'queued'];
+    }
+  }
+
+  const applied = writes.length;
+  await addFirestoreAudit(auditAction, 'memory', null, meta.uid, {
+    ...auditDetails,
+    applied,
+    failed: results.length - applied,
+    synced: synced.size,
+  });
+
+  return {
+    total: results.length,
+    applied,
+    failed: results.length - applied,
+    synced: synced.size,
+    queued: applied - synced.size,
+    results,
+  };
+}
+
+// ── Quarantine / restore-infection ─────────────────────
+
+function normalizeQuarantineFilter(filter = {}) {
+  const normalized = {
+    keyPrefix: filter.keyPrefix || filter.key_prefix || null,
+    tag: filter.tag || null,
+    sourceDeviceId: filter.sourceDeviceId || filter.source_device_id || null,
+    since: filter.since || null,
+    until: filter.until || null,
+  };
+
+  if (!normalized.keyPrefix && !normalized.tag && !normalized.sourceDeviceId && !normalized.since && !normalized.until) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'At least one of keyPrefix, tag, sourceDeviceId, since, until is required');
+  }
+  for (const field of ['since', 'until']) {
+    if (normalized[field] && Number.isNaN(new Date(normalized[field]).getTime())) {
+      throw new MemoryServiceError(400, 'BAD_REQUEST', `${field} must be an ISO date`);
+    }
+  }
+
+  if (filter.scope === 'global') {
+    normalized.scope = 'global';
+  } else if (filter.scope) {
+    normalized.scope = 'project';
+    normalized.projectId = filter.scope;
+  }
+  return normalized;
+}
+
+function entryScope(row) {
+  return row.scope === 'global' ? 'global' : row.project_id;
+}
+
+/**
+ * Tombstone every live entry matching the filter under one generated
+ * infection_id, so the whole cleanup can be undone with restoreInfection().
+ */
+async function quarantineMemories(context, filter, { reason, dryRun = false } = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+
+  const normalized = normalizeQuarantineFilter(filter);
+  const matches = sqlite.findMemoryEntries(normalized);
+  const entries = matches.map((row) => ({ scope: entryScope(row), key: row.key, revision: row.revision }));
+
+  if (dryRun || matches.length === 0) {
+    return { dry_run: dryRun, infection_id: null, matched: matches.length, entries };
+  }
+
+  const infectionId = `inf-${uuidv4()}`;
+  const operations = entries.map((entry) => ({
+    op: 'delete',
+    scope: entry.scope,
+    key: entry.key,
+    reason: reason || 'Quarantine',
+    infection_id: infectionId,
+  }));
+
+  const result = await executeBatch(context, operations, 'QUARANTINE', {
+    infection_id: infectionId,
+    filter: normalized,
+  });
+  return { dry_run: false, infection_id: infectionId, matched: matches.length, ...result };
+}
+
+/** Restore every tombstone carrying the given infection_id in one step */
+async function restoreInfection(context, infectionId, { dryRun = false } = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+  if (!infectionId) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'infection_id is required');
+  }
+
+  const rows = sqlite.findByInfectionId(infectionId);
+  if (rows.length === 0) {
+    throw new MemoryServiceError(404, 'NOT_FOUND', 'No tombstoned entries for infection_id');
+  }
+
+  const entries = rows.map((row) => ({ scope: entryScope(row), key: row.key, revision: row.revision }));
+  if (dryRun) {
+    return { dry_run: true, infection_id: infectionId, matched: rows.length, entries };
+  }
+
+  const operations = entries.map((entry) => ({ op: 'restore', scope: entry.scope, key: entry.key }));
+  const result = await executeBatch(context, operations, 'RESTORE_INFECTION', { infection_id: infectionId });
+  return { dry_run: false, infection_id: infectionId, matched: rows.length, ...result };
+}
+
+const EXPIRY_ACTOR = 'system:expiry';
+
+/**
+ * Tombstone every live entry whose expires_at has passed, with
+ * delete_reason 'expired'. Goes through the normal tombstone path so the
+ * expiry reaches Firestore (or the sync queue) like any other delete.
+ */
+async function expireDueMemories(now = new Date()) {
+  const meta = { uid: EXPIRY_ACTOR, sourceDeviceId: DEFAULT_DEVICE_ID };
+  const due = sqlite.getExpiredMemory(now.toISOString());
+  const expired = [];
+
+  for (const row of due) {
+    try {
+      const result = row.scope === 'global'
+        ? await tombstoneGlobal(meta, row.key, 'expired')
+        : await tombstoneProject(meta, row.project_id, row.key, 'expired');
+      expired.push({ scope: row.scope, projectId: row.project_id, key: row.key, status: result.status });
+    } catch (error) {
+      console.error(`[EXPIRY] Failed to expire ${row.scope}:${row.project_id || ''}:${row.key}:`, error.message);
+    }
+  }
+
+  return { checked_at: now.toISOString(), expired: expired.length, items: expired };
+}
+
+const EMBED_BATCH_SIZE = 64;
+
+/** Embed every memory row whose vector is missing or older than its revision */
+async function refreshEmbeddings(provider) {
+  let embedded = 0;
+  for (;;) {
+    const stale = sqlite.getStaleEmbeddingRows(provider.name, EMBED_BATCH_SIZE);
+    if (stale.length === 0) return embedded;
+
+    const vectors = await provider.embed(stale.map((row) => row.text));
+    stale.forEach((row, index) => {
+      sqlite.upsertEmbedding(row.scope, row.project_id, row.key, provider.name, row.revision, vectors[index]);
+    });
+    embedded += stale.length;
+  }
+}
+
+/**
+ * Semantic (vector) search. Embeddings are refreshed lazily on each call,
+ * so writes never wait on the provider.
+ */
+async function semanticSearchMemories(context, query, options = {}) {
+  ensureAuth(context);
+  const text = String(query || '').trim();
+  if (!text) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'query is required');
+  }
+
+  let provider;
+  let queryVector;
+  let embedded;
+  try {
+    provider = getEmbeddingProvider(options.provider);
+    embedded = await refreshEmbeddings(provider);
+    [queryVector] = await provider.embed([text]);
+  } catch (error) {
+    throw new MemoryServiceError(503, 'EMBEDDING_UNAVAILABLE', `Embedding provider failed: ${error.message}`);
+  }
+
+  const filters = { includeDeleted: options.includeDeleted === true };
+  if (options.scope === 'global') {
+    filters.scope = 'global';
+  } else if (options.scope) {
+    filters.scope = 'project';
+    filters.projectId = options.scope;
+  }
+
+  const minScore = Number(options.minScore || 0);
+  const limit = clampLimit(options.limit, 10, 100);
+  const items = sqlite.getEmbeddedMemories(provider.name, filters)
+    .map(({ vector, ...row }) => ({ ...row, score: Number(cosineSimilarity(queryVector, vector).toFixed(4)) }))
+    .filter((row) => row.score > minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { source: 'sqlite-embeddings', provider: provider.name, query: text, embedded, count: items.length, items };
+}
+
+async function getProjectMemoryHistory(context, projectId, key, limit) {
+  ensureAuth(context);
+  const items = sqlite.getProjectMemoryHistory(projectId, key, clampHistoryLimit(limit));
+  if (items.length === 0) {
+    throw new MemoryServiceError(404, 'NOT_FOUND', 'No history for key');
+  }
+  return { source: 'sqlite', projectId, key, count: items.length, items };
+}
+
 module.exports = {
   MemoryServiceError,
   formatMcpError,
+  ensureAuth,
+  ensureOwner,
+  ensureDeviceActive,
   listGlobalMemory,
   getGlobalMemory,
   setGlobalMemory,
   deleteGlobalMemory,
   restoreGlobalMemory,
+  getGlobalMemoryHistory,
+  revertGlobalMemory,
   listProjectMemory,
   getProjectMemory,
   setProjectMemory,
   deleteProjectMemory,
   restoreProjectMemory,
+  getProjectMemoryHistory,
+  revertProjectMemory,
+  searchMemories,
+  semanticSearchMemories,
+  expireDueMemories,
+  applyMemoryBatch,
+  executeBatch,
+  quarantineMemories,
+  restoreInfection,
 };
\ No newline at end of file
@@ -1,12 +1,13 @@
 /**
  * Project Service — project folder attachment, metadata scanning, GitHub detection.
- * Stores metadata in Firestore + local_path only in SQLite (never synced).
+ * Project metadata and MCP client registrations sync across devices
+ * (sync/records.js); local_path stays in the local-only project_paths table.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { getDB } = require('../db/sqlite');
-const { getFirestore } = require('../config/firebase');
+const { nextStamp, publishRecord } = require('../sync/records');
 
 class ProjectServiceError extends Error {
   constructor(status, code, message) {
@@ -16,40 +17,30 @@ class ProjectServiceError extends Error {
   }
 }
 
-// ── SQLite schema bootstrap (called from migrate) ──────
+// Tables are created by initSQLite (db/sqlite.js). On older databases
+// projects still has a legacy local_path column; pp.local_path comes last
+// in the row, so it is the one returned.
+const PROJECT_SELECT = `
+  SELECT p.*, pp.local_path FROM projects p
+  LEFT JOIN project_paths pp ON pp.project_id = p.id`;
+
+function setLocalPath(projectId, localPath) {
+  getDB().prepare(`
+    INSERT INTO project_paths (project_id, local_path) VALUES (?, ?)
+    ON CONFLICT(project_id) DO UPDATE SET local_path = excluded.local_path, updated_at = datetime('now')
+  `).run(projectId, localPath);
+}
 
-function ensureProjectTables() {
-  const db = getDB();
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS projects (
-      id               TEXT PRIMARY KEY,
-      project_name     TEXT NOT NULL,
-      local_path       TEXT,
-      primary_language TEXT,
-      framework        TEXT,
-      git_remote       TEXT,
-      github_owner     TEXT,
-      github_repo      TEXT,
-      github_branch    TEXT,
-      created_by       TEXT,
-      created_at       TEXT DEFAULT (datetime('now')),
-      updated_at       TEXT DEFAULT (datetime('now'))
-    );
+function findProject(projectId) {
+  const row = getDB().prepare(`${PROJECT_SELECT} WHERE p.id = ? AND p.deleted = 0`).get(projectId);
+  if (!row) throw new ProjectServiceError(404, 'NOT_FOUND', 'Project not found');
+  return row;
+}
 
-    CREATE TABLE IF NOT EXISTS mcp_clients (
-      id               TEXT PRIMARY KEY,
-      name             TEXT NOT NULL,
-      client_type      TEXT NOT NULL,
-      connection_mode  TEXT NOT NULL DEFAULT 'http',
-      permissions      TEXT NOT NULL DEFAULT 'memory-only',
-      enabled          INTEGER DEFAULT 1,
-      last_tested_at   TEXT,
-      test_status      TEXT,
-      created_by       TEXT,
-      created_at       TEXT DEFAULT (datetime('now')),
-      updated_at       TEXT DEFAULT (datetime('now'))
-    );
-  `);
+function findMcpClient(clientId) {
+  const row = getDB().prepare('SELECT * FROM mcp_clients WHERE id = ? AND deleted = 0').get(clientId);
+  if (!row) throw new ProjectServiceError(404, 'NOT_FOUND', 'MCP client not found');
+  return row;
 }
 
 // ── File scanning helpers ──────────────────────────────
@@ -256,75 +247,90 @@ async function createProject(context, data) {
 
   const id = `${metadata.project_name}-${Date.now()}`.replace(/[^a-zA-Z0-9_-]/g, '_');
 
-  // Store in SQLite (includes local_path)
+  // Metadata row is synced; local_path stays on this device
   const db = getDB();
-  db.prepare(`
-    INSERT INTO projects (id, project_name, local_path, primary_language, framework,
-      git_remote, github_owner, github_repo, github_branch, created_by)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    id, metadata.project_name, local_path || null,
-    metadata.primary_language, metadata.framework,
-    metadata.git_remote, metadata.github_owner, metadata.github_repo,
-    metadata.github_branch, context.uid,
-  );
-
-  // Store in Firestore (WITHOUT local_path)
-  try {
-    const firestore = getFirestore();
-    await firestore.collection('projects').doc(id).set({
-      project_name: metadata.project_name,
-      primary_language: metadata.primary_language,
-      framework: metadata.framework,
-      git_remote: metadata.git_remote,
-      github_owner: metadata.github_owner,
-      github_repo: metadata.github_repo,
-      github_branch: metadata.github_branch,
-      created_by: context.uid,
-      created_at: new Date().toISOString(),
-    });
-  } catch {
-    // Firestore is optional; local SQLite is authoritative
-  }
+  const stamp = nextStamp(null);
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO projects (id, project_name, primary_language, framework,
+        git_remote, github_owner, github_repo, github_branch, created_by, revision, hlc, source_device_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, metadata.project_name,
+      metadata.primary_language, metadata.framework,
+      metadata.git_remote, metadata.github_owner, metadata.github_repo,
+      metadata.github_branch, context.uid, stamp.revision, stamp.hlc, stamp.source_device_id,
+    );
+    if (local_path) setLocalPath(id, local_path);
+  })();
+  const sync = await publishRecord('projects', id);
 
-  return { id, ...metadata, local_path: local_path || null };
+  return { id, ...metadata, local_path: local_path || null, sync };
 }
 
 function listProjects(context) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
   const db = getDB();
-  return db.prepare('SELECT * FROM projects ORDER BY created_at DESC').all();
+  return db.prepare(`${PROJECT_SELECT} WHERE p.deleted = 0 ORDER BY p.created_at DESC`).all();
 }
 
 function getProject(context, projectId) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
-  const db = getDB();
-  const row = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
-  if (!row) throw new ProjectServiceError(404, 'NOT_FOUND', 'Project not found');
-  return row;
+  return findProject(projectId);
 }
 
-function rescanProject(context, projectId) {
+async function rescanProject(context, projectId) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
   const db = getDB();
-  const row = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
-  if (!row) throw new ProjectServiceError(404, 'NOT_FOUND', 'Project not found');
+  const row = findProject(projectId);
   if (!row.local_path) throw new ProjectServiceError(400, 'NO_LOCAL_PATH', 'Project has no local path to rescan');
 
   const metadata = scanProjectFolder(row.local_path);
+  const stamp = nextStamp(row);
 
   db.prepare(`
     UPDATE projects SET project_name = ?, primary_language = ?, framework = ?,
       git_remote = ?, github_owner = ?, github_repo = ?, github_branch = ?,
-      updated_at = datetime('now')
+      revision = ?, hlc = ?, source_device_id = ?, updated_at = datetime('now')
     WHERE id = ?
   `).run(
     metadata.project_name, metadata.primary_language, metadata.framework,
     metadata.git_remote, metadata.github_owner, metadata.github_repo,
-    metadata.github_branch, projectId,
+    metadata.github_branch, stamp.revision, stamp.hlc, stamp.source_device_id, projectId,
   );
+  const sync = await publishRecord('projects', projectId);
+
+  return { id: projectId, ...metadata, local_path: row.local_path, sync };
+}
 
-  return { id: projectId, ...metadata, local_path: row.local_path };
+/** Point a (possibly synced-in) project at a folder on this device */
+function setProjectLocalPath(context, projectId, localPath) {
+  if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
+  findProject(projectId);
+  if (!localPath) throw new ProjectServiceError(400, 'BAD_REQUEST', 'local_path required');
+  scanProjectFolder(localPath); // validates the folder
+  setLocalPath(projectId, localPath);
+  return findProject(projectId);
+}
+
+/** Tombstone a project on every device; its local_path mapping is dropped here */
+async function deleteProject(context, projectId) {
+  if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
+  const db = getDB();
+  const row = findProject(projectId);
+  const stamp = nextStamp(row);
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE projects SET deleted = 1, deleted_at = datetime('now'),
+        revision = ?, hlc = ?, source_device_id = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(stamp.revision, stamp.hlc, stamp.source_device_id, projectId);
+    db.prepare('DELETE FROM project_paths WHERE project_id = ?').run(projectId);
+  })();
+  const sync = await publishRecord('projects', projectId);
+
+  return { id: projectId, deleted: true, sync };
 }
 
 // ── CRUD — MCP Clients ────────────────────────────────
@@ -337,7 +343,7 @@ const VALID_CLIENT_TYPES = [
 const VALID_CONNECTION_MODES = ['http', 'stdio'];
 const VALID_PERMISSIONS = ['memory-only', 'memory+project-metadata', 'memory+project-files'];
 
-function createMcpClient(context, data) {
+async function createMcpClient(context, data) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
 
   const { name, client_type, connection_mode, permissions } = data;
@@ -356,26 +362,26 @@ function createMcpClient(context, data) {
 
   const id = `mcp-${client_type}-${Date.now()}`;
   const db = getDB();
+  const stamp = nextStamp(null);
   db.prepare(`
-    INSERT INTO mcp_clients (id, name, client_type, connection_mode, permissions, created_by)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(id, name, client_type, mode, perms, context.uid);
+    INSERT INTO mcp_clients (id, name, client_type, connection_mode, permissions, created_by,
+      revision, hlc, source_device_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, name, client_type, mode, perms, context.uid, stamp.revision, stamp.hlc, stamp.source_device_id);
+  const sync = await publishRecord('mcp_clients', id);
 
-  return { id, name, client_type, connection_mode: mode, permissions: perms, enabled: 1 };
+  return { id, name, client_type, connection_mode: mode, permissions: perms, enabled: 1, sync };
 }
 
 function listMcpClients(context) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
   const db = getDB();
-  return db.prepare('SELECT * FROM mcp_clients ORDER BY created_at DESC').all();
+  return db.prepare('SELECT * FROM mcp_clients WHERE deleted = 0 ORDER BY created_at DESC').all();
 }
 
 function getMcpClient(context, clientId) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
-  const db = getDB();
-  const row = db.prepare('SELECT * FROM mcp_clients WHERE id = ?').get(clientId);
-  if (!row) throw new ProjectServiceError(404, 'NOT_FOUND', 'MCP client not found');
-  return row;
+  return findMcpClient(clientId);
 }
 
 function getMcpClientPermission(context, clientId) {
@@ -383,29 +389,46 @@ function getMcpClientPermission(context, clientId) {
   return client.permissions || 'memory-only';
 }
 
-function updateMcpClient(context, clientId, updates) {
+async function updateMcpClient(context, clientId, updates) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
   const db = getDB();
-  const existing = db.prepare('SELECT * FROM mcp_clients WHERE id = ?').get(clientId);
-  if (!existing) throw new ProjectServiceError(404, 'NOT_FOUND', 'MCP client not found');
+  const existing = findMcpClient(clientId);
 
   const enabled = updates.enabled !== undefined ? (updates.enabled ? 1 : 0) : existing.enabled;
   const perms = updates.permissions || existing.permissions;
   const name = updates.name || existing.name;
+  const stamp = nextStamp(existing);
 
   db.prepare(`
-    UPDATE mcp_clients SET name = ?, permissions = ?, enabled = ?, updated_at = datetime('now')
+    UPDATE mcp_clients SET name = ?, permissions = ?, enabled = ?,
+      revision = ?, hlc = ?, source_device_id = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(name, perms, enabled, stamp.revision, stamp.hlc, stamp.source_device_id, clientId);
+  const sync = await publishRecord('mcp_clients', clientId);
+
+  return { ...existing, name, permissions: perms, enabled, ...stamp, sync };
+}
+
+/** Tombstone an MCP client registration on every device */
+async function deleteMcpClient(context, clientId) {
+  if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
+  const existing = findMcpClient(clientId);
+  const stamp = nextStamp(existing);
+
+  getDB().prepare(`
+    UPDATE mcp_clients SET deleted = 1, deleted_at = datetime('now'),
+      revision = ?, hlc = ?, source_device_id = ?, updated_at = datetime('now')
     WHERE id = ?
-  `).run(name, perms, enabled, clientId);
+  `).run(stamp.revision, stamp.hlc, stamp.source_device_id, clientId);
+  const sync = await publishRecord('mcp_clients', clientId);
 
-  return { ...existing, name, permissions: perms, enabled };
+  return { id: clientId, deleted: true, sync };
 }
 
 function testMcpClient(context, clientId) {
   if (!context.uid) throw new ProjectServiceError(401, 'UNAUTHORIZED', 'Auth required');
   const db = getDB();
-  const client = db.prepare('SELECT * FROM mcp_clients WHERE id = ?').get(clientId);
-  if (!client) throw new ProjectServiceError(404, 'NOT_FOUND', 'MCP client not found');
+  const client = findMcpClient(clientId);
 
   // Test MCP connectivity — verify backend is healthy
   const { getMcpHealth } = require('../mcp/server');
@@ -436,7 +459,6 @@ function reconnectMcpClient(context, clientId) {
 
 module.exports = {
   ProjectServiceError,
-  ensureProjectTables,
   scanProjectFolder,
   validateGitHubUsername,
   parseGitHubUrl,
@@ -445,11 +467,14 @@ module.exports = {
   listProjects,
   getProject,
   rescanProject,
+  setProjectLocalPath,
+  deleteProject,
   createMcpClient,
   listMcpClients,
   getMcpClient,
   getMcpClientPermission,
   updateMcpClient,
+  deleteMcpClient,
   testMcpClient,
   reconnectMcpClient,
   VALID_CLIENT_TYPES,
@@ -0,0 +1,124 @@
+/**
+ * Snapshot Service — point-in-time copies of the SQLite cache.
+ *
+ * Snapshots are taken with SQLite's online backup API (safe while the
+ * backend keeps writing) into backend/data/snapshots/, newest
+ * SNAPSHOT_RETENTION (default 10) kept.
+ *
+ * Restore never swaps the database file: memory rows are read from the
+ * snapshot and replayed as an archive replace, so every restored value or
+ * tombstone is written as a new revision and syncs like any other edit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqlite = require('../db/sqlite');
+const { MemoryServiceError, ensureAuth, ensureOwner } = require('./memoryService');
+const { toArchiveEntry, importMemories } = require('./archiveService');
+
+const DEFAULT_RETENTION = 10;
+const SNAPSHOT_PATTERN = /^local_cache-[\dTZ-]+\.db$/;
+
+let inFlight = null;
+
+function snapshotDir() {
+  return path.join(sqlite.getDataDir(), 'snapshots');
+}
+
+function retentionCount() {
+  const count = Number(process.env.SNAPSHOT_RETENTION);
+  return Number.isInteger(count) && count > 0 ? count : DEFAULT_RETENTION;
+}
+
+/** Newest first */
+function listSnapshots() {
+  const dir = snapshotDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => SNAPSHOT_PATTERN.test(name))
+    .sort()
+    .reverse()
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { id: name, created_at: stat.mtime.toISOString(), size_bytes: stat.size };
+    });
+}
+
+function rotateSnapshots() {
+  const removed = [];
+  for (const snapshot of listSnapshots().slice(retentionCount())) {
+    fs.unlinkSync(path.join(snapshotDir(), snapshot.id));
+    removed.push(snapshot.id);
+  }
+  return removed;
+}
+
+/** Take a snapshot now; concurrent callers share the backup already running */
+function createSnapshot() {
+  if (inFlight) return inFlight;
+
+  inFlight = (async () => {
+    const dir = snapshotDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const id = `local_cache-${new Date().toISOString().replace(/[:.]/g, '-')}.db`;
+    const target = path.join(dir, id);
+
+    await sqlite.backupDatabase(target);
+    const rotated = rotateSnapshots();
+    const { size } = fs.statSync(target);
+    return { id, size_bytes: size, rotated };
+  })();
+
+  return inFlight.finally(() => { inFlight = null; });
+}
+
+function snapshotPath(id) {
+  if (!id || !SNAPSHOT_PATTERN.test(id)) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'Invalid snapshot id');
+  }
+  const file = path.join(snapshotDir(), id);
+  if (!fs.existsSync(file)) {
+    throw new MemoryServiceError(404, 'NOT_FOUND', 'Snapshot not found');
+  }
+  return file;
+}
+
+function readSnapshotEntries(file) {
+  const snapshot = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const rows = [
+      ...snapshot.prepare("SELECT 'global' AS scope, NULL AS project_id, * FROM global_memory").all(),
+      ...snapshot.prepare("SELECT 'project' AS scope, * FROM project_memory").all(),
+    ];
+    return rows.map(toArchiveEntry);
+  } finally {
+    snapshot.close();
+  }
+}
+
+/**
+ * Bring memory back to the state captured in a snapshot.
+ * Keys created since the snapshot are tombstoned; pass scope ('global' or a
+ * projectId) to restore only that slice.
+ */
+async function restoreSnapshot(context, id, { scope, dryRun = false } = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+
+  const entries = readSnapshotEntries(snapshotPath(id));
+  const result = await importMemories(context, entries, {
+    mode: 'replace',
+    dryRun,
+    scope,
+    allScopes: true,
+    auditAction: 'SNAPSHOT_RESTORE',
+  });
+  return { snapshot: id, ...result };
+}
+
+module.exports = {
+  listSnapshots,
+  createSnapshot,
+  restoreSnapshot,
+};
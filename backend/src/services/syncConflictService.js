@@ -0,0 +1,98 @@
+/**
+ * Sync Conflict Service — review and resolve data that sync chose to drop.
+ *
+ * The sync engine records a conflict (both values, both HLC stamps, which
+ * side won) whenever a push or pull discards different content. Resolving
+ * one writes the chosen side — local, remote, or a merged value — as a new
+ * edit, so its fresh HLC stamp wins on every device once it syncs.
+ */
+
+const sqlite = require('../db/sqlite');
+const {
+  MemoryServiceError,
+  ensureAuth,
+  ensureOwner,
+  setGlobalMemory,
+  deleteGlobalMemory,
+  setProjectMemory,
+  deleteProjectMemory,
+} = require('./memoryService');
+
+const RESOLUTIONS = ['local', 'remote', 'merged'];
+const STATUSES = ['open', 'resolved', 'all'];
+const MAX_LIMIT = 500;
+
+/**
+ * @param {object} opts  { status: 'open'|'resolved'|'all' (default 'open'), limit }
+ */
+function listSyncConflicts(context, { status = 'open', limit = 100 } = {}) {
+  ensureAuth(context);
+  if (!STATUSES.includes(status)) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', `status must be one of ${STATUSES.join(', ')}`);
+  }
+  const max = Math.min(Math.max(Number(limit) || 100, 1), MAX_LIMIT);
+  const conflicts = sqlite.getSyncConflicts({ status: status === 'all' ? undefined : status, limit: max });
+  return { status, count: conflicts.length, conflicts };
+}
+
+/** The side a resolution keeps: { deleted, value } */
+function chosenSide(conflict, resolution, value) {
+  if (resolution === 'local') return { deleted: conflict.local_deleted, value: conflict.local_value };
+  if (resolution === 'remote') return { deleted: conflict.remote_deleted, value: conflict.remote_value };
+  if (value === undefined) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'value is required for a merged resolution');
+  }
+  return { deleted: false, value };
+}
+
+/**
+ * Write the chosen side and close the conflict (owner-only).
+ * @param {object} body  { resolution: 'local'|'remote'|'merged', value } — value only for merged
+ */
+async function resolveSyncConflict(context, id, { resolution, value } = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', `resolution must be one of ${RESOLUTIONS.join(', ')}`);
+  }
+
+  const conflict = sqlite.getSyncConflict(Number(id));
+  if (!conflict) {
+    throw new MemoryServiceError(404, 'NOT_FOUND', 'Conflict not found');
+  }
+  if (conflict.status !== 'open') {
+    throw new MemoryServiceError(409, 'ALREADY_RESOLVED', `Conflict ${conflict.id} is already resolved`, {
+      resolution: conflict.resolution,
+      resolved_at: conflict.resolved_at,
+    });
+  }
+
+  const chosen = chosenSide(conflict, resolution, value);
+  const isGlobal = conflict.scope === 'global';
+  const reason = `Sync conflict ${conflict.id} resolved (${resolution})`;
+  let write;
+  if (chosen.deleted) {
+    write = isGlobal
+      ? await deleteGlobalMemory(context, conflict.key, reason)
+      : await deleteProjectMemory(context, conflict.project_id, conflict.key, reason);
+  } else {
+    write = isGlobal
+      ? await setGlobalMemory(context, conflict.key, chosen.value)
+      : await setProjectMemory(context, conflict.project_id, conflict.key, chosen.value);
+  }
+
+  sqlite.markSyncConflictResolved(conflict.id, {
+    resolution,
+    value: chosen.deleted ? undefined : chosen.value,
+    resolvedBy: context.uid,
+  });
+  sqlite.logAudit('RESOLVE_CONFLICT', conflict.collection, conflict.doc_path, context.uid, {
+    conflict_id: conflict.id,
+    resolution,
+    deleted: chosen.deleted,
+  });
+
+  return { conflict: sqlite.getSyncConflict(conflict.id), write };
+}
+
+module.exports = { listSyncConflicts, resolveSyncConflict };
@@ -0,0 +1,89 @@
+/**
+ * Sync Profile Service — choose what each device syncs.
+ *
+ * A profile limits a device to some projects, optionally without global
+ * memory, and optionally without tombstones older than N days (see
+ * sync/profile.js). Widening a profile clears the device's pull cursor so
+ * the next pull fetches the newly included memory in full.
+ */
+
+const sqlite = require('../db/sqlite');
+const { getSyncProfile } = require('../sync/profile');
+const { MemoryServiceError, ensureAuth, ensureOwner } = require('./memoryService');
+
+function badRequest(message) {
+  return new MemoryServiceError(400, 'BAD_REQUEST', message);
+}
+
+function parseProjects(projects) {
+  if (projects === null) return null;
+  if (!Array.isArray(projects) || projects.some((id) => typeof id !== 'string' || !id.trim() || id.includes('/'))) {
+    throw badRequest('projects must be null (all projects) or an array of project ids');
+  }
+  return [...new Set(projects.map((id) => id.trim()))];
+}
+
+function parseMaxAge(days) {
+  if (days === null) return null;
+  if (typeof days !== 'number' || !Number.isFinite(days) || days < 0) {
+    throw badRequest('tombstone_max_age_days must be null (all tombstones) or a non-negative number');
+  }
+  return days;
+}
+
+/** Does `next` include memory or tombstones that `current` left out? */
+function widens(current, next) {
+  if (next.global && !current.global) return true;
+  if (current.projects && (!next.projects || next.projects.some((id) => !current.projects.includes(id)))) {
+    return true;
+  }
+  const currentAge = current.tombstone_max_age_days;
+  const nextAge = next.tombstone_max_age_days;
+  return currentAge !== null && (nextAge === null || nextAge > currentAge);
+}
+
+/** Profiles of every registered device, plus this backend's own device id */
+function listSyncProfiles(context, currentDeviceId) {
+  ensureAuth(context);
+  const profiles = sqlite.getAllDeviceSyncProfiles();
+  if (!profiles.some((profile) => profile.device_id === currentDeviceId)) {
+    profiles.unshift(getSyncProfile(currentDeviceId));
+  }
+  return { device_id: currentDeviceId, profiles };
+}
+
+function getDeviceSyncProfile(context, deviceId) {
+  ensureAuth(context);
+  return getSyncProfile(deviceId);
+}
+
+/**
+ * Update a device's profile (owner-only); omitted fields keep their value.
+ * @param {object} body  { projects: string[]|null, global: boolean, tombstone_max_age_days: number|null }
+ */
+function updateDeviceSyncProfile(context, deviceId, body = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+  if (!deviceId) throw badRequest('deviceId is required');
+
+  const current = getSyncProfile(deviceId);
+  const next = { ...current };
+  if (body.projects !== undefined) next.projects = parseProjects(body.projects);
+  if (body.global !== undefined) {
+    if (typeof body.global !== 'boolean') throw badRequest('global must be a boolean');
+    next.global = body.global;
+  }
+  if (body.tombstone_max_age_days !== undefined) next.tombstone_max_age_days = parseMaxAge(body.tombstone_max_age_days);
+
+  const resync = widens(current, next);
+  const profile = sqlite.setDeviceSyncProfile(deviceId, next, { resetCursor: resync });
+  sqlite.logAudit('UPDATE_SYNC_PROFILE', 'devices', deviceId, context.uid, {
+    projects: profile.projects,
+    global: profile.global,
+    tombstone_max_age_days: profile.tombstone_max_age_days,
+    full_resync: resync,
+  });
+  return { profile, full_resync: resync };
+}
+
+module.exports = { listSyncProfiles, getDeviceSyncProfile, updateDeviceSyncProfile };
@@ -0,0 +1,377 @@
+/**
+ * Vault Service — Markdown / Obsidian vault export and import.
+ *
+ * Layout (relative to the vault folder):
+ *   global/<key>.md
+ *   projects/<projectId>/<key>.md
+ *
+ * Free-form notes (values with a `text` string, as written by
+ * add_freeform_memory) become YAML frontmatter (tags, importance, pinned,
+ * other flat fields, revision) plus the text as the Markdown body. Any other
+ * value is written with `type: json` and a fenced JSON body.
+ *
+ * Keys come from file paths: characters that are unsafe in file names, and a
+ * leading '.' (so '.' / '..' never name a folder), are %XX-escaped on export,
+ * and nested folders join with '.' on import. The note text sits between one
+ * blank line after the frontmatter and one final newline, so leading and
+ * trailing whitespace in it survive a round trip.
+ * Import writes through setGlobalMemory / setProjectMemory; a file whose
+ * frontmatter revision no longer matches the brain is reported as a conflict.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite = require('../db/sqlite');
+const {
+  MemoryServiceError,
+  ensureAuth,
+  ensureOwner,
+  setGlobalMemory,
+  setProjectMemory,
+} = require('./memoryService');
+
+const RESERVED_FIELDS = ['revision', 'type'];
+const NOTE_DEFAULTS = { manual: true, tags: [], importance: 'medium', pinned: false };
+
+// ── File names ─────────────────────────────────────────
+
+function escapeChar(char) {
+  return `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/** Escape characters Obsidian / common file systems reject, and a leading dot */
+function keyToFileName(key) {
+  const escaped = key.replace(/[\\/:*?"<>|%#^[\]\x00-\x1f]/g, escapeChar).replace(/^\./, escapeChar);
+  return `${escaped}.md`;
+}
+
+function fileNameToKeyPart(name) {
+  return name.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// ── Minimal YAML frontmatter ───────────────────────────
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  const plain = /^[A-Za-z_][\w .-]*$/.test(text)
+    && !/^(true|false|null|yes|no|on|off|~)$/i.test(text)
+    && text === text.trim();
+  return plain ? text : JSON.stringify(text);
+}
+
+function toFrontmatter(fields) {
+  const lines = ['---'];
+  for (const [name, value] of Object.entries(fields)) {
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        lines.push(`${name}: []`);
+      } else {
+        lines.push(`${name}:`);
+        for (const item of value) lines.push(`  - ${yamlScalar(item)}`);
+      }
+    } else {
+      lines.push(`${name}: ${yamlScalar(value)}`);
+    }
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+function parseYamlScalar(raw) {
+  const text = raw.trim();
+  if (text.startsWith('"')) return JSON.parse(text);
+  if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/** Split an inline `[a, "b, c"]` list respecting quotes */
+function parseInlineList(raw) {
+  const inner = raw.trim().slice(1, -1);
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current);
+  return items.map(parseYamlScalar);
+}
+
+/**
+ * Split a Markdown file into { frontmatter, body }.
+ * Supports `name: scalar`, `name: [inline, list]` and `- item` block lists.
+ */
+function parseMarkdown(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) return { frontmatter: null, body: content };
+
+  const frontmatter = {};
+  let listField = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const item = line.match(/^\s+-\s*(.*)$/);
+    if (item && listField) {
+      frontmatter[listField].push(parseYamlScalar(item[1]));
+      continue;
+    }
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!field) {
+      throw new Error(`Unsupported frontmatter line: ${line}`);
+    }
+    const [, name, raw] = field;
+    if (raw.trim() === '') {
+      frontmatter[name] = [];
+      listField = name;
+    } else {
+      frontmatter[name] = raw.trim().startsWith('[') ? parseInlineList(raw) : parseYamlScalar(raw);
+      listField = null;
+    }
+  }
+  return { frontmatter, body: match[2] };
+}
+
+// ── Value ⇄ Markdown ───────────────────────────────────
+
+function isFlat(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+  return Array.isArray(value) && value.every((item) => item === null || typeof item !== 'object');
+}
+
+/** Free-form note: object with a `text` string and only flat metadata fields */
+function isNote(value) {
+  return value && typeof value === 'object' && !Array.isArray(value)
+    && typeof value.text === 'string'
+    && Object.entries(value).every(([name, field]) => !RESERVED_FIELDS.includes(name) && isFlat(field));
+}
+
+function entryToMarkdown(value, revision) {
+  if (isNote(value)) {
+    const { text, tags, importance, pinned, ...rest } = value;
+    const fields = {};
+    if (tags !== undefined) fields.tags = tags;
+    if (importance !== undefined) fields.importance = importance;
+    if (pinned !== undefined) fields.pinned = pinned;
+    Object.assign(fields, rest, { revision });
+    return `${toFrontmatter(fields)}\n\n${text}\n`;
+  }
+
+  const fields = { type: 'json' };
+  if (Array.isArray(value?.tags)) fields.tags = value.tags;
+  fields.revision = revision;
+  return `${toFrontmatter(fields)}\n\n\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\`\n`;
+}
+
+/** Note text from a body written by entryToMarkdown: drop the blank line before it and the final newline */
+function noteText(body) {
+  return body.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+}
+
+function markdownToEntry(content) {
+  const { frontmatter, body } = parseMarkdown(content);
+  if (!frontmatter) {
+    return { value: { ...NOTE_DEFAULTS, text: body.trim() }, revision: null };
+  }
+
+  const { revision = null, type, ...fields } = frontmatter;
+  if (type === 'json') {
+    const fenced = body.match(/```(?:json)?\r?\n([\s\S]*?)\r?\n```/);
+    if (!fenced) throw new Error('type: json file has no fenced JSON block');
+    return { value: JSON.parse(fenced[1]), revision };
+  }
+  return { value: { ...fields, text: noteText(body) }, revision };
+}
+
+/** JSON with sorted object keys — frontmatter does not keep the stored field order */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort().map((name) => `${JSON.stringify(name)}:${canonicalJson(value[name])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// ── Export ─────────────────────────────────────────────
+
+function resolveVaultPath(vaultPath) {
+  if (!vaultPath || !path.isAbsolute(vaultPath)) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', 'path must be an absolute folder path');
+  }
+  return path.resolve(vaultPath);
+}
+
+/** `dir` joined with `name`, refusing anything that would land outside the vault */
+function vaultFile(root, dir, name) {
+  const file = path.resolve(dir, name);
+  const relative = path.relative(root, file);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new MemoryServiceError(400, 'BAD_REQUEST', `Refusing to write outside the vault: ${name}`);
+  }
+  return file;
+}
+
+/**
+ * Write live memories as Markdown files under `vaultPath`.
+ * @param {object} opts  { scope: 'global'|projectId } — default everything
+ */
+function exportVault(context, vaultPath, { scope } = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+  const root = resolveVaultPath(vaultPath);
+
+  const summary = { path: root, files: 0, global: 0, projects: {} };
+  const write = (dir, row) => {
+    const file = vaultFile(root, dir, keyToFileName(row.key));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, entryToMarkdown(row.value, row.revision));
+    summary.files++;
+  };
+
+  if (!scope || scope === 'global') {
+    for (const row of sqlite.getAllGlobalMemory(false)) {
+      write(path.join(root, 'global'), row);
+      summary.global++;
+    }
+  }
+
+  let projectIds = [];
+  if (!scope) {
+    projectIds = sqlite.getDB().prepare('SELECT DISTINCT project_id FROM project_memory WHERE deleted = 0').pluck().all();
+  } else if (scope !== 'global') {
+    projectIds = [scope];
+  }
+  for (const projectId of projectIds) {
+    for (const row of sqlite.getAllProjectMemory(projectId, false)) {
+      write(path.join(root, 'projects', keyToFileName(projectId).slice(0, -3)), row);
+      summary.projects[projectId] = (summary.projects[projectId] || 0) + 1;
+    }
+  }
+  return summary;
+}
+
+// ── Import ─────────────────────────────────────────────
+
+/** Markdown files under `dir` as [{ file, key }], skipping dot-folders (.obsidian, .trash) */
+function collectNotes(dir, prefix = []) {
+  if (!fs.existsSync(dir)) return [];
+  const notes = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      notes.push(...collectNotes(full, [...prefix, fileNameToKeyPart(entry.name)]));
+    } else if (entry.isFile() && entry.name.endsWith('.md')) {
+      const key = [...prefix, fileNameToKeyPart(entry.name.slice(0, -3))].join('.');
+      notes.push({ file: full, key });
+    }
+  }
+  return notes;
+}
+
+function vaultTargets(root, scope) {
+  const targets = [];
+  if (!scope || scope === 'global') {
+    targets.push(...collectNotes(path.join(root, 'global')).map((note) => ({ ...note, scope: 'global' })));
+  }
+  const projectsDir = path.join(root, 'projects');
+  if (scope !== 'global' && fs.existsSync(projectsDir)) {
+    for (const entry of fs.readdirSync(projectsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      const projectId = fileNameToKeyPart(entry.name);
+      if (scope && projectId !== scope) continue;
+      targets.push(...collectNotes(path.join(projectsDir, entry.name)).map((note) => ({ ...note, scope: projectId })));
+    }
+  }
+  return targets;
+}
+
+/**
+ * Parse a vault folder back into memory.
+ * Unchanged notes and tombstoned keys are skipped; a frontmatter revision that
+ * differs from the current one is a conflict (compare-and-set).
+ * @param {object} opts  { scope, dryRun }
+ */
+async function importVault(context, vaultPath, { scope, dryRun = false } = {}) {
+  ensureAuth(context);
+  ensureOwner(context);
+  const root = resolveVaultPath(vaultPath);
+  if (!fs.existsSync(root)) {
+    throw new MemoryServiceError(404, 'NOT_FOUND', 'Vault folder not found');
+  }
+
+  const report = { path: root, dry_run: dryRun, files: 0, created: 0, updated: 0, unchanged: 0, tombstoned: 0, conflicts: [], errors: [] };
+  for (const target of vaultTargets(root, scope)) {
+    report.files++;
+    const file = path.relative(root, target.file);
+
+    let parsed;
+    try {
+      parsed = markdownToEntry(fs.readFileSync(target.file, 'utf8'));
+    } catch (error) {
+      report.errors.push({ file, error: error.message });
+      continue;
+    }
+
+    const isGlobal = target.scope === 'global';
+    const current = isGlobal
+      ? sqlite.getGlobalMemoryFull(target.key)
+      : sqlite.getProjectMemoryFull(target.scope, target.key);
+
+    if (current && current.deleted) {
+      report.tombstoned++;
+      continue;
+    }
+    if (current && canonicalJson(current.value) === canonicalJson(parsed.value)) {
+      report.unchanged++;
+      continue;
+    }
+    if (current && Number.isInteger(parsed.revision) && parsed.revision !== current.revision) {
+      report.conflicts.push({
+        file, scope: target.scope, key: target.key, revision: parsed.revision, current_revision: current.revision,
+      });
+      continue;
+    }
+
+    if (!dryRun) {
+      const options = { expectedRevision: current ? current.revision : 0 };
+      try {
+        if (isGlobal) {
+          await setGlobalMemory(context, target.key, parsed.value, options);
+        } else {
+          await setProjectMemory(context, target.scope, target.key, parsed.value, options);
+        }
+      } catch (error) {
+        if (!(error instanceof MemoryServiceError)) throw error;
+        report.errors.push({ file, error: error.message });
+        continue;
+      }
+    }
+    if (current) report.updated++;
+    else report.created++;
+  }
+  return report;
+}
+
+module.exports = {
+  exportVault,
+  importVault,
+  entryToMarkdown,
+  markdownToEntry,
+};
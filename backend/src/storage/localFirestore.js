@@ -0,0 +1,363 @@
+/**
+ * Local Firestore stand-in — SQLite-backed document store with the subset of
+ * the firebase-admin Firestore API the backend uses:
+ *
+ *   db.collection(name).doc(id).collection(sub).doc(id)
+ *   ref.get() / set(data, { merge }) / update(data) / delete()
+ *   collection.add(data) / listDocuments()
+ *   query.where(field, op, value) / orderBy(field, dir) / limit(n) / select(...fields) / get()
+ *   db.batch() → set / update / delete / commit()
+ *
+ * Selected with STORAGE_ADAPTER=local (see config/firebase.js) so the backend,
+ * including sync, runs end to end without Google credentials. Documents live
+ * in their own database file (LOCAL_STORE_PATH, default
+ * backend/data/local_firestore.db), separate from the local cache, so it
+ * behaves like a remote store shared by every process pointed at it.
+ *
+ * Values must be JSON-serialisable; FieldValue sentinels are not supported.
+ */
+
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function autoId() {
+  const bytes = crypto.randomBytes(20);
+  let id = '';
+  for (const byte of bytes) id += AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length];
+  return id;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Firestore merge semantics: nested maps merge, everything else replaces */
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [field, value] of Object.entries(source)) {
+    result[field] = isPlainObject(value) && isPlainObject(result[field])
+      ? deepMerge(result[field], value)
+      : value;
+  }
+  return result;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+function typeRank(value) {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 4;
+  return 5;
+}
+
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA >= 4) return JSON.stringify(a).localeCompare(JSON.stringify(b));
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Firestore filter semantics: a missing field never matches (including '!=') */
+function matchesFilter(data, { field, op, value }) {
+  const actual = getField(data, field);
+  if (actual === undefined) return false;
+  switch (op) {
+    case '==': return isEqual(actual, value);
+    case '!=': return !isEqual(actual, value);
+    case '<': return typeRank(actual) === typeRank(value) && compareValues(actual, value) < 0;
+    case '<=': return typeRank(actual) === typeRank(value) && compareValues(actual, value) <= 0;
+    case '>': return typeRank(actual) === typeRank(value) && compareValues(actual, value) > 0;
+    case '>=': return typeRank(actual) === typeRank(value) && compareValues(actual, value) >= 0;
+    case 'in': return value.some((candidate) => isEqual(actual, candidate));
+    case 'not-in': return !value.some((candidate) => isEqual(actual, candidate));
+    case 'array-contains': return Array.isArray(actual) && actual.some((item) => isEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some((item) => value.some((candidate) => isEqual(item, candidate)));
+    default:
+      throw new Error(`Unsupported where() operator: ${op}`);
+  }
+}
+
+// ── Snapshots ──────────────────────────────────────────
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : structuredClone(this._data);
+  }
+
+  get(fieldPath) {
+    return this._data === undefined ? undefined : getField(this._data, fieldPath);
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// ── References ─────────────────────────────────────────
+
+class DocumentReference {
+  constructor(store, docPath) {
+    this._store = store;
+    this.path = docPath;
+    this.id = docPath.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this._store.read(this.path));
+  }
+
+  async set(data, options = {}) {
+    this._store.write(this.path, data, options);
+  }
+
+  async update(data) {
+    this._store.update(this.path, data);
+  }
+
+  async delete() {
+    this._store.remove(this.path);
+  }
+}
+
+class Query {
+  constructor(store, collectionPath, filters = [], orders = [], max = null, fields = null) {
+    this._store = store;
+    this._collectionPath = collectionPath;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = max;
+    this._fields = fields;
+  }
+
+  where(field, op, value) {
+    return new Query(this._store, this._collectionPath,
+      [...this._filters, { field, op, value }], this._orders, this._limit, this._fields);
+  }
+
+  orderBy(field, direction = 'asc') {
+    return new Query(this._store, this._collectionPath,
+      this._filters, [...this._orders, { field, direction }], this._limit, this._fields);
+  }
+
+  limit(max) {
+    return new Query(this._store, this._collectionPath, this._filters, this._orders, max, this._fields);
+  }
+
+  /** Field mask: returned documents only hold these top-level fields */
+  select(...fields) {
+    return new Query(this._store, this._collectionPath, this._filters, this._orders, this._limit, fields);
+  }
+
+  async get() {
+    let rows = this._store.list(this._collectionPath)
+      .filter((row) => this._filters.every((filter) => matchesFilter(row.data, filter)));
+
+    if (this._orders.length > 0) {
+      // Like Firestore, orderBy drops documents that lack the field
+      rows = rows.filter((row) => this._orders.every(({ field }) => getField(row.data, field) !== undefined));
+      rows.sort((a, b) => {
+        for (const { field, direction } of this._orders) {
+          const diff = compareValues(getField(a.data, field), getField(b.data, field));
+          if (diff !== 0) return direction === 'desc' ? -diff : diff;
+        }
+        return a.id.localeCompare(b.id);
+      });
+    }
+    if (this._limit !== null) rows = rows.slice(0, this._limit);
+    const project = (data) => (this._fields
+      ? Object.fromEntries(this._fields.filter((field) => field in data).map((field) => [field, data[field]]))
+      : data);
+
+    return new QuerySnapshot(rows.map((row) => new DocumentSnapshot(
+      new DocumentReference(this._store, `${this._collectionPath}/${row.id}`),
+      project(row.data)
+    )));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, collectionPath) {
+    super(store, collectionPath);
+    this.path = collectionPath;
+    this.id = collectionPath.split('/').pop();
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(this._store, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  /** Includes "missing" parents that only hold subcollections, as in Firestore */
+  async listDocuments() {
+    return this._store.childIds(this.path).map((id) => this.doc(id));
+  }
+}
+
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push(() => this._store.write(ref.path, data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => this._store.update(ref.path, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => this._store.remove(ref.path));
+    return this;
+  }
+
+  async commit() {
+    this._store.transaction(() => this._writes.forEach((write) => write()));
+    this._writes = [];
+  }
+}
+
+// ── Store ──────────────────────────────────────────────
+
+class LocalFirestore {
+  constructor(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.filePath = filePath;
+    this._db = new Database(filePath);
+    this._db.pragma('journal_mode = WAL');
+    this._db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        path        TEXT PRIMARY KEY,
+        parent      TEXT NOT NULL,
+        id          TEXT NOT NULL,
+        data        TEXT NOT NULL,
+        create_time TEXT NOT NULL,
+        update_time TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_documents_parent ON documents(parent);
+    `);
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  doc(docPath) {
+    return new DocumentReference(this, docPath);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Internal, synchronous primitives used by the reference classes
+
+  read(docPath) {
+    const row = this._db.prepare('SELECT data FROM documents WHERE path = ?').get(docPath);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  write(docPath, data, { merge = false } = {}) {
+    const existing = merge ? this.read(docPath) : undefined;
+    const next = existing ? deepMerge(existing, data) : data;
+    const now = new Date().toISOString();
+    const parts = docPath.split('/');
+    this._db.prepare(
+      `INSERT INTO documents (path, parent, id, data, create_time, update_time) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(path) DO UPDATE SET data = excluded.data, update_time = excluded.update_time`
+    ).run(docPath, parts.slice(0, -1).join('/'), parts[parts.length - 1], JSON.stringify(next), now, now);
+  }
+
+  update(docPath, data) {
+    const existing = this.read(docPath);
+    if (existing === undefined) {
+      const error = new Error(`5 NOT_FOUND: No document to update: ${docPath}`);
+      error.code = 5;
+      throw error;
+    }
+    const next = { ...existing };
+    for (const [fieldPath, value] of Object.entries(data)) {
+      const parts = fieldPath.split('.');
+      let target = next;
+      for (const part of parts.slice(0, -1)) {
+        target[part] = isPlainObject(target[part]) ? { ...target[part] } : {};
+        target = target[part];
+      }
+      target[parts[parts.length - 1]] = value;
+    }
+    this.write(docPath, next);
+  }
+
+  remove(docPath) {
+    this._db.prepare('DELETE FROM documents WHERE path = ?').run(docPath);
+  }
+
+  list(collectionPath) {
+    return this._db.prepare('SELECT id, data FROM documents WHERE parent = ?').all(collectionPath)
+      .map((row) => ({ id: row.id, data: JSON.parse(row.data) }));
+  }
+
+  childIds(collectionPath) {
+    const prefix = `${collectionPath}/`;
+    const rows = this._db.prepare(
+      "SELECT path FROM documents WHERE substr(path, 1, length(?)) = ?"
+    ).all(prefix, prefix);
+    return [...new Set(rows.map((row) => row.path.slice(prefix.length).split('/')[0]))].sort();
+  }
+
+  transaction(fn) {
+    this._db.transaction(fn)();
+  }
+}
+
+function createLocalFirestore(filePath) {
+  return new LocalFirestore(filePath);
+}
+
+module.exports = { createLocalFirestore, LocalFirestore };
@@ -1,21 +1,73 @@
 /**
  * Sync Engine v2 — tombstone-aware two-way sync between SQLite and Firebase.
  *
- * syncPush():    Flush queued writes to Firebase with retry + dead-letter.
- * syncPull(deviceId):  Incremental pull from Firebase using per-device cursor.
+ * syncPush():    Flush due queued writes to Firebase in batches, with backoff + dead-letter.
+ * syncPull(deviceId):  Incremental pull from Firebase using per-device cursor and sync profile.
  * getSyncStatus():     Queue depth + dead-letter count.
  * retryDeadLetters():  Re-attempt dead-letter items once.
+ * reconcile():         Compare hash trees of SQLite and Firestore, repair drift.
+ * collectChanges() / applyPeerChanges():  the same docs exchanged with LAN peers (./lan.js).
  *
  * Key invariants:
  *   - Tombstones propagate; a deleted entry must never be resurrected by a stale pull.
- *   - Revisions are monotonically increasing; higher revision always wins.
- *   - Dead-letter items (retry_count >= MAX_RETRIES) are parked, not replayed automatically.
+ *   - Every write carries a hybrid logical clock stamp (hlc, see ./hlc.js); the
+ *     higher stamp wins on both push and pull, ties broken by the device id
+ *     inside the stamp. Entries written before HLCs fall back to revision order.
+ *   - Concurrent edits (both sides changed since the version they share) to
+ *     object values are three-way merged field by field, using the remote
+ *     write's base_hlc to find the shared version in memory_history (./merge.js).
+ *     The merge is a new local write with a fresh stamp, so it wins everywhere.
+ *   - Every decision that drops data lands in sync_conflicts with both values:
+ *     a pulled doc skipped in favour of different local content, a pull that
+ *     overwrites an unsynced local write, a push that replaces or loses to a
+ *     write this device never saw, and merges where the same field changed on
+ *     both sides. Conflicts are reviewed and resolved via /api/sync/conflicts.
+ *   - The queue holds at most one pending item per doc (enqueueSync coalesces
+ *     to the latest state), and pushes are committed in Firestore batches of
+ *     up to FIRESTORE_BATCH_LIMIT writes.
+ *   - Project metadata and MCP client registrations (projects, mcp_clients;
+ *     see ./records.js) sync as whole records with revisions, HLC stamps and
+ *     tombstones: the higher stamp wins, without merging or a conflict log.
+ *   - Each device's sync profile (./profile.js) limits push and pull to the
+ *     projects it serves, optionally global memory, and recent tombstones.
+ *   - A failed push is classified (./retryPolicy.js). Transient failures are
+ *     retried after an exponential backoff (next_attempt_at); permanent ones
+ *     (invalid write, permission denied, bad payload) are dead-lettered at
+ *     once. An item still failing after MAX_RETRIES attempts in a run where
+ *     other items did sync is poison and is dead-lettered too — during an
+ *     outage nothing syncs, so items keep backing off instead.
+ *   - Incremental pull trusts updated_at; reconcile() catches what it misses
+ *     (clock skew, late writes) by comparing per-scope hash trees (./merkle.js)
+ *     and repairing only the keys in mismatched buckets, with the same
+ *     HLC rules. Each device publishes its result to sync_digests/{deviceId}.
+ *   - LAN peers (./lan.js) exchange the same doc payloads directly, read from
+ *     SQLite by updated_at cursor and applied with applyRemote / applyRecord,
+ *     so the HLC, merge, tombstone and profile rules are identical. A write
+ *     pulled from a peer is not queued: it reaches Firestore from the device
+ *     that made it.
+ *   - Writes stamped after their device was revoked (devices.revoked, see
+ *     services/deviceService.js) are rejected on pull, whether they come from
+ *     Firestore or a LAN peer. Pull merges the device registry with
+ *     devices/{id} both ways, so a revocation reaches every backend.
+ *   - Dead letters are parked, not replayed automatically; they are inspected,
+ *     edited or discarded via /api/sync/dead-letters.
  */
 
 const { getFirestore } = require('../config/firebase');
 const sqlite = require('../db/sqlite');
+const {
+  compareHlc, parseHlc, receive, tick,
+} = require('./hlc');
+const { threeWayMerge } = require('./merge');
+const { classifySyncError, retryDelayMs } = require('./retryPolicy');
+const { getSyncProfile, includesScope, includesTombstone, includesQueueItem } = require('./profile');
+const { buildTree, diffTrees } = require('./merkle');
+const {
+  RECORD_COLLECTIONS, isRecordCollection, getRecord, getRecordsChangedSince, applyRemoteRecord,
+} = require('./records');
 
 const MAX_RETRIES = 5;
+const FIRESTORE_BATCH_LIMIT = 500;
 const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
 
 // ── Helpers ────────────────────────────────────────────
@@ -34,50 +86,414 @@ function resolveRef(db, collection, docPath) {
   return ref;
 }
 
+/** global_memory/{key} or project_memory/{projectId}/entries/{key} → scope fields */
+function describeDoc(collection, docPath) {
+  if (collection === 'project_memory') {
+    const [projectId, , key] = docPath.split('/');
+    return { scope: 'project', projectId, key };
+  }
+  return { scope: 'global', projectId: null, key: docPath };
+}
+
+function conflictSide(doc) {
+  return {
+    value: doc.value,
+    deleted: !!doc.deleted,
+    hlc: doc.hlc || null,
+    device_id: doc.source_device_id || null,
+  };
+}
+
+function sameContent(local, data) {
+  return !!local.deleted === !!data.deleted
+    && (!!data.deleted || JSON.stringify(local.value) === JSON.stringify(data.value));
+}
+
+/**
+ * Does the remote doc win over the local row?
+ * Same stamp = same write (our own, echoed back) → nothing to do.
+ */
+function remoteWins(local, data) {
+  if (!local) return true;
+  if (local.hlc && data.hlc) return compareHlc(data.hlc, local.hlc) > 0;
+
+  // Legacy entries without stamps: higher revision wins, a local tombstone wins ties
+  const localRev = local.revision || 0;
+  const remoteRev = data.revision || 0;
+  if (localRev > remoteRev) return false;
+  if (!data.deleted && local.deleted && localRev >= remoteRev) return false;
+  return true;
+}
+
+/** Written by a revoked device after its revocation (unstamped writes count as after) */
+function revokedWrite(data) {
+  const writer = data.source_device_id || parseHlc(data.hlc)?.deviceId;
+  const revocation = sqlite.getDeviceRevocation(writer);
+  if (!revocation) return false;
+  const wall = parseHlc(data.hlc)?.wall;
+  return !wall || wall >= Date.parse(revocation.revoked_at);
+}
+
+/** A stamp in local history is a version this device already had — not concurrent */
+function seenLocally(doc, hlc) {
+  return !!sqlite.getHistoryByHlc(doc.scope, doc.projectId, doc.key, hlc);
+}
+
+/**
+ * Field-level merge of the local row with a concurrent remote write, based on
+ * the version the remote write replaced.
+ * @returns {{ merged: object|null, conflicts: string[] }}
+ */
+function mergeConcurrent(doc, local, data) {
+  if (local.deleted || data.deleted || !data.base_hlc) return { merged: null, conflicts: [] };
+  const base = sqlite.getHistoryByHlc(doc.scope, doc.projectId, doc.key, data.base_hlc);
+  if (!base || base.deleted) return { merged: null, conflicts: [] };
+  return threeWayMerge(base.value, local.value, data.value);
+}
+
+/** Write a merged value locally under a fresh stamp; returns the Firestore payload */
+function applyMerge(doc, local, data, merged) {
+  const meta = {
+    updated_by: 'sync',
+    source_device_id: DEVICE_ID,
+    hlc: tick(DEVICE_ID),
+    expires_at: local.expires_at || null,
+    origin: 'sync',
+  };
+  const revision = doc.scope === 'global'
+    ? sqlite.setGlobalMemory(doc.key, merged, meta)
+    : sqlite.setProjectMemory(doc.projectId, doc.key, merged, meta);
+  sqlite.logAudit('MERGE', doc.collection, doc.docPath, 'sync', {
+    base_hlc: data.base_hlc,
+    local_hlc: local.hlc,
+    remote_hlc: data.hlc,
+    hlc: meta.hlc,
+  });
+
+  return {
+    value: merged,
+    revision,
+    updated_at: new Date().toISOString(),
+    updated_by: meta.updated_by,
+    source_device_id: meta.source_device_id,
+    hlc: meta.hlc,
+    base_hlc: data.hlc,
+    deleted: false,
+    expires_at: meta.expires_at,
+  };
+}
+
+function recordConflict(doc, local, data, winner, detectedBy, mergeFields) {
+  sqlite.recordSyncConflict({
+    ...doc,
+    local: conflictSide(local),
+    remote: conflictSide(data),
+    winner,
+    detectedBy,
+    mergeFields,
+  });
+}
+
+function localRow(doc) {
+  return doc.scope === 'global'
+    ? sqlite.getGlobalMemoryFull(doc.key)
+    : sqlite.getProjectMemoryFull(doc.projectId, doc.key);
+}
+
 // ── Push ───────────────────────────────────────────────
 
 /**
- * Push all pending (non-dead-letter) sync items to Firebase.
- * On failure, increment retry_count and record last_error.
- * After MAX_RETRIES the item becomes a dead letter.
+ * Decide what pushing one queued item writes. When the remote doc holds a
+ * write this device never saw, the two are merged if possible; otherwise the
+ * higher stamp wins and the loser is recorded as a conflict.
+ * @returns {{ outcome: 'pushed'|'merged'|'superseded', ref, payload, remove }}
+ *          superseded items write nothing
+ */
+async function preparePush(db, item) {
+  let payload = item.payload ? JSON.parse(item.payload) : {};
+  const ref = resolveRef(db, item.collection, item.doc_path);
+
+  if (item.operation === 'DELETE') {
+    // Hard delete (legacy) — kept for backwards compat
+    return { outcome: 'pushed', ref, remove: true };
+  }
+
+  if (isRecordCollection(item.collection)) {
+    // Whole-record last-writer-wins
+    const remote = payload.hlc ? await ref.get() : null;
+    const remoteHlc = remote?.exists ? remote.data().hlc : null;
+    if (remoteHlc) {
+      receive(remoteHlc);
+      if (compareHlc(remoteHlc, payload.hlc) > 0) return { outcome: 'superseded' };
+    }
+    return { outcome: 'pushed', ref, payload: { ...payload, updated_at: new Date().toISOString() } };
+  }
+
+  let outcome = 'pushed';
+  if (payload.hlc) {
+    const doc = { collection: item.collection, docPath: item.doc_path, ...describeDoc(item.collection, item.doc_path) };
+    const remote = await ref.get();
+    const data = remote.exists ? remote.data() : null;
+
+    const unseen = data && data.hlc && data.hlc !== payload.hlc && data.hlc !== payload.base_hlc
+      && !seenLocally(doc, data.hlc);
+    if (unseen) {
+      receive(data.hlc);
+      const remoteNewer = compareHlc(data.hlc, payload.hlc) > 0;
+      const local = localRow(doc);
+      if (local && !sameContent(local, data)) {
+        const { merged, conflicts } = mergeConcurrent(doc, local, data);
+        if (merged) {
+          payload = applyMerge(doc, local, data, merged);
+          sqlite.supersedePendingSync(item.collection, item.doc_path, 'Merged with concurrent remote write', item.id);
+          sqlite.replaceSyncPayload(item.id, 'SET', payload);
+          outcome = 'merged';
+        } else {
+          recordConflict(doc, payload, data, remoteNewer ? 'remote' : 'local', 'push', conflicts);
+        }
+      }
+      if (outcome !== 'merged' && remoteNewer) return { outcome: 'superseded' };
+    }
+  }
+
+  return { outcome, ref, payload: { ...payload, updated_at: new Date().toISOString() } };
+}
+
+function stageWrite(batch, plan) {
+  if (plan.remove) batch.delete(plan.ref);
+  else batch.set(plan.ref, plan.payload, { merge: true });
+}
+
+/** Write one queued item to Firestore on its own */
+async function pushItem(db, item) {
+  const plan = await preparePush(db, item);
+  if (plan.outcome === 'superseded') return plan.outcome;
+  if (plan.remove) await plan.ref.delete();
+  else await plan.ref.set(plan.payload, { merge: true });
+  return plan.outcome;
+}
+
+/**
+ * Commit a batch of staged writes. A permanent error fails the whole
+ * batch, so each item is then retried on its own to find the bad one.
+ * @returns {Array<{ item, error }>} items that failed
+ */
+async function commitStaged(batch, staged) {
+  try {
+    await batch.commit();
+    return [];
+  } catch (error) {
+    if (staged.length === 1 || classifySyncError(error).kind === 'transient') {
+      return staged.map(({ item }) => ({ item, error }));
+    }
+  }
+
+  const failures = [];
+  for (const { item, plan } of staged) {
+    try {
+      if (plan.remove) await plan.ref.delete();
+      else await plan.ref.set(plan.payload, { merge: true });
+    } catch (error) {
+      failures.push({ item, error });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Record push failures once the run is over: permanent errors and poison
+ * items become dead letters, the rest wait out their backoff.
+ * @returns {number} items dead-lettered
+ */
+function settleFailures(failures, runSynced) {
+  let deadLettered = 0;
+  for (const { item, error } of failures) {
+    const attempts = (item.retry_count || 0) + 1;
+    const { kind, reason } = classifySyncError(error);
+    let deadReason = null;
+    if (kind === 'permanent') deadReason = reason;
+    else if (attempts >= MAX_RETRIES && runSynced > 0) {
+      deadReason = `Poison: failed ${attempts} times while other items synced (${reason})`;
+    }
+    const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts)).toISOString();
+    sqlite.markSyncFailed(item.id, error.message, { kind, nextAttemptAt, deadReason });
+    if (deadReason) {
+      deadLettered++;
+      console.error(`[SYNC PUSH] Dead-lettered item ${item.id}: ${deadReason}`);
+    }
+  }
+  return deadLettered;
+}
+
+/**
+ * Push every due sync item (not dead-lettered, backoff elapsed, inside this
+ * device's sync profile) to Firebase, up to FIRESTORE_BATCH_LIMIT writes per
+ * commit. Failures are settled after the run by settleFailures().
  */
 async function syncPush() {
-  const pending = sqlite.getPendingSyncItems();       // excludes dead-letter
+  const profile = getSyncProfile(DEVICE_ID);
+  const due = sqlite.getDueSyncItems();
+  const pending = due.filter((item) => includesQueueItem(profile, item));
+  const held = due.length - pending.length;
   let synced = 0;
-  let failed = 0;
+  let superseded = 0;
+  let merged = 0;
+  let batches = 0;
+  const failures = [];
 
   let db;
   try { db = getFirestore(); } catch {
-    return { synced: 0, failed: pending.length, remaining: pending.length, error: 'Firebase unavailable' };
+    const remaining = sqlite.getPendingSyncItems().length;
+    return { synced: 0, failed: pending.length, held, remaining, error: 'Firebase unavailable' };
   }
 
-  for (const item of pending) {
-    try {
-      const payload = item.payload ? JSON.parse(item.payload) : {};
-
-      if (item.operation === 'SET' || item.operation === 'TOMBSTONE') {
-        const ref = resolveRef(db, item.collection, item.doc_path);
-        await ref.set({ ...payload, updated_at: new Date().toISOString() }, { merge: true });
-      } else if (item.operation === 'DELETE') {
-        // Hard delete (legacy) — kept for backwards compat
-        const ref = resolveRef(db, item.collection, item.doc_path);
-        await ref.delete();
-      }
+  const markDone = (item) => {
+    // A write coalesced into the item mid-push keeps it pending for the next run
+    if (sqlite.markSynced(item.id, item.coalesced ?? 0)) synced++;
+  };
 
-      sqlite.markSynced(item.id);
-      synced++;
-    } catch (err) {
-      console.error(`[SYNC PUSH] Failed item ${item.id} (attempt ${(item.retry_count || 0) + 1}):`, err.message);
-      sqlite.markSyncFailed(item.id, err.message);
-      failed++;
+  for (let start = 0; start < pending.length; start += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    const staged = [];
+    for (const item of pending.slice(start, start + FIRESTORE_BATCH_LIMIT)) {
+      try {
+        const plan = await preparePush(db, item);
+        if (plan.outcome === 'superseded') {
+          superseded++;
+          markDone(item);
+          continue;
+        }
+        stageWrite(batch, plan); // invalid writes throw here, not at commit
+        if (plan.outcome === 'merged') merged++;
+        staged.push({ item, plan });
+      } catch (err) {
+        console.error(`[SYNC PUSH] Failed item ${item.id} (attempt ${(item.retry_count || 0) + 1}):`, err.message);
+        failures.push({ item, error: err });
+      }
+    }
+    if (staged.length === 0) continue;
+
+    batches++;
+    const failed = await commitStaged(batch, staged);
+    const failedIds = new Set(failed.map(({ item }) => item.id));
+    for (const { item } of staged) if (!failedIds.has(item.id)) markDone(item);
+    for (const failure of failed) {
+      console.error(`[SYNC PUSH] Failed item ${failure.item.id} (attempt ${(failure.item.retry_count || 0) + 1}):`, failure.error.message);
+      failures.push(failure);
     }
   }
 
-  return { synced, failed, remaining: pending.length - synced };
+  const deadLettered = settleFailures(failures, synced);
+  return {
+    synced,
+    failed: failures.length,
+    deadLettered,
+    superseded,
+    merged,
+    batches,
+    held,
+    remaining: sqlite.getPendingSyncItems().length,
+  };
 }
 
 // ── Pull ───────────────────────────────────────────────
 
+/**
+ * Apply one remote project / MCP client doc if its stamp wins; a newer
+ * remote record drops this device's unsynced change to it.
+ * @returns {'pulled'|'skipped'|'rejected'}
+ */
+function applyRecord(collection, id, data) {
+  const local = getRecord(collection, id);
+  if (local && local.hlc && data.hlc === local.hlc) return 'skipped';
+  if (revokedWrite(data)) return 'rejected';
+  if (data.hlc) receive(data.hlc);
+  if (!remoteWins(local, data)) return 'skipped';
+
+  if (local && sqlite.hasPendingSync(collection, id)) {
+    sqlite.supersedePendingSync(collection, id, 'Superseded by newer remote write');
+  }
+  applyRemoteRecord(collection, id, data);
+  return 'pulled';
+}
+
+/**
+ * Apply one remote doc to SQLite if it wins over the local row.
+ * A remote write that meets an unsynced local write with different content
+ * is merged field by field when possible (the merge is queued for push).
+ * Otherwise recorded as a conflict: a skipped remote doc whose content
+ * differs, and a winning remote doc that overwrites an unsynced local write —
+ * that losing write is also dropped from the queue so push cannot overwrite
+ * the winner. Writes from a revoked device are rejected.
+ * @returns {'pulled'|'merged'|'skipped'|'rejected'}
+ */
+function applyRemote({
+  collection, docPath, scope, projectId, key, data, local, write, tombstone,
+}) {
+  const doc = { collection, docPath, scope, projectId, key };
+  if (local && local.hlc && data.hlc === local.hlc) return 'skipped';
+  if (revokedWrite(data)) return 'rejected';
+  if (local && data.hlc && seenLocally(doc, data.hlc)) return 'skipped';
+  if (data.hlc) receive(data.hlc);
+
+  const wins = remoteWins(local, data);
+  const pending = !!local && sqlite.hasPendingSync(collection, docPath);
+  if (local && (!wins || pending) && !sameContent(local, data)) {
+    const { merged, conflicts } = pending ? mergeConcurrent(doc, local, data) : { merged: null, conflicts: [] };
+    if (merged) {
+      const payload = applyMerge(doc, local, data, merged);
+      sqlite.supersedePendingSync(collection, docPath, 'Merged with concurrent remote write');
+      sqlite.enqueueSync(collection, docPath, 'SET', payload);
+      return 'merged';
+    }
+    recordConflict(doc, local, data, wins ? 'remote' : 'local', 'pull', conflicts);
+  }
+  if (wins && pending) sqlite.supersedePendingSync(collection, docPath, 'Superseded by newer remote write');
+  if (!wins) return 'skipped';
+
+  const meta = {
+    updated_by: data.updated_by || 'sync',
+    source_device_id: data.source_device_id || 'remote',
+    hlc: data.hlc || null,
+    origin: 'sync',
+  };
+  if (data.deleted) {
+    // Propagate tombstone
+    tombstone({
+      ...meta,
+      deleted_by: data.deleted_by || 'sync',
+      delete_reason: data.delete_reason || 'Synced tombstone',
+      infection_id: data.infection_id || null,
+    });
+  } else {
+    write(data.value, { ...meta, expires_at: data.expires_at || null });
+  }
+  return 'pulled';
+}
+
+/**
+ * Two-way merge of the local device registry with devices/{id}: the newer
+ * heartbeat wins for device info, the newer change for revocation. Local
+ * revocations Firestore has not seen yet (revoked while offline) are written back.
+ */
+async function syncDeviceRegistry(db) {
+  const snap = await db.collection('devices').get();
+  const remote = new Map(snap.docs.map((doc) => [doc.id, doc.data()]));
+  for (const [deviceId, data] of remote) sqlite.mergeRemoteDevice(deviceId, data);
+
+  for (const row of sqlite.getAllDevices()) {
+    const seen = remote.get(row.device_id)?.revocation_updated_at || '';
+    if (row.revocation_updated_at && row.revocation_updated_at > seen) {
+      await db.collection('devices').doc(row.device_id).set({
+        revoked: !!row.revoked,
+        revoked_by: row.revoked_by,
+        revoke_reason: row.revoke_reason,
+        revocation_updated_at: row.revocation_updated_at,
+      }, { merge: true });
+    }
+  }
+}
+
 /**
  * Incremental pull: fetch docs updated since this device's last sync cursor.
  * Tombstoned entries overwrite local state; stale entries never resurrect tombstones.
@@ -86,92 +502,101 @@ async function syncPush() {
  */
 async function syncPull(deviceId) {
   deviceId = deviceId || DEVICE_ID;
+  const profile = getSyncProfile(deviceId);
   let pulled = 0;
+  let merged = 0;
   let skipped = 0;
+  let filtered = 0;
+  let records = 0;
+  let rejected = 0;
+  const count = (outcome) => {
+    if (outcome === 'pulled') pulled++;
+    else if (outcome === 'merged') merged++;
+    else if (outcome === 'rejected') rejected++;
+    else skipped++;
+  };
+  // Old tombstones the profile leaves out
+  const apply = (doc) => {
+    if (includesTombstone(profile, doc.data)) count(applyRemote(doc));
+    else filtered++;
+  };
 
   let db;
   try { db = getFirestore(); } catch {
     return { status: 'error', error: 'Firebase unavailable', pulled: 0 };
   }
 
-  const lastSync = sqlite.getDeviceLastSync(deviceId) || '1970-01-01T00:00:00.000Z';
+  sqlite.ensureDevice(deviceId);
+  const cursor = sqlite.getDeviceLastSync(deviceId);
+  const lastSync = cursor || '1970-01-01T00:00:00.000Z';
 
   try {
+    // ── Device registry (first, so revocations apply to this pull) ──
+    await syncDeviceRegistry(db);
+
     // ── Global memory ──
-    const globalSnap = await db.collection('global_memory')
-      .where('updated_at', '>', lastSync)
-      .orderBy('updated_at', 'asc')
-      .get();
+    const globalSnap = profile.global
+      ? await db.collection('global_memory')
+        .where('updated_at', '>', lastSync)
+        .orderBy('updated_at', 'asc')
+        .get()
+      : { docs: [] };
 
     for (const doc of globalSnap.docs) {
-      const data = doc.data();
-      const remoteRev = data.revision || 0;
-
-      // Get local state to compare revisions
-      const local = sqlite.getGlobalMemoryFull(doc.id);
-      const localRev = local ? (local.revision || 0) : -1;
-
-      // Skip if local is newer
-      if (localRev > remoteRev) {
-        skipped++;
-        continue;
-      }
-
-      if (data.deleted) {
-        // Propagate tombstone
-        sqlite.tombstoneGlobalMemory(doc.id, {
-          deleted_by: data.deleted_by || 'sync',
-          delete_reason: data.delete_reason || 'Synced tombstone',
-          infection_id: data.infection_id || null,
-          source_device_id: data.source_device_id || 'remote',
-        });
-      } else {
-        // Upsert value (only if not locally tombstoned with higher rev)
-        if (local && local.deleted && localRev >= remoteRev) {
-          skipped++;
-          continue; // Local tombstone wins or ties
-        }
-        sqlite.setGlobalMemory(doc.id, data.value, {
-          updated_by: data.updated_by || 'sync',
-          source_device_id: data.source_device_id || 'remote',
-        });
-      }
-      pulled++;
+      apply({
+        collection: 'global_memory',
+        docPath: doc.id,
+        scope: 'global',
+        projectId: null,
+        key: doc.id,
+        data: doc.data(),
+        local: sqlite.getGlobalMemoryFull(doc.id),
+        write: (value, meta) => sqlite.setGlobalMemory(doc.id, value, meta),
+        tombstone: (meta) => sqlite.tombstoneGlobalMemory(doc.id, meta),
+      });
     }
 
     // ── Project memory ──
-    const projectSnap = await db.collection('project_memory').get();
-    for (const projDoc of projectSnap.docs) {
-      const projId = projDoc.id;
-      const entriesSnap = await projDoc.ref.collection('entries')
+    // listDocuments() also returns project docs that only hold an entries subcollection
+    const projectRefs = profile.projects
+      ? profile.projects.map((projectId) => db.collection('project_memory').doc(projectId))
+      : await db.collection('project_memory').listDocuments();
+    for (const projRef of projectRefs) {
+      const projId = projRef.id;
+      const entriesSnap = await projRef.collection('entries')
         .where('updated_at', '>', lastSync)
         .orderBy('updated_at', 'asc')
         .get();
 
       for (const entryDoc of entriesSnap.docs) {
-        const data = entryDoc.data();
-        const remoteRev = data.revision || 0;
-
-        const local = sqlite.getProjectMemoryFull(projId, entryDoc.id);
-        const localRev = local ? (local.revision || 0) : -1;
-
-        if (localRev > remoteRev) { skipped++; continue; }
+        apply({
+          collection: 'project_memory',
+          docPath: `${projId}/entries/${entryDoc.id}`,
+          scope: 'project',
+          projectId: projId,
+          key: entryDoc.id,
+          data: entryDoc.data(),
+          local: sqlite.getProjectMemoryFull(projId, entryDoc.id),
+          write: (value, meta) => sqlite.setProjectMemory(projId, entryDoc.id, value, meta),
+          tombstone: (meta) => sqlite.tombstoneProjectMemory(projId, entryDoc.id, meta),
+        });
+      }
+    }
 
-        if (data.deleted) {
-          sqlite.tombstoneProjectMemory(projId, entryDoc.id, {
-            deleted_by: data.deleted_by || 'sync',
-            delete_reason: data.delete_reason || 'Synced tombstone',
-            infection_id: data.infection_id || null,
-            source_device_id: data.source_device_id || 'remote',
-          });
+    // ── Projects + MCP clients ──
+    for (const collection of RECORD_COLLECTIONS) {
+      // Docs written before records were stamped have no updated_at: a first pull reads them all
+      const snap = cursor
+        ? await db.collection(collection).where('updated_at', '>', lastSync).orderBy('updated_at', 'asc').get()
+        : await db.collection(collection).get();
+      for (const doc of snap.docs) {
+        if (collection === 'projects' && !includesScope(profile, 'project', doc.id)) {
+          filtered++;
         } else {
-          if (local && local.deleted && localRev >= remoteRev) { skipped++; continue; }
-          sqlite.setProjectMemory(projId, entryDoc.id, data.value, {
-            updated_by: data.updated_by || 'sync',
-            source_device_id: data.source_device_id || 'remote',
-          });
+          const outcome = applyRecord(collection, doc.id, doc.data());
+          if (outcome === 'pulled') records++;
+          else count(outcome);
         }
-        pulled++;
       }
     }
 
@@ -179,10 +604,14 @@ async function syncPull(deviceId) {
     sqlite.updateDeviceLastSync(deviceId);
   } catch (err) {
     console.error('[SYNC PULL]', err.message);
-    return { status: 'error', error: err.message, pulled, skipped };
+    return {
+      status: 'error', error: err.message, pulled, merged, records, skipped, filtered, rejected,
+    };
   }
 
-  return { status: 'ok', pulled, skipped, deviceId };
+  return {
+    status: 'ok', pulled, merged, records, skipped, filtered, rejected, deviceId,
+  };
 }
 
 // ── Status ─────────────────────────────────────────────
@@ -193,6 +622,8 @@ function getSyncStatus() {
   const deadLetters = sqlite.getDeadLetterItems();
   return {
     pending: pending.length,
+    // Writes folded into the pending items instead of queued separately
+    coalesced: pending.reduce((sum, item) => sum + (item.coalesced || 0), 0),
     deadLetters: deadLetters.length,
     items: pending.slice(0, 20),
     dead: deadLetters.slice(0, 10),
@@ -212,14 +643,7 @@ async function retryDeadLetters() {
   let retried = 0;
   for (const item of dead) {
     try {
-      const payload = item.payload ? JSON.parse(item.payload) : {};
-      if (item.operation === 'SET' || item.operation === 'TOMBSTONE') {
-        const ref = resolveRef(db, item.collection, item.doc_path);
-        await ref.set({ ...payload, updated_at: new Date().toISOString() }, { merge: true });
-      } else if (item.operation === 'DELETE') {
-        const ref = resolveRef(db, item.collection, item.doc_path);
-        await ref.delete();
-      }
+      await pushItem(db, item);
       sqlite.markSynced(item.id);
       retried++;
     } catch (err) {
@@ -231,4 +655,266 @@ async function retryDeadLetters() {
   return { retried, total: dead.length };
 }
 
-module.exports = { syncPush, syncPull, getSyncStatus, retryDeadLetters };
+// ── Reconcile ──────────────────────────────────────────
+
+const REPORTED_KEYS = 50;
+
+function localWriters(doc) {
+  return doc.scope === 'global'
+    ? {
+      write: (value, meta) => sqlite.setGlobalMemory(doc.key, value, meta),
+      tombstone: (meta) => sqlite.tombstoneGlobalMemory(doc.key, meta),
+    }
+    : {
+      write: (value, meta) => sqlite.setProjectMemory(doc.projectId, doc.key, value, meta),
+      tombstone: (meta) => sqlite.tombstoneProjectMemory(doc.projectId, doc.key, meta),
+    };
+}
+
+/** SQLite datetime() text → ISO, as Firestore payloads carry it */
+function toIso(time) {
+  return time && !time.includes('T') ? `${time.replace(' ', 'T')}Z` : time;
+}
+
+/** Firestore payload that re-publishes a local row as it stands */
+function payloadFromLocal(local) {
+  const common = {
+    revision: local.revision,
+    updated_at: new Date().toISOString(),
+    updated_by: local.updated_by,
+    source_device_id: local.source_device_id,
+    hlc: local.hlc || null,
+  };
+  if (local.deleted) {
+    return {
+      ...common,
+      deleted: true,
+      deleted_at: toIso(local.deleted_at),
+      deleted_by: local.deleted_by || null,
+      delete_reason: local.delete_reason || null,
+      infection_id: local.infection_id || null,
+    };
+  }
+  return { ...common, value: local.value, deleted: false, expires_at: local.expires_at || null };
+}
+
+/** global + the projects a profile covers (known locally or remotely) */
+async function reconcileScopes(db, profile) {
+  const scopes = [];
+  if (profile.global) {
+    scopes.push({ scope: 'global', projectId: null, collection: 'global_memory', ref: db.collection('global_memory') });
+  }
+  const projectIds = profile.projects || [...new Set([
+    ...sqlite.getMemoryProjectIds(),
+    ...(await db.collection('project_memory').listDocuments()).map((ref) => ref.id),
+  ])].sort();
+  for (const projectId of projectIds) {
+    if (!includesScope(profile, 'project', projectId)) continue;
+    scopes.push({
+      scope: 'project',
+      projectId,
+      collection: 'project_memory',
+      ref: db.collection('project_memory').doc(projectId).collection('entries'),
+    });
+  }
+  return scopes;
+}
+
+/**
+ * Bring one drifted key in line: pull the remote doc if it wins, otherwise
+ * queue the local row for push.
+ * @returns {'pulled'|'merged'|'queued'|'skipped'|'rejected'}
+ */
+async function repairKey(db, target, key, profile) {
+  const docPath = target.scope === 'global' ? key : `${target.projectId}/entries/${key}`;
+  const doc = { collection: target.collection, docPath, scope: target.scope, projectId: target.projectId, key };
+  const snap = await resolveRef(db, doc.collection, docPath).get();
+  const data = snap.exists ? snap.data() : null;
+  const local = localRow(doc);
+
+  if (data && (!local || remoteWins(local, data))) {
+    if (!includesTombstone(profile, data)) return 'skipped';
+    return applyRemote({ ...doc, data, local, ...localWriters(doc) });
+  }
+  if (!local) return 'skipped';
+  if (!sqlite.hasPendingSync(doc.collection, docPath)) {
+    sqlite.enqueueSync(doc.collection, docPath, local.deleted ? 'TOMBSTONE' : 'SET', payloadFromLocal(local));
+  }
+  return 'queued';
+}
+
+/** Hash trees of one scope on both sides and where they differ */
+async function compareScope(target) {
+  const remoteSnap = await target.ref.select('hlc', 'revision', 'deleted').get();
+  const remoteEntries = remoteSnap.docs
+    .filter((doc) => !doc.data().deleted)
+    .map((doc) => ({ key: doc.id, ...doc.data() }));
+  const local = buildTree(sqlite.getLiveMemoryVersions(target.scope, target.projectId));
+  const remote = buildTree(remoteEntries);
+  return { local, remote, diff: diffTrees(local, remote) };
+}
+
+/**
+ * Compare SQLite with Firestore scope by scope and repair the differences.
+ * Queued repairs are pushed, then drifted scopes are compared again, so
+ * `converged` describes the state after repair. Only a repair pass
+ * publishes its digest to sync_digests/{deviceId}; repair: false writes
+ * nothing, locally or to Firestore.
+ * @param {object} opts  { repair (default true), deviceId }
+ * @returns {object} report — per scope: both roots, mismatched buckets,
+ *          differing keys (first REPORTED_KEYS) and repair outcomes
+ */
+async function reconcile({ repair = true, deviceId } = {}) {
+  deviceId = deviceId || DEVICE_ID;
+  const profile = getSyncProfile(deviceId);
+  const db = getFirestore();
+  const checked = [];
+  const totals = {
+    differences: 0, pulled: 0, merged: 0, queued: 0, skipped: 0, rejected: 0,
+  };
+
+  for (const target of await reconcileScopes(db, profile)) {
+    const { local, remote, diff } = await compareScope(target);
+    const repairs = {
+      pulled: 0, merged: 0, queued: 0, skipped: 0, rejected: 0,
+    };
+    if (repair) {
+      for (const { key } of diff.keys) repairs[await repairKey(db, target, key, profile)]++;
+    }
+    totals.differences += diff.keys.length;
+    Object.keys(repairs).forEach((outcome) => { totals[outcome] += repairs[outcome]; });
+    checked.push({ target, local, remote, diff, repairs });
+  }
+
+  const push = repair && totals.queued > 0 ? await syncPush() : null;
+
+  const scopes = [];
+  for (const entry of checked) {
+    const final = repair && entry.diff.keys.length > 0 ? await compareScope(entry.target) : entry;
+    scopes.push({
+      scope: entry.target.scope === 'global' ? 'global' : entry.target.projectId,
+      local_root: final.local.root,
+      remote_root: final.remote.root,
+      local_count: final.local.count,
+      remote_count: final.remote.count,
+      converged: final.diff.keys.length === 0,
+      mismatched_buckets: entry.diff.buckets,
+      differences: entry.diff.keys.length,
+      keys: entry.diff.keys.slice(0, REPORTED_KEYS),
+      repairs: repair ? entry.repairs : null,
+    });
+  }
+
+  const report = {
+    device_id: deviceId,
+    verified_at: new Date().toISOString(),
+    repair,
+    converged: scopes.every((scope) => scope.converged),
+    totals,
+    scopes,
+    push,
+  };
+
+  if (repair) {
+    await db.collection('sync_digests').doc(deviceId).set({
+      device_id: deviceId,
+      verified_at: report.verified_at,
+      converged: report.converged,
+      differences: totals.differences,
+      scopes: Object.fromEntries(scopes.map((scope) => [scope.scope, {
+        local_root: scope.local_root,
+        remote_root: scope.remote_root,
+      }])),
+    });
+  }
+  return report;
+}
+
+/**
+ * Every device's last published reconcile result, checked against the
+ * current remote roots in `report` (matches_remote = its local roots equal
+ * Firestore as this device sees it now).
+ */
+async function getDeviceConvergence(report) {
+  const remoteRoots = Object.fromEntries((report?.scopes || []).map((s) => [s.scope, s.remote_root]));
+  const snap = await getFirestore().collection('sync_digests').get();
+  return snap.docs.map((doc) => {
+    const digest = doc.data();
+    const shared = Object.entries(digest.scopes || {}).filter(([scope]) => scope in remoteRoots);
+    return {
+      device_id: digest.device_id || doc.id,
+      verified_at: digest.verified_at,
+      converged: digest.converged,
+      differences: digest.differences,
+      matches_remote: shared.every(([scope, roots]) => roots.local_root === remoteRoots[scope]),
+      scopes_compared: shared.length,
+    };
+  });
+}
+
+// ── LAN peers ──────────────────────────────────────────
+
+/**
+ * Every doc this device changed or pulled at or after `since` (SQLite time),
+ * as Firestore-shaped payloads. `cursor` is this device's clock when the read
+ * started; the peer passes it back as the next `since`. Rows from the cursor's
+ * second are sent again next time and skipped by their stamp.
+ * @returns {{ device_id, cursor, memory: Array<{ collection, docPath, data }>, records: Array<{ collection, id, data }> }}
+ */
+function collectChanges(since) {
+  const { cursor } = sqlite.getDB().prepare("SELECT datetime('now') AS cursor").get();
+  const from = since || '1970-01-01 00:00:00';
+  const changed = sqlite.getMemoryChangedSince(from);
+
+  const memory = [];
+  const add = (collection, docPath, row, scope) => {
+    const data = payloadFromLocal(row);
+    // Only our own writes know the version they replaced
+    if (!row.deleted && row.source_device_id === DEVICE_ID) {
+      data.base_hlc = sqlite.getPreviousHistoryHlc(scope, row.project_id || null, row.key, row.revision);
+    }
+    memory.push({ collection, docPath, data });
+  };
+  for (const row of changed.global) add('global_memory', row.key, row, 'global');
+  for (const row of changed.project) add('project_memory', `${row.project_id}/entries/${row.key}`, row, 'project');
+
+  return { device_id: DEVICE_ID, cursor, memory, records: getRecordsChangedSince(from) };
+}
+
+/**
+ * Apply a peer's collectChanges() result with the pull rules and this
+ * device's sync profile.
+ * @returns {{ pulled, merged, records, skipped, filtered, rejected }}
+ */
+function applyPeerChanges(changes, deviceId) {
+  const profile = getSyncProfile(deviceId || DEVICE_ID);
+  const counts = {
+    pulled: 0, merged: 0, records: 0, skipped: 0, filtered: 0, rejected: 0,
+  };
+
+  for (const { collection, docPath, data } of changes.memory || []) {
+    if (collection !== 'global_memory' && collection !== 'project_memory') continue;
+    const doc = { collection, docPath, ...describeDoc(collection, docPath) };
+    if (!includesScope(profile, doc.scope, doc.projectId) || !includesTombstone(profile, data)) {
+      counts.filtered++;
+      continue;
+    }
+    counts[applyRemote({ ...doc, data, local: localRow(doc), ...localWriters(doc) })]++;
+  }
+
+  for (const { collection, id, data } of changes.records || []) {
+    if (!isRecordCollection(collection)) continue;
+    if (collection === 'projects' && !includesScope(profile, 'project', id)) {
+      counts.filtered++;
+    } else {
+      const outcome = applyRecord(collection, id, data);
+      counts[outcome === 'pulled' ? 'records' : outcome]++;
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  syncPush, syncPull, getSyncStatus, retryDeadLetters, reconcile, getDeviceConvergence,
+  collectChanges, applyPeerChanges,
+};
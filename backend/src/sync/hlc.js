@@ -0,0 +1,72 @@
+/**
+ * Hybrid logical clock (HLC) for ordering memory writes across devices.
+ *
+ * A timestamp is `<wall ms, 13 digits>-<counter, 5 digits>-<device id>`:
+ * fixed-width numeric parts mean plain string comparison orders by wall
+ * time, then counter, then device id — so two concurrent writes always
+ * resolve the same way on every device, and equal strings mean the same
+ * write.
+ *
+ *   tick(deviceId)   — stamp a local write
+ *   receive(hlc)     — fold in a remote stamp so later local writes sort after it
+ *   compareHlc(a, b) — -1 / 0 / 1; a missing stamp sorts first
+ */
+
+const MAX_COUNTER = 99999;
+
+const state = { wall: 0, counter: 0 };
+
+function formatHlc(wall, counter, deviceId) {
+  return `${String(wall).padStart(13, '0')}-${String(counter).padStart(5, '0')}-${deviceId || 'unknown'}`;
+}
+
+/** @returns {{ wall: number, counter: number, deviceId: string } | null} */
+function parseHlc(hlc) {
+  const match = typeof hlc === 'string' && hlc.match(/^(\d{13})-(\d{5})-(.*)$/);
+  if (!match) return null;
+  return { wall: Number(match[1]), counter: Number(match[2]), deviceId: match[3] };
+}
+
+function advance(wall, counter) {
+  if (counter > MAX_COUNTER) {
+    state.wall = wall + 1;
+    state.counter = 0;
+  } else {
+    state.wall = wall;
+    state.counter = counter;
+  }
+}
+
+function tick(deviceId) {
+  const now = Date.now();
+  if (now > state.wall) advance(now, 0);
+  else advance(state.wall, state.counter + 1);
+  return formatHlc(state.wall, state.counter, deviceId);
+}
+
+/** Merge a remote timestamp into the local clock (ignores malformed stamps) */
+function receive(hlc) {
+  const remote = parseHlc(hlc);
+  if (!remote) return;
+
+  const now = Date.now();
+  const wall = Math.max(state.wall, remote.wall, now);
+  if (wall === state.wall && wall === remote.wall) {
+    advance(wall, Math.max(state.counter, remote.counter) + 1);
+  } else if (wall === state.wall) {
+    advance(wall, state.counter + 1);
+  } else if (wall === remote.wall) {
+    advance(wall, remote.counter + 1);
+  } else {
+    advance(wall, 0);
+  }
+}
+
+function compareHlc(a, b) {
+  if (a === b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  return a < b ? -1 : 1;
+}
+
+module.exports = { tick, receive, compareHlc, parseHlc, formatHlc };
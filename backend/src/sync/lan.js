@@ -0,0 +1,262 @@
+/**
+ * LAN sync — exchange changes with other devices directly, without the cloud.
+ *
+ * Each backend serves GET /api/lan/changes?since=<cursor> (routes/lan.js) and
+ * pulls the same from its peers; both directions together make a two-way sync.
+ * What is sent and how it is applied is the sync engine's (collectChanges /
+ * applyPeerChanges), so HLC, merge, tombstone and profile rules match Firestore
+ * sync. The cursor a peer hands back is kept per peer device in `lan_peers`.
+ *
+ * Peers come from LAN_PEERS (comma-separated base URLs) and from a UDP
+ * multicast beacon on the local network (LAN_DISCOVERY=off disables it).
+ * Every request, response and beacon is signed with HMAC-SHA256 under the
+ * shared device key LAN_SYNC_KEY, so the key itself never crosses the wire;
+ * without the key LAN sync is off. Revoked devices are neither served nor pulled.
+ *
+ * Any holder of the key can sign as any device id, so a revocation is bound
+ * to the key in force when it is first seen here: while a revoked device may
+ * hold the current key, LAN sync is suspended both ways until LAN_SYNC_KEY
+ * is rotated on the remaining devices.
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const os = require('os');
+const sqlite = require('../db/sqlite');
+const { applyPeerChanges } = require('./engine');
+const { MemoryServiceError } = require('../services/memoryService');
+
+const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
+const MAX_SKEW_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const BEACON_GROUP = '239.255.77.77';
+const BEACON_INTERVAL_MS = 30 * 1000;
+const DISCOVERED_TTL_MS = 3 * BEACON_INTERVAL_MS;
+
+let socket = null;
+let beaconTimer = null;
+
+function lanKey() {
+  return process.env.LAN_SYNC_KEY || '';
+}
+
+function isLanEnabled() {
+  return !!lanKey();
+}
+
+/** Fingerprint of the current key, kept locally against revocations */
+function lanKeyId() {
+  return crypto.createHmac('sha256', lanKey()).update('lan-key-id').digest('hex').slice(0, 16);
+}
+
+function isLanSuspended() {
+  return sqlite.isLanKeyRevoked(lanKeyId());
+}
+
+const SUSPENDED_MESSAGE = 'A revoked device may hold LAN_SYNC_KEY — rotate it on the remaining devices';
+
+function sign(...parts) {
+  return crypto.createHmac('sha256', lanKey()).update(parts.join('\n')).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function fresh(timestamp) {
+  return Math.abs(Date.now() - Number(timestamp)) <= MAX_SKEW_MS;
+}
+
+/** http://host:port — trailing slash and /api stripped */
+function normalizeUrl(url) {
+  return String(url).trim().replace(/\/+$/, '').replace(/\/api$/, '');
+}
+
+function discoveryPort() {
+  return Number(process.env.LAN_DISCOVERY_PORT) || 39391;
+}
+
+function configuredPeers() {
+  return (process.env.LAN_PEERS || '').split(',').map((url) => url.trim()).filter(Boolean).map(normalizeUrl);
+}
+
+/** URL peers should use for this backend: LAN_ADVERTISE_URL or the first LAN IPv4 */
+function advertiseUrl() {
+  if (process.env.LAN_ADVERTISE_URL) return normalizeUrl(process.env.LAN_ADVERTISE_URL);
+  const address = Object.values(os.networkInterfaces()).flat()
+    .find((iface) => iface && iface.family === 'IPv4' && !iface.internal);
+  return address ? `http://${address.address}:${process.env.PORT || 3939}` : null;
+}
+
+// ── Serving side ───────────────────────────────────────
+
+/**
+ * Check a peer request's signature headers.
+ * @returns {string} the calling peer's device id
+ */
+function verifyPeerRequest(req) {
+  if (!isLanEnabled()) throw new MemoryServiceError(404, 'LAN_SYNC_DISABLED', 'LAN sync is not enabled on this device');
+  const deviceId = req.get('X-Lan-Device');
+  const timestamp = req.get('X-Lan-Timestamp');
+  const signature = req.get('X-Lan-Signature');
+  if (!deviceId || !timestamp || !signature || !fresh(timestamp)
+    || !safeEqual(signature, sign('request', req.method, req.originalUrl, timestamp, deviceId))) {
+    throw new MemoryServiceError(401, 'LAN_UNAUTHORIZED', 'Invalid or expired LAN signature');
+  }
+  if (isLanSuspended()) throw new MemoryServiceError(403, 'LAN_KEY_REVOKED', SUSPENDED_MESSAGE);
+  if (sqlite.getDeviceRevocation(deviceId)) {
+    throw new MemoryServiceError(403, 'DEVICE_REVOKED', `Device ${deviceId} has been revoked`);
+  }
+  return deviceId;
+}
+
+/** Signature over a response body, bound to the request it answers */
+function signResponse(req, body) {
+  return sign('response', req.get('X-Lan-Signature'), body);
+}
+
+// ── Pulling side ───────────────────────────────────────
+
+async function peerRequest(baseUrl, path) {
+  const timestamp = String(Date.now());
+  const signature = sign('request', 'GET', path, timestamp, DEVICE_ID);
+  const res = await fetch(`${baseUrl}${path}`, {
+    headers: { 'X-Lan-Device': DEVICE_ID, 'X-Lan-Timestamp': timestamp, 'X-Lan-Signature': signature },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await res.text();
+  if (!res.ok) throw new Error(`Peer answered ${res.status}: ${body.slice(0, 200)}`);
+  if (!safeEqual(res.headers.get('x-lan-signature'), sign('response', signature, body))) {
+    throw new Error('Peer response signature mismatch');
+  }
+  return JSON.parse(body);
+}
+
+/** Configured URLs, then peers heard from by beacon within DISCOVERED_TTL_MS */
+function peerTargets() {
+  const targets = configuredPeers().map((url) => ({ url, source: 'config', deviceId: null }));
+  for (const peer of sqlite.getLanPeers()) {
+    const seen = Date.parse(`${peer.last_seen_at.replace(' ', 'T')}Z`);
+    if (peer.source === 'discovered' && Date.now() - seen <= DISCOVERED_TTL_MS) {
+      targets.push({ url: peer.url, source: 'discovered', deviceId: peer.device_id });
+    }
+  }
+  return targets;
+}
+
+/** Pull one peer's changes since our cursor for it */
+async function syncWithPeer(url, source) {
+  let deviceId = null;
+  try {
+    ({ device_id: deviceId } = await peerRequest(url, '/api/lan/hello'));
+    if (deviceId === DEVICE_ID) return { url, device_id: deviceId, status: 'skipped', reason: 'This device' };
+    if (sqlite.getDeviceRevocation(deviceId)) return { url, device_id: deviceId, status: 'skipped', reason: 'Revoked device' };
+
+    sqlite.upsertLanPeer(deviceId, url, source);
+    const { cursor } = sqlite.getLanPeer(deviceId);
+    const changes = await peerRequest(url, `/api/lan/changes${cursor ? `?since=${encodeURIComponent(cursor)}` : ''}`);
+    if (changes.device_id !== deviceId) throw new Error(`Peer changed identity to ${changes.device_id}`);
+
+    const counts = applyPeerChanges(changes);
+    sqlite.setLanPeerCursor(deviceId, changes.cursor);
+    return { url, device_id: deviceId, status: 'ok', ...counts };
+  } catch (error) {
+    if (deviceId && deviceId !== DEVICE_ID) sqlite.setLanPeerError(deviceId, error.message);
+    return { url, device_id: deviceId, status: 'error', error: error.message };
+  }
+}
+
+/** One exchange with every known peer, one at a time; a device reachable by two URLs is pulled once */
+async function syncWithPeers() {
+  if (!isLanEnabled()) return { status: 'disabled', peers: [] };
+  if (isLanSuspended()) return { status: 'suspended', reason: SUSPENDED_MESSAGE, peers: [] };
+  const peers = [];
+  const done = new Set();
+  for (const { url, source, deviceId } of peerTargets()) {
+    if (deviceId && done.has(deviceId)) continue;
+    const result = await syncWithPeer(url, source);
+    if (result.status === 'ok') done.add(result.device_id);
+    peers.push(result);
+  }
+  return { status: 'ok', peers };
+}
+
+// ── Discovery ──────────────────────────────────────────
+
+function announce() {
+  const url = advertiseUrl();
+  if (!socket || !url) return;
+  const timestamp = String(Date.now());
+  const beacon = JSON.stringify({
+    device_id: DEVICE_ID, url, timestamp, signature: sign('beacon', DEVICE_ID, url, timestamp),
+  });
+  socket.send(beacon, discoveryPort(), BEACON_GROUP);
+}
+
+function handleBeacon(message) {
+  let beacon;
+  try { beacon = JSON.parse(message.toString()); } catch { return; }
+  const { device_id: deviceId, url, timestamp, signature } = beacon || {};
+  if (!deviceId || !url || deviceId === DEVICE_ID || !fresh(timestamp)) return;
+  if (!safeEqual(signature, sign('beacon', deviceId, url, timestamp))) return;
+  sqlite.upsertLanPeer(deviceId, normalizeUrl(url), 'discovered');
+}
+
+/** Announce this backend and listen for peers on the multicast group */
+function startDiscovery() {
+  if (socket || !isLanEnabled() || process.env.LAN_DISCOVERY === 'off') return;
+  socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  socket.on('message', handleBeacon);
+  socket.on('error', (error) => {
+    console.error('[LAN] Discovery stopped:', error.message);
+    stopDiscovery();
+  });
+  socket.bind(discoveryPort(), () => {
+    try {
+      socket.addMembership(BEACON_GROUP);
+      socket.setMulticastTTL(1);
+    } catch (error) {
+      console.error('[LAN] Discovery unavailable:', error.message);
+      stopDiscovery();
+      return;
+    }
+    announce();
+    beaconTimer = setInterval(announce, BEACON_INTERVAL_MS);
+    beaconTimer.unref();
+  });
+  socket.unref();
+}
+
+function stopDiscovery() {
+  if (beaconTimer) clearInterval(beaconTimer);
+  beaconTimer = null;
+  if (socket) {
+    try { socket.close(); } catch { /* already closed */ }
+  }
+  socket = null;
+}
+
+/** Configuration and every peer seen so far, with its cursor and last error */
+function getLanStatus() {
+  return {
+    enabled: isLanEnabled(),
+    suspended: isLanEnabled() && isLanSuspended(),
+    device_id: DEVICE_ID,
+    advertise_url: isLanEnabled() ? advertiseUrl() : null,
+    discovery: !!socket,
+    configured_peers: configuredPeers(),
+    peers: sqlite.getLanPeers(),
+  };
+}
+
+module.exports = {
+  isLanEnabled,
+  verifyPeerRequest,
+  signResponse,
+  syncWithPeers,
+  startDiscovery,
+  stopDiscovery,
+  getLanStatus,
+};
@@ -0,0 +1,65 @@
+/**
+ * Field-level three-way merge for object-valued memories.
+ *
+ * Given the last version both sides share (base) and the two concurrent
+ * edits, every field is resolved on its own:
+ *
+ *   unchanged on one side   → take the other side's field
+ *   same change on both     → take it
+ *   changed on both, objects → merge recursively
+ *   changed on both, else   → conflict (reported as a dotted field path)
+ *
+ * Arrays and scalars are compared whole; a missing field is a value like
+ * any other, so deleting a field on one side while the other leaves it
+ * alone drops it from the result.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** JSON with sorted keys, so key order never counts as a change */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+const same = (a, b) => canonical(a) === canonical(b);
+
+function mergeObjects(base, local, remote, prefix, conflicts) {
+  const merged = {};
+  const fields = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+
+  for (const field of [...fields].sort()) {
+    const path = prefix ? `${prefix}.${field}` : field;
+    const [b, l, r] = [base[field], local[field], remote[field]];
+    let value;
+    if (same(l, b)) value = r;
+    else if (same(r, b) || same(l, r)) value = l;
+    else if (isPlainObject(l) && isPlainObject(r)) {
+      value = mergeObjects(isPlainObject(b) ? b : {}, l, r, path, conflicts);
+    } else {
+      conflicts.push(path);
+      continue;
+    }
+    if (value !== undefined) merged[field] = value;
+  }
+  return merged;
+}
+
+/**
+ * @returns {{ merged: object|null, conflicts: string[] }} merged is null when
+ *          any field conflicts or a value is not a plain object
+ */
+function threeWayMerge(base, local, remote) {
+  if (![base, local, remote].every(isPlainObject)) return { merged: null, conflicts: [] };
+  const conflicts = [];
+  const merged = mergeObjects(base, local, remote, '', conflicts);
+  return { merged: conflicts.length > 0 ? null : merged, conflicts };
+}
+
+module.exports = { threeWayMerge, isPlainObject };
@@ -0,0 +1,88 @@
+/**
+ * Hash tree over one memory scope, for reconciliation.
+ *
+ * Every live entry is a leaf `key → version` (its hlc, or `r<revision>` for
+ * entries written before HLCs). Leaves fall into 256 buckets by the first
+ * two hex digits of sha256(key); buckets group into 16 branches by the
+ * first digit, and branches hash into the root:
+ *
+ *   root ─ branch 0..f ─ bucket 00..ff ─ key:version
+ *
+ * Two sides hold the same live entries exactly when their roots match.
+ * diffTrees() descends only into branches and buckets whose hashes differ.
+ * Tombstones are not leaves: a key deleted on one side shows up as present
+ * on the other, and a tombstone purged by GC does not count as drift.
+ */
+
+const crypto = require('crypto');
+
+const HEX = '0123456789abcdef'.split('');
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function versionOf(entry) {
+  return entry.hlc || `r${entry.revision || 0}`;
+}
+
+function bucketOf(key) {
+  return sha256(key).slice(0, 2);
+}
+
+/**
+ * @param {Array<{ key, hlc?, revision? }>} entries  live entries of one scope
+ * @returns {{ root, count, branches, buckets, leaves }}
+ */
+function buildTree(entries) {
+  const leaves = new Map(); // bucket → Map(key → version)
+  for (const entry of entries) {
+    const bucket = bucketOf(entry.key);
+    if (!leaves.has(bucket)) leaves.set(bucket, new Map());
+    leaves.get(bucket).set(entry.key, versionOf(entry));
+  }
+
+  const buckets = {};
+  for (const [bucket, keys] of leaves) {
+    buckets[bucket] = sha256([...keys].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, version]) => `${key}\0${version}`).join('\n'));
+  }
+  const branches = {};
+  for (const branch of HEX) {
+    branches[branch] = sha256(HEX.map((digit) => buckets[branch + digit] || '').join(':'));
+  }
+  const root = sha256(HEX.map((branch) => branches[branch]).join(':'));
+
+  return { root, count: entries.length, branches, buckets, leaves };
+}
+
+/**
+ * Walk two trees from the root down, only through mismatched nodes.
+ * @returns {{ branches: string[], buckets: string[], keys: Array<{ key, local, remote }> }}
+ *          local / remote are the versions on each side (null = absent)
+ */
+function diffTrees(local, remote) {
+  const result = { branches: [], buckets: [], keys: [] };
+  if (local.root === remote.root) return result;
+
+  for (const branch of HEX) {
+    if (local.branches[branch] === remote.branches[branch]) continue;
+    result.branches.push(branch);
+
+    for (const digit of HEX) {
+      const bucket = branch + digit;
+      if (local.buckets[bucket] === remote.buckets[bucket]) continue;
+      result.buckets.push(bucket);
+
+      const localKeys = local.leaves.get(bucket) || new Map();
+      const remoteKeys = remote.leaves.get(bucket) || new Map();
+      for (const key of new Set([...localKeys.keys(), ...remoteKeys.keys()])) {
+        const [l, r] = [localKeys.get(key) ?? null, remoteKeys.get(key) ?? null];
+        if (l !== r) result.keys.push({ key, local: l, remote: r });
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { buildTree, diffTrees };
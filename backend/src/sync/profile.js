@@ -0,0 +1,47 @@
+/**
+ * Sync profiles — which memory one device exchanges with Firestore.
+ *
+ * Stored on the device's row in `devices`:
+ *   projects                null = every project, else a list of project ids
+ *                           (covers the project's memory and its metadata record)
+ *   global                  false = global memory is neither pulled nor pushed
+ *   tombstone_max_age_days  remote tombstones deleted longer ago are not pulled (null = all)
+ *
+ * Pull only reads the collections a profile covers. Push holds queued
+ * writes outside it in sync_queue, so they go out if the profile later
+ * grows to include them. The tombstone age limit is pull-only: this
+ * device's own deletes always go out, however long they sat in the queue.
+ * Unregistered devices sync everything.
+ */
+
+const sqlite = require('../db/sqlite');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getSyncProfile(deviceId) {
+  return sqlite.getDeviceSyncProfile(deviceId)
+    || { device_id: deviceId, projects: null, global: true, tombstone_max_age_days: null };
+}
+
+function includesScope(profile, scope, projectId) {
+  if (scope === 'global') return profile.global;
+  return !profile.projects || profile.projects.includes(projectId);
+}
+
+/** A pulled tombstone is out of profile once it is older than tombstone_max_age_days */
+function includesTombstone(profile, data, now = Date.now()) {
+  if (!data || !data.deleted || profile.tombstone_max_age_days === null) return true;
+  const deletedAt = Date.parse(data.deleted_at || data.updated_at);
+  return !Number.isFinite(deletedAt) || now - deletedAt <= profile.tombstone_max_age_days * DAY_MS;
+}
+
+/** Whether a sync_queue item may be pushed under this profile (scopes only, see above) */
+function includesQueueItem(profile, item) {
+  if (item.collection === 'project_memory' || item.collection === 'projects') {
+    return includesScope(profile, 'project', item.doc_path.split('/')[0]);
+  }
+  if (item.collection === 'global_memory') return includesScope(profile, 'global');
+  return true; // mcp_clients registrations go everywhere
+}
+
+module.exports = { getSyncProfile, includesScope, includesTombstone, includesQueueItem };
@@ -0,0 +1,134 @@
+/**
+ * Record sync — project metadata and MCP client registrations as synced docs.
+ *
+ * The `projects` and `mcp_clients` tables map one row to one Firestore doc
+ * (projects/{id}, mcp_clients/{id}). Every change bumps `revision`, takes a
+ * fresh HLC stamp and is published with publishRecord(); a deletion is a
+ * tombstone (deleted = 1), so it propagates instead of being pulled back.
+ * The sync engine pushes queued record writes and pulls remote ones with
+ * the same HLC rule as memory: the higher stamp wins, whole record at a time.
+ *
+ * Device-local state never leaves SQLite: a project's `local_path` lives in
+ * `project_paths`, an MCP client's last test result stays on its row.
+ */
+
+const { getDB, enqueueSync } = require('../db/sqlite');
+const { getFirestore } = require('../config/firebase');
+const { tick } = require('./hlc');
+
+const DEVICE_ID = process.env.DEVICE_ID || 'backend-primary';
+
+/** Synced fields per collection (table name = collection name) */
+const RECORD_FIELDS = {
+  projects: [
+    'project_name', 'primary_language', 'framework', 'git_remote',
+    'github_owner', 'github_repo', 'github_branch', 'created_by', 'created_at',
+  ],
+  mcp_clients: [
+    'name', 'client_type', 'connection_mode', 'permissions', 'enabled', 'created_by', 'created_at',
+  ],
+};
+
+const RECORD_COLLECTIONS = Object.keys(RECORD_FIELDS);
+
+function isRecordCollection(collection) {
+  return RECORD_COLLECTIONS.includes(collection);
+}
+
+/** The row behind a record doc, tombstones included */
+function getRecord(collection, id) {
+  return getDB().prepare(`SELECT * FROM ${collection} WHERE id = ?`).get(id) || null;
+}
+
+/** revision / hlc / source_device_id for the next local change of a row */
+function nextStamp(current) {
+  return { revision: (current?.revision || 0) + 1, hlc: tick(DEVICE_ID), source_device_id: DEVICE_ID };
+}
+
+function recordPayload(collection, row) {
+  const payload = {};
+  for (const field of RECORD_FIELDS[collection]) payload[field] = row[field] ?? null;
+  return {
+    ...payload,
+    revision: row.revision,
+    hlc: row.hlc,
+    source_device_id: row.source_device_id,
+    deleted: !!row.deleted,
+    deleted_at: row.deleted_at || null,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Write a row's current state to Firestore, or queue it when offline.
+ * @returns {'synced'|'queued'}
+ */
+async function publishRecord(collection, id) {
+  const row = getRecord(collection, id);
+  const payload = recordPayload(collection, row);
+  try {
+    await getFirestore().collection(collection).doc(id).set(payload);
+    return 'synced';
+  } catch {
+    enqueueSync(collection, id, row.deleted ? 'TOMBSTONE' : 'SET', payload);
+    return 'queued';
+  }
+}
+
+/**
+ * Stamp rows written before records synced and queue them for push, so
+ * registrations that only ever lived in this SQLite file reach other devices.
+ * @returns {number} rows queued
+ */
+function queueUnstampedRecords() {
+  const db = getDB();
+  let queued = 0;
+  for (const collection of RECORD_COLLECTIONS) {
+    const rows = db.prepare(`SELECT id FROM ${collection} WHERE hlc IS NULL`).all();
+    for (const { id } of rows) {
+      db.prepare(`UPDATE ${collection} SET hlc = ?, source_device_id = ? WHERE id = ?`).run(tick(DEVICE_ID), DEVICE_ID, id);
+      const row = getRecord(collection, id);
+      enqueueSync(collection, id, row.deleted ? 'TOMBSTONE' : 'SET', recordPayload(collection, row));
+      queued++;
+    }
+  }
+  return queued;
+}
+
+/** Record docs (tombstones included) changed at or after `since`, for LAN peers */
+function getRecordsChangedSince(since) {
+  const changes = [];
+  for (const collection of RECORD_COLLECTIONS) {
+    const rows = getDB().prepare(`SELECT * FROM ${collection} WHERE updated_at >= ? ORDER BY updated_at`).all(since);
+    for (const row of rows) changes.push({ collection, id: row.id, data: recordPayload(collection, row) });
+  }
+  return changes;
+}
+
+/** Store a winning remote doc locally (insert, update or tombstone) */
+function applyRemoteRecord(collection, id, data) {
+  const fields = RECORD_FIELDS[collection];
+  const values = fields.map((field) => data[field] ?? null);
+  const columns = ['id', ...fields, 'revision', 'hlc', 'source_device_id', 'deleted', 'deleted_at'];
+  const updates = columns.slice(1).map((column) => `${column} = excluded.${column}`);
+
+  getDB().prepare(
+    `INSERT INTO ${collection} (${columns.join(', ')}, updated_at)
+     VALUES (${columns.map(() => '?').join(', ')}, datetime('now'))
+     ON CONFLICT(id) DO UPDATE SET ${updates.join(', ')}, updated_at = datetime('now')`
+  ).run(
+    id, ...values, data.revision || 1, data.hlc || null, data.source_device_id || 'remote',
+    data.deleted ? 1 : 0, data.deleted_at || null,
+  );
+}
+
+module.exports = {
+  RECORD_COLLECTIONS,
+  isRecordCollection,
+  getRecord,
+  nextStamp,
+  publishRecord,
+  queueUnstampedRecords,
+  getRecordsChangedSince,
+  applyRemoteRecord,
+};
@@ -0,0 +1,79 @@
+/**
+ * Retry policy for sync_queue pushes.
+ *
+ * classifySyncError(err) → { kind: 'transient'|'permanent', reason }
+ *   transient  — network trouble, timeouts, throttling, server errors: retried
+ *   permanent  — the write itself is bad (invalid path or value, permission
+ *                denied, unparseable payload): dead-lettered at once
+ *
+ * retryDelayMs(attempts) — SYNC_RETRY_BASE_MS (default 30s) doubled per
+ * attempt, capped at SYNC_RETRY_MAX_MS (default 10min).
+ */
+
+const DEFAULT_BASE_MS = 30 * 1000;
+const DEFAULT_MAX_MS = 10 * 60 * 1000;
+
+// gRPC status codes returned by Firestore
+const PERMANENT_GRPC = {
+  3: 'INVALID_ARGUMENT',
+  5: 'NOT_FOUND',
+  6: 'ALREADY_EXISTS',
+  7: 'PERMISSION_DENIED',
+  9: 'FAILED_PRECONDITION',
+  11: 'OUT_OF_RANGE',
+  12: 'UNIMPLEMENTED',
+};
+const TRANSIENT_GRPC = {
+  1: 'CANCELLED',
+  2: 'UNKNOWN',
+  4: 'DEADLINE_EXCEEDED',
+  8: 'RESOURCE_EXHAUSTED',
+  10: 'ABORTED',
+  13: 'INTERNAL',
+  14: 'UNAVAILABLE',
+  15: 'DATA_LOSS',
+  16: 'UNAUTHENTICATED',
+};
+
+const NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH',
+]);
+
+// Argument validation errors thrown by firebase-admin before any request is made
+const INVALID_WRITE_PATTERNS = [
+  /not a valid resource path/i,
+  /Cannot use "undefined" as a Firestore value/i,
+  /is not a valid Firestore value/i,
+  /Value for argument .* is not a valid/i,
+  /must be a well-formed document path/i,
+];
+
+function classifySyncError(error) {
+  const message = (error && error.message) || String(error);
+
+  if (error instanceof SyntaxError) return { kind: 'permanent', reason: `Unparseable payload: ${message}` };
+  if (typeof error?.code === 'number') {
+    if (PERMANENT_GRPC[error.code]) return { kind: 'permanent', reason: `${PERMANENT_GRPC[error.code]}: ${message}` };
+    if (TRANSIENT_GRPC[error.code]) return { kind: 'transient', reason: `${TRANSIENT_GRPC[error.code]}: ${message}` };
+  }
+  if (NETWORK_CODES.has(error?.code)) return { kind: 'transient', reason: `${error.code}: ${message}` };
+  if (INVALID_WRITE_PATTERNS.some((pattern) => pattern.test(message))) {
+    return { kind: 'permanent', reason: `Invalid write: ${message}` };
+  }
+  // Unknown errors get the benefit of the doubt
+  return { kind: 'transient', reason: message };
+}
+
+function envMs(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/** Delay before attempt number `attempts + 1` */
+function retryDelayMs(attempts) {
+  const base = envMs('SYNC_RETRY_BASE_MS', DEFAULT_BASE_MS);
+  const max = envMs('SYNC_RETRY_MAX_MS', DEFAULT_MAX_MS);
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), max);
+}
+
+module.exports = { classifySyncError, retryDelayMs };
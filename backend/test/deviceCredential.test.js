@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+process.env.LAN_SYNC_KEY = 'first-key';
+const sqlite = require('../src/db/sqlite');
+const { initFirebase } = require('../src/config/firebase');
+const { recordHeartbeat, revokeDevice, reinstateDevice } = require('../src/services/deviceService');
+const { trackDevice } = require('../src/middleware/deviceTracker');
+const { syncWithPeers } = require('../src/sync/lan');
+
+sqlite.initSQLite();
+initFirebase();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+
+/** Run trackDevice for a request; the status it rejected with, or 'next' */
+function track({ method = 'POST', baseUrl = '/api/memory', path = '/global', headers = {} } = {}) {
+  let outcome = null;
+  const req = { method, baseUrl, path, headers, ip: '127.0.0.1' };
+  const res = {
+    status(code) {
+      outcome = { status: code };
+      return this;
+    },
+    json(body) {
+      outcome.code = body.code;
+      return this;
+    },
+  };
+  trackDevice(req, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+let laptopToken;
+let phoneToken;
+
+test('registration issues a token once and then requires it', async () => {
+  const first = await recordHeartbeat(owner, { device_id: 'laptop' });
+  laptopToken = first.device_token;
+  assert.ok(laptopToken);
+  assert.notStrictEqual(sqlite.getDevice('laptop').token_hash, laptopToken);
+
+  const again = await recordHeartbeat(owner, { device_id: 'laptop' }, { token: laptopToken });
+  assert.strictEqual(again.device_token, undefined);
+  await assert.rejects(recordHeartbeat(owner, { device_id: 'laptop' }), { code: 'DEVICE_TOKEN_INVALID' });
+});
+
+test('writes without a token pass until a device is revoked', () => {
+  assert.strictEqual(track(), 'next');
+  assert.strictEqual(track({ headers: { 'x-device-id': 'unregistered' } }), 'next');
+  assert.deepStrictEqual(track({ headers: { 'x-device-id': 'laptop', 'x-device-token': 'guess' } }),
+    { status: 403, code: 'DEVICE_TOKEN_INVALID' });
+});
+
+test('a revoked device cannot write under its own or another registered id', async () => {
+  ({ device_token: phoneToken } = await recordHeartbeat(owner, { device_id: 'phone' }));
+  await revokeDevice(owner, 'phone');
+
+  assert.deepStrictEqual(track({ headers: { 'x-device-id': 'phone', 'x-device-token': phoneToken } }),
+    { status: 403, code: 'DEVICE_REVOKED' });
+  assert.deepStrictEqual(track({ headers: { 'x-device-id': 'unregistered' } }),
+    { status: 403, code: 'DEVICE_TOKEN_REQUIRED' });
+  assert.deepStrictEqual(track({ headers: { 'x-device-id': 'laptop', 'x-device-token': phoneToken } }),
+    { status: 403, code: 'DEVICE_TOKEN_INVALID' });
+
+  assert.strictEqual(track({ headers: { 'x-device-id': 'laptop', 'x-device-token': laptopToken } }), 'next');
+  assert.strictEqual(track({ method: 'GET' }), 'next');
+});
+
+test('callers that name no device are not held to a token while a device is revoked', () => {
+  assert.strictEqual(track(), 'next');
+  assert.strictEqual(track({ baseUrl: '/api/mcp', path: '/tools/call' }), 'next');
+  assert.strictEqual(track({ baseUrl: '/api/mcp', path: '/resources/read' }), 'next');
+});
+
+test('a revoked device can still heartbeat and learn it is revoked', async () => {
+  const headers = { 'x-device-id': 'phone', 'x-device-token': phoneToken };
+  assert.strictEqual(track({ baseUrl: '/api/devices', path: '/heartbeat', headers }), 'next');
+
+  const device = await recordHeartbeat(owner, { device_id: 'phone' }, { token: phoneToken });
+  assert.strictEqual(device.revoked, true);
+});
+
+test('LAN sync stays suspended until the key a revoked device held is rotated', async () => {
+  assert.strictEqual((await syncWithPeers()).status, 'suspended');
+
+  process.env.LAN_SYNC_KEY = 'rotated-key';
+  assert.strictEqual((await syncWithPeers()).status, 'ok');
+
+  await reinstateDevice(owner, 'phone');
+  await revokeDevice(owner, 'phone');
+  assert.strictEqual((await syncWithPeers()).status, 'suspended');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+const sqlite = require('../src/db/sqlite');
+const { runGarbageCollection } = require('../src/services/gcService');
+
+sqlite.initSQLite();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+function oldTombstone(key) {
+  sqlite.setGlobalMemory(key, 'gone');
+  sqlite.tombstoneGlobalMemory(key, { deleted_by: 'owner' });
+  sqlite.getDB().prepare(`UPDATE global_memory SET deleted_at = datetime('now', '-60 days') WHERE key = ?`).run(key);
+}
+
+test('empty device registry keeps expired tombstones', () => {
+  oldTombstone('empty-registry');
+  const report = runGarbageCollection({ tombstoneRetentionDays: 30 });
+
+  assert.strictEqual(report.purged.tombstones, 0);
+  assert.strictEqual(report.deferred, 1);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('empty-registry').deleted, 1);
+});
+
+test('device that never synced blocks the purge', () => {
+  sqlite.ensureDevice('laptop');
+  const report = runGarbageCollection({ tombstoneRetentionDays: 30 });
+
+  assert.strictEqual(report.purged.tombstones, 0);
+  assert.deepStrictEqual(report.blocking_devices, ['laptop']);
+});
+
+test('tombstones every device has synced past are purged', () => {
+  sqlite.updateDeviceLastSync('laptop');
+  const report = runGarbageCollection({ tombstoneRetentionDays: 30 });
+
+  assert.strictEqual(report.purged.tombstones, 1);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('empty-registry'), null);
+});
+
+test('device that heartbeats but never synced blocks the purge until revoked', () => {
+  oldTombstone('heartbeat-only');
+  sqlite.upsertDevice('phone', { kind: 'agent' });
+  const report = runGarbageCollection({ tombstoneRetentionDays: 30 });
+
+  assert.strictEqual(report.purged.tombstones, 0);
+  assert.deepStrictEqual(report.blocking_devices, ['phone']);
+
+  sqlite.setDeviceRevoked('phone', true, { by: 'owner' });
+  assert.strictEqual(runGarbageCollection({ tombstoneRetentionDays: 30 }).purged.tombstones, 1);
+});
@@ -0,0 +1,21 @@
+/**
+ * Test helpers — every test file runs in its own process (node --test), so
+ * it points DATA_DIR at a fresh temp directory before requiring src/ modules.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** Fresh data directory + local storage adapter; call before requiring src/ */
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swastik-test-'));
+  process.env.DATA_DIR = dir;
+  process.env.STORAGE_ADAPTER = 'local';
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+module.exports = { useTempDataDir };
@@ -0,0 +1,81 @@
+/**
+ * STORAGE_ADAPTER=local: the server starts and serves memory reads/writes
+ * with no Google credentials anywhere in its environment.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+let server = null;
+
+test.after(() => {
+  if (server) server.kill();
+  dataDir.cleanup();
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base, deadline) {
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`${base}/health`);
+      if (res.ok) return res.json();
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not answer /api/health in time');
+}
+
+test('server starts and serves memory without Google credentials', async () => {
+  const port = await freePort();
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'index.js')], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DATA_DIR: dataDir.dir,
+      STORAGE_ADAPTER: 'local',
+      AGENT_SECRET: 'test-secret',
+      OWNER_UID: 'owner',
+      // Defined but empty, so a developer's backend/.env cannot fill them in
+      FIREBASE_SERVICE_ACCOUNT_PATH: '',
+      FIREBASE_SERVICE_ACCOUNT_JSON: '',
+      FIREBASE_PROJECT_ID: '',
+      GOOGLE_APPLICATION_CREDENTIALS: '',
+      SYNC_SCHEDULER: 'off',
+      RECONCILE_INTERVAL_MS: '0',
+      LAN_SYNC_KEY: '',
+    },
+    stdio: 'ignore',
+  });
+
+  const base = `http://127.0.0.1:${port}/api`;
+  const health = await waitForHealth(base, Date.now() + 20000);
+  assert.strictEqual(health.status, 'ok');
+
+  const headers = { Authorization: 'Bearer test-secret', 'Content-Type': 'application/json' };
+  const write = await fetch(`${base}/memory/global`, {
+    method: 'POST', headers, body: JSON.stringify({ key: 'startup-check', value: { text: 'hello' } }),
+  });
+  assert.strictEqual(write.status, 200);
+  assert.strictEqual((await write.json()).status, 'synced');
+
+  const read = await fetch(`${base}/memory/global/startup-check`, { headers });
+  assert.strictEqual(read.status, 200);
+  assert.deepStrictEqual((await read.json()).value, { text: 'hello' });
+});
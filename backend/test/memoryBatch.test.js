@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const { initFirebase, getFirestore } = require('../src/config/firebase');
+const memory = require('../src/services/memoryService');
+
+sqlite.initSQLite();
+initFirebase();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+const editor = { uid: 'editor' };
+
+/** Run fn with every Firestore batch commit failing */
+async function commitsFail(fn) {
+  const store = getFirestore();
+  const batch = store.batch;
+  store.batch = () => ({ set() {}, commit: async () => { throw new Error('offline'); } });
+  try {
+    return await fn();
+  } finally {
+    store.batch = batch;
+  }
+}
+
+test('a batch applies every valid operation and reports each one', async () => {
+  await memory.setGlobalMemory(owner, 'old', 'x');
+  const result = await memory.applyMemoryBatch(owner, [
+    { op: 'set', scope: 'global', key: 'a', value: 1 },
+    { op: 'set', scope: 'alpha', key: 'b', value: 2 },
+    { op: 'set', scope: 'global', key: 'c' },
+    { op: 'delete', scope: 'global', key: 'old' },
+    { op: 'restore', scope: 'global', key: 'missing' },
+  ]);
+
+  assert.deepStrictEqual(
+    { total: result.total, applied: result.applied, failed: result.failed, synced: result.synced, queued: result.queued },
+    { total: 5, applied: 3, failed: 2, synced: 3, queued: 0 },
+  );
+  assert.deepStrictEqual(result.results.map((r) => [r.index, r.ok, r.status || r.error.code]), [
+    [0, true, 'synced'],
+    [1, true, 'synced'],
+    [2, false, 'BAD_REQUEST'],
+    [3, true, 'deleted'],
+    [4, false, 'NOT_FOUND'],
+  ]);
+  assert.strictEqual(sqlite.getProjectMemoryFull('alpha', 'b').value, 2);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('old').deleted, 1);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('c'), null);
+});
+
+test('owner-only operations fail alone for other users', async () => {
+  const result = await memory.applyMemoryBatch(editor, [
+    { op: 'restore', scope: 'global', key: 'old' },
+    { op: 'set', scope: 'global', key: 'd', value: 4 },
+  ]);
+  assert.deepStrictEqual(result.results.map((r) => r.ok), [false, true]);
+  assert.strictEqual(result.results[0].error.code, 'FORBIDDEN');
+  assert.strictEqual(sqlite.getGlobalMemoryFull('old').deleted, 1);
+});
+
+test('writes whose Firestore commit fails go to the sync queue', async () => {
+  const before = sqlite.getPendingSyncItems().length;
+  const result = await commitsFail(() => memory.applyMemoryBatch(owner, [
+    { op: 'set', scope: 'global', key: 'e', value: 5 },
+    { op: 'restore', scope: 'global', key: 'old' },
+  ]));
+
+  assert.deepStrictEqual(result.results.map((r) => r.status), ['queued', 'queued-restore']);
+  assert.strictEqual(result.queued, 2);
+  const queued = sqlite.getPendingSyncItems().slice(before).map((item) => [item.doc_path, item.operation]);
+  assert.deepStrictEqual(queued, [['e', 'SET'], ['old', 'SET']]);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('e').value, 5);
+});
+
+test('empty and oversized batches are rejected', async () => {
+  await assert.rejects(memory.applyMemoryBatch(owner, []), { status: 400, code: 'BAD_REQUEST' });
+  const tooMany = Array.from({ length: 501 }, (_, i) => ({ op: 'set', scope: 'global', key: `k${i}`, value: i }));
+  await assert.rejects(memory.applyMemoryBatch(owner, tooMany), { status: 400, code: 'BATCH_TOO_LARGE' });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const memoryRoutes = require('../src/routes/memory');
+
+sqlite.initSQLite();
+
+const app = express();
+app.use((req, _res, next) => {
+  req.user = { uid: 'owner' };
+  next();
+});
+app.use('/api/memory', memoryRoutes);
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}/api/memory`;
+
+test.after(() => {
+  server.close();
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const pad = (n) => String(n).padStart(4, '0');
+for (let i = 0; i < 1200; i++) sqlite.setGlobalMemory(`key-${pad(i)}`, i);
+for (let i = 0; i < 600; i++) sqlite.setProjectMemory(i % 2 ? 'beta' : 'alpha', `key-${pad(i)}`, i);
+
+test('export walks every row in pages, leaving the connection free between them', () => {
+  const rows = sqlite.iterateMemoryRows({ includeDeleted: true });
+  const first = rows.next().value;
+  sqlite.setGlobalMemory('written-mid-export', true); // throws if a query is still open
+  const rest = [...rows];
+
+  assert.strictEqual(first.key, 'key-0000');
+  assert.strictEqual(rest.filter((row) => row.scope === 'global').length, 1200);
+  const projectRows = rest.filter((row) => row.scope === 'project');
+  assert.strictEqual(projectRows.length, 600);
+  assert.strictEqual(new Set(projectRows.map((row) => `${row.project_id}/${row.key}`)).size, 600);
+  assert.strictEqual([...sqlite.iterateMemoryRows({ scope: 'project', projectId: 'beta' })].length, 300);
+});
+
+test('GET /export streams NDJSON', async () => {
+  const res = await fetch(`${base}/export?scope=global`);
+  assert.strictEqual(res.status, 200);
+  const lines = (await res.text()).trim().split('\n').map((line) => JSON.parse(line));
+  assert.strictEqual(lines.length, 1201);
+});
+
+test('an entry failing mid-export cuts the response short', async () => {
+  sqlite.getDB().prepare(`UPDATE global_memory SET value = 'not json' WHERE key = 'key-1100'`).run();
+  const res = await fetch(`${base}/export?scope=global`);
+  assert.strictEqual(res.status, 200);
+  await assert.rejects(res.text());
+
+  const after = await fetch(`${base}/export?scope=project`);
+  assert.strictEqual(after.status, 200);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const { initFirebase } = require('../src/config/firebase');
+const memory = require('../src/services/memoryService');
+
+sqlite.initSQLite();
+initFirebase();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+
+/** [revision, operation, value, updated_by, source_device_id], newest first */
+function summary(items) {
+  return items.map((item) => [item.revision, item.operation, item.value, item.updated_by, item.source_device_id]);
+}
+
+test('every write, tombstone and restore of a global key is kept', async () => {
+  await memory.setGlobalMemory({ uid: 'owner', deviceId: 'laptop' }, 'style', 'tabs');
+  await memory.setGlobalMemory({ uid: 'editor', deviceId: 'phone' }, 'style', 'spaces');
+  await memory.deleteGlobalMemory(owner, 'style', 'bad value');
+  await memory.restoreGlobalMemory(owner, 'style');
+
+  const history = await memory.getGlobalMemoryHistory(owner, 'style');
+  assert.strictEqual(history.count, 4);
+  assert.deepStrictEqual(summary(history.items), [
+    [4, 'RESTORE', 'spaces', 'owner', 'backend-primary'],
+    [3, 'TOMBSTONE', 'spaces', 'owner', 'backend-primary'],
+    [2, 'SET', 'spaces', 'editor', 'phone'],
+    [1, 'SET', 'tabs', 'owner', 'laptop'],
+  ]);
+  assert.strictEqual(history.items[1].deleted, true);
+  assert.strictEqual(history.items[1].delete_reason, 'bad value');
+});
+
+test('project history is kept per project and honours the limit', async () => {
+  await memory.setProjectMemory(owner, 'alpha', 'runtime', 'node 18');
+  await memory.setProjectMemory(owner, 'alpha', 'runtime', 'node 20');
+  await memory.setProjectMemory(owner, 'beta', 'runtime', 'bun');
+
+  const history = await memory.getProjectMemoryHistory(owner, 'alpha', 'runtime', '1');
+  assert.deepStrictEqual(history.items.map((item) => item.value), ['node 20']);
+  assert.strictEqual((await memory.getProjectMemoryHistory(owner, 'alpha', 'runtime')).count, 2);
+});
+
+test('a key without history is not found', async () => {
+  await assert.rejects(memory.getGlobalMemoryHistory(owner, 'never-written'), { status: 404, code: 'NOT_FOUND' });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const { initFirebase } = require('../src/config/firebase');
+const memory = require('../src/services/memoryService');
+
+sqlite.initSQLite();
+initFirebase();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+const editor = { uid: 'editor' };
+
+test('revert writes the old value back as a new revision', async () => {
+  await memory.setGlobalMemory(editor, 'prompt', 'be concise');
+  await memory.setGlobalMemory(editor, 'prompt', 'garbage from an agent');
+
+  const result = await memory.revertGlobalMemory(editor, 'prompt', 1);
+  assert.strictEqual(result.revision, 3);
+  assert.strictEqual(result.reverted_from, 1);
+
+  const current = sqlite.getGlobalMemoryFull('prompt');
+  assert.strictEqual(current.value, 'be concise');
+  assert.strictEqual(current.revision, 3);
+  const [latest] = (await memory.getGlobalMemoryHistory(owner, 'prompt')).items;
+  assert.strictEqual(latest.reverted_from, 1);
+});
+
+test('project keys revert too', async () => {
+  await memory.setProjectMemory(editor, 'alpha', 'db', { engine: 'postgres' });
+  await memory.setProjectMemory(editor, 'alpha', 'db', { engine: 'oops' });
+
+  await memory.revertProjectMemory(editor, 'alpha', 'db', '1');
+  assert.deepStrictEqual(sqlite.getProjectMemoryFull('alpha', 'db').value, { engine: 'postgres' });
+});
+
+test('a revision that is missing, malformed or a tombstone cannot be reverted to', async () => {
+  await assert.rejects(memory.revertGlobalMemory(editor, 'prompt', 99), { status: 404, code: 'REVISION_NOT_FOUND' });
+  await assert.rejects(memory.revertGlobalMemory(editor, 'prompt', 'one'), { status: 400, code: 'BAD_REQUEST' });
+
+  await memory.deleteGlobalMemory(owner, 'prompt', 'cleanup');
+  const { revision: tombstone } = sqlite.getGlobalMemoryFull('prompt');
+  await assert.rejects(memory.revertGlobalMemory(owner, 'prompt', tombstone), { status: 400, code: 'REVISION_IS_TOMBSTONE' });
+});
+
+test('only the owner may revert over a tombstone', async () => {
+  await assert.rejects(memory.revertGlobalMemory(editor, 'prompt', 1), { status: 403, code: 'FORBIDDEN' });
+  assert.strictEqual(sqlite.getGlobalMemoryFull('prompt').deleted, 1);
+
+  await memory.revertGlobalMemory(owner, 'prompt', 1);
+  const current = sqlite.getGlobalMemoryFull('prompt');
+  assert.strictEqual(current.deleted, 0);
+  assert.strictEqual(current.value, 'be concise');
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const { initFirebase, getFirestore } = require('../src/config/firebase');
+const memory = require('../src/services/memoryService');
+const { syncPull } = require('../src/sync/engine');
+const memoryRoutes = require('../src/routes/memory');
+
+sqlite.initSQLite();
+initFirebase();
+
+const app = express();
+app.use(express.json());
+app.use((req, _res, next) => {
+  req.user = { uid: 'owner' };
+  next();
+});
+app.use('/api/memory', memoryRoutes);
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}/api/memory`;
+
+test.after(() => {
+  server.close();
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+
+/** A newer write to `ref` from another device, with that device's own revision */
+async function remoteWrite(ref, value) {
+  const now = new Date(Date.now() + 1000);
+  await ref.set({
+    ...(await ref.get()).data(),
+    value,
+    revision: 40,
+    hlc: `${String(now.getTime()).padStart(13, '0')}-00000-laptop`,
+    source_device_id: 'laptop',
+    updated_at: now.toISOString(),
+  });
+}
+
+test('the ETag of a read after a pull is accepted by If-Match', async () => {
+  await memory.setGlobalMemory(owner, 'editor', 'vim');
+  await remoteWrite(getFirestore().collection('global_memory').doc('editor'), 'emacs');
+  await syncPull();
+
+  const read = await fetch(`${base}/global/editor`);
+  const etag = read.headers.get('etag');
+  assert.strictEqual(etag, `"${sqlite.getGlobalMemoryFull('editor').revision}"`);
+  assert.strictEqual((await read.json()).value, 'emacs');
+
+  const write = await fetch(`${base}/global`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'If-Match': etag },
+    body: JSON.stringify({ key: 'editor', value: 'nano' }),
+  });
+  assert.strictEqual(write.status, 200);
+});
+
+test('project reads report the revision compare-and-set checks', async () => {
+  await memory.setProjectMemory(owner, 'alpha', 'lint', 'eslint');
+  await remoteWrite(
+    getFirestore().collection('project_memory').doc('alpha').collection('entries').doc('lint'),
+    'biome',
+  );
+  await syncPull();
+
+  const read = await memory.getProjectMemory(owner, 'alpha', 'lint');
+  assert.strictEqual(read.revision, sqlite.getProjectMemoryFull('alpha', 'lint').revision);
+  await memory.setProjectMemory(owner, 'alpha', 'lint', 'oxlint', { expectedRevision: read.revision });
+});
+
+test('a stale expectedRevision is rejected with the current entry', async () => {
+  await memory.setGlobalMemory({ uid: 'owner', deviceId: 'laptop' }, 'theme', 'dark');
+  await memory.setGlobalMemory({ uid: 'owner', deviceId: 'laptop' }, 'theme', 'light');
+
+  await assert.rejects(
+    memory.setGlobalMemory(owner, 'theme', 'solarized', { expectedRevision: 1 }),
+    (error) => {
+      assert.strictEqual(error.status, 409);
+      assert.strictEqual(error.code, 'REVISION_CONFLICT');
+      assert.strictEqual(error.details.expected_revision, 1);
+      assert.deepStrictEqual(
+        { ...error.details.current, updated_at: undefined },
+        {
+          value: 'light', revision: 2, deleted: false, updated_at: undefined, updated_by: 'owner', source_device_id: 'laptop',
+        },
+      );
+      return true;
+    },
+  );
+  assert.strictEqual(sqlite.getGlobalMemoryFull('theme').value, 'light');
+});
+
+test('expectedRevision 0 only creates keys, and must be a non-negative integer', async () => {
+  await memory.setProjectMemory(owner, 'alpha', 'fresh', 1, { expectedRevision: 0 });
+  await assert.rejects(
+    memory.setProjectMemory(owner, 'alpha', 'fresh', 2, { expectedRevision: 0 }),
+    { status: 409, code: 'REVISION_CONFLICT' },
+  );
+  await assert.rejects(
+    memory.setProjectMemory(owner, 'alpha', 'fresh', 2, { expectedRevision: -1 }),
+    { status: 400, code: 'BAD_REQUEST' },
+  );
+});
+
+test('a stale If-Match gets a 409 with the current entry', async () => {
+  const res = await fetch(`${base}/global`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'If-Match': 'W/"1"' },
+    body: JSON.stringify({ key: 'theme', value: 'solarized' }),
+  });
+  assert.strictEqual(res.status, 409);
+  const body = await res.json();
+  assert.strictEqual(body.code, 'REVISION_CONFLICT');
+  assert.strictEqual(body.details.current.value, 'light');
+});
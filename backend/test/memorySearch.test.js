@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const memory = require('../src/services/memoryService');
+
+sqlite.initSQLite();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+
+for (const [key, value] of [['deploy', 'deploy with docker'], ['build', 'docker build cache'], ['lint', 'docker lint rules']]) {
+  sqlite.setGlobalMemory(key, value);
+}
+
+test('search falls back to the default limit for a non-numeric limit', async () => {
+  const result = await memory.searchMemories(owner, 'docker', { limit: 'abc' });
+  assert.strictEqual(result.count, 3);
+});
+
+test('a fractional limit is not blamed on the query', async () => {
+  assert.strictEqual((await memory.searchMemories(owner, 'docker', { limit: '2.5' })).count, 2);
+});
+
+test('search clamps the limit to at least one', async () => {
+  assert.strictEqual((await memory.searchMemories(owner, 'docker', { limit: '0' })).count, 1);
+  assert.strictEqual((await memory.searchMemories(owner, 'docker', { limit: -4 })).count, 1);
+  assert.strictEqual((await memory.searchMemories(owner, 'docker', { limit: '2' })).count, 2);
+});
+
+test('semantic search falls back to the default limit and clamps to at least one', async () => {
+  assert.strictEqual((await memory.semanticSearchMemories(owner, 'docker', { limit: 'abc' })).count, 3);
+  assert.strictEqual((await memory.semanticSearchMemories(owner, 'docker', { limit: '0' })).count, 1);
+});
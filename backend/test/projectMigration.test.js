@@ -0,0 +1,52 @@
+/**
+ * A database from before project records synced: initSQLite alone (as the
+ * STDIO MCP server runs it) must bring it up to date without losing data.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const legacy = new Database(path.join(dataDir.dir, 'local_cache.db'));
+legacy.exec(`
+  CREATE TABLE projects (
+    id TEXT PRIMARY KEY, project_name TEXT NOT NULL, local_path TEXT, primary_language TEXT,
+    framework TEXT, git_remote TEXT, github_owner TEXT, github_repo TEXT, github_branch TEXT,
+    created_by TEXT, created_at TEXT DEFAULT (datetime('now')), updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE mcp_clients (
+    id TEXT PRIMARY KEY, name TEXT NOT NULL, client_type TEXT NOT NULL,
+    connection_mode TEXT NOT NULL DEFAULT 'http', permissions TEXT NOT NULL DEFAULT 'memory-only',
+    enabled INTEGER DEFAULT 1, last_tested_at TEXT, test_status TEXT, created_by TEXT,
+    created_at TEXT DEFAULT (datetime('now')), updated_at TEXT DEFAULT (datetime('now'))
+  );
+  INSERT INTO projects (id, project_name, local_path) VALUES ('alpha', 'Alpha', '/home/me/alpha');
+  INSERT INTO mcp_clients (id, name, client_type, permissions) VALUES ('cli-1', 'Desktop', 'claude-desktop', 'full');
+`);
+legacy.close();
+
+const sqlite = require('../src/db/sqlite');
+const { getProject, getMcpClientPermission } = require('../src/services/projectService');
+
+sqlite.initSQLite();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const user = { uid: 'owner' };
+
+test('legacy local_path is kept and copied to project_paths', () => {
+  const db = sqlite.getDB();
+  assert.strictEqual(db.prepare('SELECT local_path FROM projects WHERE id = ?').pluck().get('alpha'), '/home/me/alpha');
+  assert.strictEqual(db.prepare('SELECT local_path FROM project_paths WHERE project_id = ?').pluck().get('alpha'), '/home/me/alpha');
+  assert.strictEqual(getProject(user, 'alpha').local_path, '/home/me/alpha');
+});
+
+test('permission lookups work on a migrated database without project bootstrap', () => {
+  assert.strictEqual(getMcpClientPermission(user, 'cli-1'), 'full');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const { initFirebase } = require('../src/config/firebase');
+const memory = require('../src/services/memoryService');
+
+sqlite.initSQLite();
+initFirebase();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+const rogue = { uid: 'owner', deviceId: 'rogue-agent' };
+
+test.before(async () => {
+  await memory.setGlobalMemory(rogue, 'spam-1', 'junk');
+  await memory.setProjectMemory(rogue, 'alpha', 'spam-2', 'junk');
+  await memory.setGlobalMemory(owner, 'spam-3', 'kept: other device');
+  await memory.setGlobalMemory(rogue, 'notes', 'kept: other prefix');
+});
+
+let infectionId;
+
+test('quarantine tombstones every match under one infection_id', async () => {
+  const filter = { keyPrefix: 'spam-', sourceDeviceId: 'rogue-agent' };
+  const preview = await memory.quarantineMemories(owner, filter, { dryRun: true });
+  assert.strictEqual(preview.matched, 2);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('spam-1').deleted, 0);
+
+  const result = await memory.quarantineMemories(owner, filter, { reason: 'rogue agent' });
+  infectionId = result.infection_id;
+  assert.match(infectionId, /^inf-/);
+  assert.strictEqual(result.applied, 2);
+
+  for (const row of [sqlite.getGlobalMemoryFull('spam-1'), sqlite.getProjectMemoryFull('alpha', 'spam-2')]) {
+    assert.strictEqual(row.deleted, 1);
+    assert.strictEqual(row.infection_id, infectionId);
+    assert.strictEqual(row.delete_reason, 'rogue agent');
+  }
+  assert.strictEqual(sqlite.getGlobalMemoryFull('spam-3').deleted, 0);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('notes').deleted, 0);
+});
+
+test('restore-infection brings back everything with the infection_id', async () => {
+  const result = await memory.restoreInfection(owner, infectionId);
+  assert.strictEqual(result.matched, 2);
+  assert.strictEqual(result.applied, 2);
+  assert.strictEqual(sqlite.getGlobalMemoryFull('spam-1').deleted, 0);
+  assert.strictEqual(sqlite.getProjectMemoryFull('alpha', 'spam-2').value, 'junk');
+
+  await assert.rejects(memory.restoreInfection(owner, infectionId), { status: 404, code: 'NOT_FOUND' });
+});
+
+test('both need the owner and quarantine needs a filter', async () => {
+  await assert.rejects(memory.quarantineMemories({ uid: 'editor' }, { keyPrefix: 'spam-' }), { status: 403 });
+  await assert.rejects(memory.restoreInfection({ uid: 'editor' }, infectionId), { status: 403 });
+  await assert.rejects(memory.quarantineMemories(owner, {}), { status: 400, code: 'BAD_REQUEST' });
+  await assert.rejects(memory.quarantineMemories(owner, { since: 'yesterday' }), { status: 400, code: 'BAD_REQUEST' });
+});
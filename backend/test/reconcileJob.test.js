@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+const sqlite = require('../src/db/sqlite');
+const { initFirebase, getFirestore } = require('../src/config/firebase');
+const { runReconcile } = require('../src/jobs/reconcileJob');
+
+sqlite.initSQLite();
+initFirebase();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+async function digestCount() {
+  return (await getFirestore().collection('sync_digests').get()).docs.length;
+}
+
+test('verify-only pass publishes no digest', async () => {
+  const report = await runReconcile({ repair: false });
+  assert.strictEqual(report.repair, false);
+  assert.strictEqual(await digestCount(), 0);
+});
+
+test('repair asked for during a verify gets its own repair pass', async () => {
+  const verify = runReconcile({ repair: false });
+  const repair = runReconcile({ repair: true });
+  assert.strictEqual(runReconcile({ repair: false }), verify);
+
+  assert.strictEqual((await verify).repair, false);
+  assert.strictEqual((await repair).repair, true);
+  assert.strictEqual(await digestCount(), 1);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { includesQueueItem, includesTombstone } = require('../src/sync/profile');
+
+const profile = { device_id: 'laptop', projects: ['alpha'], global: true, tombstone_max_age_days: 7 };
+const oldDelete = { deleted: true, deleted_at: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString() };
+
+test('own tombstones older than the age limit are still pushed', () => {
+  const item = { collection: 'global_memory', doc_path: 'k', operation: 'TOMBSTONE', payload: JSON.stringify(oldDelete) };
+  assert.strictEqual(includesQueueItem(profile, item), true);
+});
+
+test('pushes outside the profile scopes are held', () => {
+  const item = { collection: 'project_memory', doc_path: 'beta/entries/k', operation: 'SET', payload: '{}' };
+  assert.strictEqual(includesQueueItem(profile, item), false);
+});
+
+test('pulled tombstones older than the age limit are left out', () => {
+  assert.strictEqual(includesTombstone(profile, oldDelete), false);
+  assert.strictEqual(includesTombstone(profile, { ...oldDelete, deleted_at: new Date().toISOString() }), true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const { initFirebase, getFirestore } = require('../src/config/firebase');
+const memory = require('../src/services/memoryService');
+const { syncPush } = require('../src/sync/engine');
+
+sqlite.initSQLite();
+initFirebase();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+
+/** Run fn with every Firestore write failing, as if the device were offline */
+async function offline(fn) {
+  const store = getFirestore();
+  const collection = store.collection;
+  store.collection = () => { throw new Error('offline'); };
+  try {
+    return await fn();
+  } finally {
+    store.collection = collection;
+  }
+}
+
+test('set → delete → restore offline pushes the restored value', async () => {
+  assert.strictEqual((await memory.setGlobalMemory(owner, 'note', { text: 'v1' })).status, 'synced');
+
+  await offline(async () => {
+    assert.strictEqual((await memory.setGlobalMemory(owner, 'note', { text: 'v2' })).status, 'queued');
+    assert.strictEqual((await memory.deleteGlobalMemory(owner, 'note', 'oops')).status, 'queued-delete');
+    assert.strictEqual((await memory.restoreGlobalMemory(owner, 'note')).status, 'queued-restore');
+  });
+
+  const pending = sqlite.getPendingSyncItems();
+  assert.strictEqual(pending.length, 1);
+  assert.deepStrictEqual(JSON.parse(pending[0].payload).value, { text: 'v2' });
+
+  const result = await syncPush();
+  assert.strictEqual(result.synced, 1);
+
+  const local = sqlite.getGlobalMemoryFull('note');
+  const remote = (await getFirestore().collection('global_memory').doc('note').get()).data();
+  assert.deepStrictEqual(remote.value, { text: 'v2' });
+  assert.strictEqual(remote.deleted, false);
+  assert.strictEqual(remote.hlc, local.hlc);
+});
+
+test('coalesceSyncQueue folds older rows the same way', () => {
+  const db = sqlite.getDB();
+  const insert = db.prepare('INSERT INTO sync_queue (collection, doc_path, operation, payload) VALUES (?, ?, ?, ?)');
+  insert.run('global_memory', 'legacy', 'SET', JSON.stringify({ value: 'kept', deleted: false, hlc: 'h1', base_hlc: 'h0' }));
+  insert.run('global_memory', 'legacy', 'TOMBSTONE', JSON.stringify({ deleted: true, deleted_at: 't', hlc: 'h2' }));
+  insert.run('global_memory', 'legacy', 'SET', JSON.stringify({ deleted: false, deleted_at: null, hlc: 'h3' }));
+
+  assert.strictEqual(sqlite.coalesceSyncQueue(), 2);
+  const [item] = sqlite.getPendingSyncItems().filter((row) => row.doc_path === 'legacy');
+  assert.deepStrictEqual(JSON.parse(item.payload), {
+    value: 'kept', deleted: false, deleted_at: null, hlc: 'h3', base_hlc: 'h0',
+  });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+process.env.OWNER_UID = 'owner';
+const sqlite = require('../src/db/sqlite');
+const { exportVault, entryToMarkdown, markdownToEntry } = require('../src/services/vaultService');
+
+sqlite.initSQLite();
+test.after(() => {
+  sqlite.getDB().close();
+  dataDir.cleanup();
+});
+
+const owner = { uid: 'owner' };
+
+test('note text keeps leading and trailing whitespace through a round trip', () => {
+  const value = { text: '  indented\n\ntrailing blank lines\n\n', tags: ['a'], importance: 'low', pinned: false };
+  const { value: parsed, revision } = markdownToEntry(entryToMarkdown(value, 4));
+
+  assert.deepStrictEqual(parsed, value);
+  assert.strictEqual(revision, 4);
+});
+
+test('dot-segment project ids and keys stay inside the vault folder', () => {
+  const vault = path.join(dataDir.dir, 'vault');
+  sqlite.setProjectMemory('..', 'escape', { text: 'x' });
+  sqlite.setGlobalMemory('..', { text: 'y' });
+  sqlite.setGlobalMemory('.hidden', { text: 'z' });
+
+  exportVault(owner, vault);
+
+  assert.deepStrictEqual(fs.readdirSync(dataDir.dir).sort(), ['local_cache.db', 'local_cache.db-shm', 'local_cache.db-wal', 'vault']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(vault, 'projects')), ['%2E.']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(vault, 'global')).sort(), ['%2E..md', '%2Ehidden.md']);
+});
@@ -0,0 +1,122 @@
+/**
+ * DeviceRegistryPanel — every device that registered with this brain.
+ *
+ * Lists the agent, MCP STDIO servers and HTTP callers with their platform,
+ * version, address and last heartbeat. The owner can revoke a device (its
+ * writes are rejected from then on, optionally quarantining its memory)
+ * or reinstate it.
+ *
+ * Props:
+ *   onStatus  (message) => void — reuses the page's status banner
+ */
+import { useEffect, useState } from 'react';
+import { listDevicesApi, revokeDeviceApi, reinstateDeviceApi } from '../services/api';
+
+const PLATFORM_LABELS = { windows: '🪟 Windows', macos: '🍎 macOS', linux: '🐧 Linux' };
+
+export default function DeviceRegistryPanel({ onStatus }) {
+  const [devices, setDevices] = useState([]);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => { fetchDevices(); }, []);
+
+  async function fetchDevices() {
+    try {
+      const data = await listDevicesApi();
+      setDevices(data.devices || []);
+    } catch (err) {
+      onStatus(`Error: ${err.message}`);
+    }
+  }
+
+  async function revoke(device) {
+    const reason = prompt(`Revoke ${device.device_id}? Its writes will be rejected.\n\nReason (optional):`);
+    if (reason === null) return;
+    const quarantine = confirm(`Also quarantine every memory entry written by ${device.device_id}?`);
+    setBusy(device.device_id);
+    try {
+      const result = await revokeDeviceApi(device.device_id, { reason: reason || undefined, quarantine });
+      onStatus(`✅ Revoked ${device.device_id}${result.quarantine
+        ? ` — ${result.quarantine.matched} entr${result.quarantine.matched === 1 ? 'y' : 'ies'} quarantined (${result.quarantine.infection_id})`
+        : ''}`);
+      fetchDevices();
+    } catch (err) {
+      onStatus(`❌ ${err.message}`);
+    }
+    setBusy(null);
+  }
+
+  async function reinstate(device) {
+    if (!confirm(`Reinstate ${device.device_id}? Quarantined memory stays quarantined until restored.`)) return;
+    setBusy(device.device_id);
+    try {
+      await reinstateDeviceApi(device.device_id);
+      onStatus(`✅ Reinstated ${device.device_id}`);
+      fetchDevices();
+    } catch (err) {
+      onStatus(`❌ ${err.message}`);
+    }
+    setBusy(null);
+  }
+
+  if (devices.length === 0) {
+    return (
+      <p className="opacity-50 text-sm">
+        No devices yet. Run the local agent (<code>node agent/index.js</code>) to register this device.
+      </p>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="table table-compact w-full">
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th>Platform</th>
+            <th>Version</th>
+            <th>IP</th>
+            <th>Kind</th>
+            <th>Status</th>
+            <th>Last Heartbeat</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {devices.map((device) => (
+            <tr key={device.device_id} className={device.revoked ? 'opacity-60' : ''}>
+              <td>
+                <div className="font-mono text-sm">{device.device_id}</div>
+                <div className="text-xs opacity-60">{device.hostname || device.device_name || '—'}</div>
+              </td>
+              <td className="text-sm">{PLATFORM_LABELS[device.platform] || device.platform || '—'}</td>
+              <td className="font-mono text-xs">{device.agent_version || '—'}</td>
+              <td className="font-mono text-xs">{device.ip || '—'}</td>
+              <td><span className="badge badge-sm">{device.kind || '—'}</span></td>
+              <td>
+                {device.revoked ? (
+                  <span className="badge badge-sm badge-error" title={device.revoke_reason || ''}>revoked</span>
+                ) : (
+                  <span className={`badge badge-sm ${device.status === 'online' ? 'badge-success' : 'badge-ghost'}`}>
+                    {device.status || 'unknown'}
+                  </span>
+                )}
+                {device.this_backend && <span className="badge badge-sm badge-outline ml-1">this backend</span>}
+              </td>
+              <td className="text-xs">{device.last_heartbeat_at || '—'}</td>
+              <td>
+                {device.revoked ? (
+                  <button className="btn btn-xs" disabled={busy === device.device_id}
+                    onClick={() => reinstate(device)}>Reinstate</button>
+                ) : !device.this_backend && (
+                  <button className="btn btn-xs btn-error" disabled={busy === device.device_id}
+                    onClick={() => revoke(device)}>Revoke</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
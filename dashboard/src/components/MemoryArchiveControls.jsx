@@ -0,0 +1,87 @@
+/**
+ * MemoryArchiveControls — export / import buttons for one memory scope.
+ *
+ * Import always runs a dry-run first and asks for confirmation with the
+ * plan (creates, updates, tombstones, conflicts) before writing.
+ *
+ * Props:
+ *   scope       'global' or a projectId
+ *   onStatus    (message) => void — reuses the page's status banner
+ *   onImported  () => void        — refresh the page after a real import
+ */
+import { useRef, useState } from 'react';
+import { exportMemoryArchive, importMemoryArchive } from '../services/api';
+
+function describePlan(report) {
+  const { plan, conflicts } = report;
+  return `${plan.create} new, ${plan.update} updated, ${plan.delete} tombstoned, `
+    + `${plan.unchanged} unchanged, ${conflicts.length} conflict(s)`;
+}
+
+export default function MemoryArchiveControls({ scope, onStatus, onImported }) {
+  const fileRef = useRef(null);
+  const [mode, setMode] = useState('merge');
+  const [busy, setBusy] = useState(false);
+
+  async function handleExport(format) {
+    setBusy(true);
+    try {
+      const blob = await exportMemoryArchive({ scope, format });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `memory-${scope}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      onStatus(`✅ Exported "${scope}" as ${format.toUpperCase()}`);
+    } catch (err) {
+      onStatus(`❌ ${err.message}`);
+    }
+    setBusy(false);
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    try {
+      const text = await file.text();
+      const preview = await importMemoryArchive(text, { mode, dryRun: true, scope });
+      const conflictNote = preview.conflicts.length > 0
+        ? `\n\nConflicts will be ${mode === 'merge' ? 'skipped' : 'overwritten'}.`
+        : '';
+      if (!confirm(`Import ${file.name} (${mode})?\n\n${describePlan(preview)}${conflictNote}`)) {
+        onStatus(`Import cancelled — dry run: ${describePlan(preview)}`);
+      } else {
+        const result = await importMemoryArchive(text, { mode, scope });
+        onStatus(`✅ Imported ${file.name}: ${describePlan(result)}`);
+        onImported();
+      }
+    } catch (err) {
+      onStatus(`❌ ${err.message}`);
+    }
+    setBusy(false);
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <button className="btn btn-ghost btn-xs" disabled={busy} onClick={() => handleExport('ndjson')}>
+        ⬇ NDJSON
+      </button>
+      <button className="btn btn-ghost btn-xs" disabled={busy} onClick={() => handleExport('json')}>
+        ⬇ JSON
+      </button>
+      <select className="select select-bordered select-xs" value={mode}
+        onChange={(e) => setMode(e.target.value)}>
+        <option value="merge">merge</option>
+        <option value="replace">replace</option>
+      </select>
+      <button className="btn btn-outline btn-xs" disabled={busy} onClick={() => fileRef.current?.click()}>
+        ⬆ Import
+      </button>
+      <input ref={fileRef} type="file" accept=".ndjson,.jsonl,.json" className="hidden" onChange={handleFile} />
+    </div>
+  );
+}
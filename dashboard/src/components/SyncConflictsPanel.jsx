@@ -0,0 +1,169 @@
+/**
+ * SyncConflictsPanel — data dropped by sync, shown local vs remote.
+ *
+ * Each conflict renders both sides as pretty-printed JSON with the lines
+ * that differ highlighted. Resolving keeps one side or saves an edited
+ * merge; the choice is written as a new edit and syncs everywhere.
+ *
+ * Props:
+ *   onStatus  (message) => void — reuses the page's status banner
+ */
+import { useEffect, useState } from 'react';
+import { getSyncConflicts, resolveSyncConflict } from '../services/api';
+
+function sideText(value, deleted) {
+  return deleted ? '(deleted)' : JSON.stringify(value, null, 2) ?? 'null';
+}
+
+/** Lines of `text` that do not appear (as often) in `other` */
+function changedLines(text, other) {
+  const counts = new Map();
+  for (const line of other.split('\n')) counts.set(line, (counts.get(line) || 0) + 1);
+  return text.split('\n').map((line) => {
+    const left = counts.get(line) || 0;
+    if (left > 0) counts.set(line, left - 1);
+    return { line, changed: left === 0 };
+  });
+}
+
+function JsonSide({ title, hlc, text, other, highlight }) {
+  return (
+    <div className="flex-1 min-w-0">
+      <div className="text-xs opacity-60 mb-1">
+        {title} <span className="font-mono">{hlc || 'no hlc'}</span>
+      </div>
+      <pre className="bg-base-200 rounded p-2 text-xs overflow-x-auto">
+        {changedLines(text, other).map(({ line, changed }, index) => (
+          <div key={index} className={changed ? highlight : ''}>{line || ' '}</div>
+        ))}
+      </pre>
+    </div>
+  );
+}
+
+function ConflictCard({ conflict, onResolved, onStatus }) {
+  const local = sideText(conflict.local_value, conflict.local_deleted);
+  const remote = sideText(conflict.remote_value, conflict.remote_deleted);
+  const [merged, setMerged] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const target = conflict.scope === 'global' ? conflict.key : `${conflict.project_id}/${conflict.key}`;
+
+  async function resolve(resolution) {
+    let value;
+    if (resolution === 'merged') {
+      try {
+        value = JSON.parse(merged);
+      } catch {
+        onStatus('❌ Merged value must be valid JSON');
+        return;
+      }
+    }
+    setBusy(true);
+    try {
+      await resolveSyncConflict(conflict.id, resolution, value);
+      onStatus(`✅ Conflict on ${target} resolved (${resolution})`);
+      onResolved();
+    } catch (err) {
+      onStatus(`❌ ${err.message}`);
+    }
+    setBusy(false);
+  }
+
+  return (
+    <div className="card bg-base-100 shadow mb-4">
+      <div className="card-body p-4">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="badge badge-sm">{conflict.scope}</span>
+          <span className="font-mono">{target}</span>
+          <span className="opacity-60">
+            {conflict.winner} won during {conflict.detected_by} · {conflict.detected_at}
+          </span>
+        </div>
+
+        <div className="flex gap-3 mt-2">
+          <JsonSide title={`Local (${conflict.local_device_id || '?'})`} hlc={conflict.local_hlc}
+            text={local} other={remote} highlight="bg-error/20" />
+          <JsonSide title={`Remote (${conflict.remote_device_id || '?'})`} hlc={conflict.remote_hlc}
+            text={remote} other={local} highlight="bg-success/20" />
+        </div>
+
+        {conflict.merge_fields?.length > 0 && (
+          <div className="text-xs mt-2">
+            Changed on both sides: <span className="font-mono">{conflict.merge_fields.join(', ')}</span>
+          </div>
+        )}
+
+        {merged !== null && (
+          <textarea
+            className="textarea textarea-bordered font-mono text-xs w-full mt-2"
+            rows={8}
+            value={merged}
+            onChange={(e) => setMerged(e.target.value)}
+          />
+        )}
+
+        {conflict.status === 'open' ? (
+          <div className="flex gap-2 mt-2">
+            <button className="btn btn-sm" disabled={busy} onClick={() => resolve('local')}>Keep local</button>
+            <button className="btn btn-sm" disabled={busy} onClick={() => resolve('remote')}>Keep remote</button>
+            {merged === null ? (
+              <button className="btn btn-sm btn-ghost" disabled={busy}
+                onClick={() => setMerged(conflict.local_deleted ? remote : local)}>
+                Merge…
+              </button>
+            ) : (
+              <button className="btn btn-sm btn-primary" disabled={busy} onClick={() => resolve('merged')}>
+                Save merged
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="text-xs opacity-60 mt-2">
+            Resolved ({conflict.resolution}) by {conflict.resolved_by} · {conflict.resolved_at}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function SyncConflictsPanel({ onStatus }) {
+  const [status, setStatus] = useState('open');
+  const [conflicts, setConflicts] = useState([]);
+
+  useEffect(() => { fetchConflicts(); }, [status]);
+
+  async function fetchConflicts() {
+    try {
+      const data = await getSyncConflicts(status);
+      setConflicts(data.conflicts);
+    } catch (err) {
+      onStatus(`Error: ${err.message}`);
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-3">
+        <select
+          className="select select-bordered select-sm"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+        >
+          <option value="open">Open</option>
+          <option value="resolved">Resolved</option>
+          <option value="all">All</option>
+        </select>
+        <button className="btn btn-ghost btn-sm" onClick={fetchConflicts}>↻ Refresh</button>
+      </div>
+
+      {conflicts.length === 0 ? (
+        <p className="opacity-50 text-sm">No {status === 'all' ? '' : `${status} `}conflicts.</p>
+      ) : (
+        conflicts.map((conflict) => (
+          <ConflictCard key={conflict.id} conflict={conflict} onResolved={fetchConflicts} onStatus={onStatus} />
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * SyncProfilePanel — what this device pulls from and pushes to the cloud.
+ *
+ * Edits the backend's own device profile: all projects or a chosen few,
+ * global memory on/off, and an optional age limit for tombstones. Saving a
+ * wider profile makes the next pull fetch the new scopes in full.
+ *
+ * Props:
+ *   onStatus  (message) => void — reuses the page's status banner
+ */
+import { useEffect, useState } from 'react';
+import { getSyncProfiles, updateSyncProfile, listProjectsApi } from '../services/api';
+
+export default function SyncProfilePanel({ onStatus }) {
+  const [deviceId, setDeviceId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [allProjects, setAllProjects] = useState(true);
+  const [selected, setSelected] = useState([]);
+  const [global, setGlobal] = useState(true);
+  const [maxAge, setMaxAge] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => { fetchProfile(); }, []);
+
+  async function fetchProfile() {
+    try {
+      const [data, projectData] = await Promise.all([getSyncProfiles(), listProjectsApi()]);
+      const profile = data.profiles.find((p) => p.device_id === data.device_id);
+      setDeviceId(data.device_id);
+      setProjects(projectData.projects || []);
+      setAllProjects(profile.projects === null);
+      setSelected(profile.projects || []);
+      setGlobal(profile.global);
+      setMaxAge(profile.tombstone_max_age_days ?? '');
+    } catch (err) {
+      onStatus(`Error: ${err.message}`);
+    }
+  }
+
+  function toggleProject(id) {
+    setSelected((current) => (current.includes(id) ? current.filter((p) => p !== id) : [...current, id]));
+  }
+
+  async function save() {
+    setBusy(true);
+    try {
+      const result = await updateSyncProfile(deviceId, {
+        projects: allProjects ? null : selected,
+        global,
+        tombstone_max_age_days: maxAge === '' ? null : Number(maxAge),
+      });
+      onStatus(`✅ Sync profile saved${result.full_resync ? ' — next pull fetches the new scopes in full' : ''}`);
+    } catch (err) {
+      onStatus(`❌ ${err.message}`);
+    }
+    setBusy(false);
+  }
+
+  // Profile entries for projects this device has not registered locally
+  const unknown = selected.filter((id) => !projects.some((p) => p.id === id));
+
+  return (
+    <div className="card bg-base-100 shadow">
+      <div className="card-body p-4 text-sm">
+        <div className="opacity-60">Device <span className="font-mono">{deviceId || '…'}</span></div>
+
+        <label className="label cursor-pointer justify-start gap-2">
+          <input type="checkbox" className="checkbox checkbox-sm" checked={global}
+            onChange={(e) => setGlobal(e.target.checked)} />
+          Global memory
+        </label>
+
+        <label className="label cursor-pointer justify-start gap-2">
+          <input type="checkbox" className="checkbox checkbox-sm" checked={allProjects}
+            onChange={(e) => setAllProjects(e.target.checked)} />
+          All projects
+        </label>
+        {!allProjects && (
+          <div className="flex flex-wrap gap-3 ml-6">
+            {[...projects.map((p) => ({ id: p.id, label: p.name || p.id })), ...unknown.map((id) => ({ id, label: id }))]
+              .map(({ id, label }) => (
+                <label key={id} className="label cursor-pointer gap-2">
+                  <input type="checkbox" className="checkbox checkbox-xs" checked={selected.includes(id)}
+                    onChange={() => toggleProject(id)} />
+                  {label}
+                </label>
+              ))}
+          </div>
+        )}
+
+        <label className="flex items-center gap-2 mt-1">
+          Skip tombstones older than
+          <input type="number" min="0" className="input input-bordered input-sm w-24" placeholder="∞"
+            value={maxAge} onChange={(e) => setMaxAge(e.target.value)} />
+          days
+        </label>
+
+        <div className="mt-2">
+          <button className="btn btn-sm btn-primary" disabled={busy || !deviceId} onClick={save}>Save profile</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -11,6 +11,7 @@ import {
   deleteProjectMemory,
   restoreGlobalMemory,
   restoreProjectMemory,
+  subscribeMemoryChanges,
 } from '../services/api';
 
 function getTags(value) {
@@ -81,6 +82,9 @@ export default function BrainViewPage() {
     loadData();
   }, [showDeleted]);
 
+  // Live updates across every scope; the graph rebuilds from the refetched items
+  useEffect(() => subscribeMemoryChanges(() => loadData({ quiet: true })), [showDeleted]);
+
   useEffect(() => {
     const graph = buildGraph(filteredItems);
     if (!networkContainerRef.current) return;
@@ -116,8 +120,8 @@ export default function BrainViewPage() {
     return () => network.destroy();
   }, [items, search, projectFilter, tagFilter, importanceFilter, showDeleted]);
 
-  async function loadData() {
-    setLoading(true);
+  async function loadData({ quiet = false } = {}) {
+    if (!quiet) setLoading(true);
     try {
       const projectData = await listProjectsApi();
       const projectList = projectData.projects || [];
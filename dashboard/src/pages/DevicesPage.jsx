@@ -1,5 +1,8 @@
 import { useState, useEffect } from 'react';
 import { syncStatus, syncPush, syncPull } from '../services/api';
+import SyncConflictsPanel from '../components/SyncConflictsPanel';
+import SyncProfilePanel from '../components/SyncProfilePanel';
+import DeviceRegistryPanel from '../components/DeviceRegistryPanel';
 
 export default function DevicesPage() {
   const [sync, setSync] = useState(null);
@@ -92,12 +95,14 @@ export default function DevicesPage() {
         </div>
       )}
 
-      {/* Device info placeholder */}
+      <div className="divider mt-8">Sync Profile</div>
+      <SyncProfilePanel onStatus={setActionStatus} />
+
+      <div className="divider mt-8">Sync Conflicts</div>
+      <SyncConflictsPanel onStatus={setActionStatus} />
+
       <div className="divider mt-8">Registered Devices</div>
-      <p className="opacity-50 text-sm">
-        Device registry will appear here once multiple devices are syncing.
-        Run the local agent (<code>node agent/index.js</code>) to register this device.
-      </p>
+      <DeviceRegistryPanel onStatus={setActionStatus} />
     </div>
   );
 }
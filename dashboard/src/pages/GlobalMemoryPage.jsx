@@ -1,5 +1,8 @@
 import { useState, useEffect } from 'react';
-import { getGlobalMemory, setGlobalMemory, deleteGlobalMemory, restoreGlobalMemory } from '../services/api';
+import {
+  getGlobalMemory, setGlobalMemory, deleteGlobalMemory, restoreGlobalMemory, subscribeMemoryChanges,
+} from '../services/api';
+import MemoryArchiveControls from '../components/MemoryArchiveControls';
 
 export default function GlobalMemoryPage() {
   const [items, setItems] = useState([]);
@@ -11,8 +14,11 @@ export default function GlobalMemoryPage() {
 
   useEffect(() => { fetchMemory(); }, [showDeleted]);
 
-  async function fetchMemory() {
-    setLoading(true);
+  // Live updates: refetch quietly whenever a global key changes
+  useEffect(() => subscribeMemoryChanges(() => fetchMemory({ quiet: true }), { scope: 'global' }), [showDeleted]);
+
+  async function fetchMemory({ quiet = false } = {}) {
+    if (!quiet) setLoading(true);
     try {
       const data = await getGlobalMemory(showDeleted);
       setItems(data.items || []);
@@ -63,11 +69,14 @@ export default function GlobalMemoryPage() {
     <div>
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-2xl font-bold">🧠 Global Memory</h2>
-        <label className="label cursor-pointer gap-2">
-          <span className="label-text text-sm">Show deleted</span>
-          <input type="checkbox" className="toggle toggle-sm" checked={showDeleted}
-            onChange={(e) => setShowDeleted(e.target.checked)} />
-        </label>
+        <div className="flex items-center gap-4">
+          <MemoryArchiveControls scope="global" onStatus={setStatus} onImported={fetchMemory} />
+          <label className="label cursor-pointer gap-2">
+            <span className="label-text text-sm">Show deleted</span>
+            <input type="checkbox" className="toggle toggle-sm" checked={showDeleted}
+              onChange={(e) => setShowDeleted(e.target.checked)} />
+          </label>
+        </div>
       </div>
 
       {/* Add new entry */}
@@ -1,5 +1,8 @@
 import { useState, useEffect } from 'react';
-import { getProjectMemory, setProjectMemory, deleteProjectMemory, restoreProjectMemory } from '../services/api';
+import {
+  getProjectMemory, setProjectMemory, deleteProjectMemory, restoreProjectMemory, subscribeMemoryChanges,
+} from '../services/api';
+import MemoryArchiveControls from '../components/MemoryArchiveControls';
 
 export default function ProjectMemoryPage() {
   const [projectId, setProjectId] = useState('swastik_mcp');
@@ -14,8 +17,14 @@ export default function ProjectMemoryPage() {
     if (projectId) fetchMemory();
   }, [projectId, showDeleted]);
 
-  async function fetchMemory() {
-    setLoading(true);
+  // Live updates: refetch quietly whenever a key in this project changes
+  useEffect(() => {
+    if (!projectId) return undefined;
+    return subscribeMemoryChanges(() => fetchMemory({ quiet: true }), { scope: projectId });
+  }, [projectId, showDeleted]);
+
+  async function fetchMemory({ quiet = false } = {}) {
+    if (!quiet) setLoading(true);
     try {
       const data = await getProjectMemory(projectId, showDeleted);
       setItems(data.items || []);
@@ -67,11 +76,14 @@ export default function ProjectMemoryPage() {
     <div>
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-2xl font-bold">📁 Project Memory</h2>
-        <label className="label cursor-pointer gap-2">
-          <span className="label-text text-sm">Show deleted</span>
-          <input type="checkbox" className="toggle toggle-sm" checked={showDeleted}
-            onChange={(e) => setShowDeleted(e.target.checked)} />
-        </label>
+        <div className="flex items-center gap-4">
+          <MemoryArchiveControls scope={projectId} onStatus={setStatus} onImported={fetchMemory} />
+          <label className="label cursor-pointer gap-2">
+            <span className="label-text text-sm">Show deleted</span>
+            <input type="checkbox" className="toggle toggle-sm" checked={showDeleted}
+              onChange={(e) => setShowDeleted(e.target.checked)} />
+          </label>
+        </div>
       </div>
 
       {/* Project selector */}
@@ -8,12 +8,63 @@ import { auth } from './firebase';
 
 const API_BASE = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:3939/api').replace(/\/$/, '');
 
+// ── Device credential ──────────────────────────────────
+// The dashboard registers as a device once per page load; the token the
+// backend issues is kept in localStorage and sent as X-Device-Token, which
+// writes need once any device has been revoked.
+const DEVICE_STORAGE_KEY = 'swastik-mcp.device';
+let registration = null;
+
+function storedDevice() {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+async function register(authHeaders) {
+  const device = storedDevice();
+  const id = device.id || `dashboard-${crypto.randomUUID().slice(0, 8)}`;
+  const headers = { ...authHeaders, 'X-Device-Id': id };
+  if (device.token) headers['X-Device-Token'] = device.token;
+  const res = await fetch(`${API_BASE}/devices/heartbeat`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ device_id: id, device_name: 'Dashboard', platform: navigator.platform, kind: 'http' }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (data.code === 'DEVICE_TOKEN_INVALID') {
+    // Token from another backend or a lost registry: register afresh next time
+    localStorage.removeItem(DEVICE_STORAGE_KEY);
+    throw new Error(data.error);
+  }
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  const saved = { id, token: data.device_token || device.token || null };
+  localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+}
+
+/** This dashboard's { id, token }, registering on first use; {} while registration fails */
+function deviceCredential(authHeaders) {
+  if (!registration) {
+    registration = register(authHeaders).catch(() => {
+      registration = null;
+      return {};
+    });
+  }
+  return registration;
+}
+
 async function getAuthHeaders() {
   const user = auth.currentUser;
   const headers = { 'Content-Type': 'application/json' };
   if (user) {
     const token = await user.getIdToken();
     headers['Authorization'] = `Bearer ${token}`;
+    const device = await deviceCredential(headers);
+    if (device.id) headers['X-Device-Id'] = device.id;
+    if (device.token) headers['X-Device-Token'] = device.token;
   }
   return headers;
 }
@@ -51,12 +102,117 @@ export const deleteProjectMemory = (projectId, key, reason) =>
 export const restoreProjectMemory = (projectId, key) =>
   apiFetch(`/memory/project/${projectId}/${encodeURIComponent(key)}/restore`, { method: 'POST' });
 
+// ── Import / export ────────────────────────────────────
+
+/** Download the brain (or one scope) as an NDJSON or JSON archive Blob */
+export async function exportMemoryArchive({ scope, format = 'ndjson' } = {}) {
+  const params = new URLSearchParams({ format });
+  if (scope) params.set('scope', scope);
+  const headers = await getAuthHeaders();
+  const res = await fetch(`${API_BASE}/memory/export?${params}`, { headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.blob();
+}
+
+/** Send archive text (NDJSON or JSON) to the import endpoint */
+export const importMemoryArchive = async (text, { mode = 'merge', dryRun = false, scope } = {}) => {
+  const params = new URLSearchParams({ mode, dry_run: String(dryRun) });
+  if (scope) params.set('scope', scope);
+  const headers = { ...(await getAuthHeaders()), 'Content-Type': 'text/plain' };
+  return apiFetch(`/memory/import?${params}`, { method: 'POST', headers, body: text });
+};
+
+// ── Live changes (SSE) ─────────────────────────────────
+
+/**
+ * Follow GET /memory/changes/stream. Uses fetch rather than EventSource so
+ * the auth header goes along; reconnects with Last-Event-ID after a drop.
+ * Events arriving within `debounceMs` are delivered together as one array.
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeMemoryChanges(onChanges, { scope, debounceMs = 300 } = {}) {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let pending = [];
+  let flushTimer = null;
+
+  function deliver(event) {
+    pending.push(event);
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      const batch = pending;
+      pending = [];
+      flushTimer = null;
+      onChanges(batch);
+    }, debounceMs);
+  }
+
+  function handleBlock(block) {
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('id:')) lastEventId = line.slice(3).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (data) deliver(JSON.parse(data));
+  }
+
+  async function connect() {
+    while (!controller.signal.aborted) {
+      try {
+        const headers = await getAuthHeaders();
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+        const params = scope ? `?scope=${encodeURIComponent(scope)}` : '';
+        const res = await fetch(`${API_BASE}/memory/changes/stream${params}`, { headers, signal: controller.signal });
+        if (!res.ok) throw new Error(res.statusText);
+
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach(handleBlock);
+        }
+      } catch {
+        // Dropped or refused — retry below unless unsubscribed
+      }
+      if (!controller.signal.aborted) await new Promise((resolve) => setTimeout(resolve, 3000));
+    }
+  }
+
+  connect();
+  return () => {
+    controller.abort();
+    clearTimeout(flushTimer);
+  };
+}
+
 // ── Sync ───────────────────────────────────────────────
 
 export const syncPush = () => apiFetch('/sync/push', { method: 'POST' });
 export const syncPull = () => apiFetch('/sync/pull', { method: 'POST' });
 export const syncStatus = () => apiFetch('/sync/status');
 export const retryDeadLetters = () => apiFetch('/sync/retry-dead-letters', { method: 'POST' });
+export const getSyncProfiles = () => apiFetch('/sync/profiles');
+export const updateSyncProfile = (deviceId, profile) =>
+  apiFetch(`/sync/profiles/${encodeURIComponent(deviceId)}`, { method: 'PUT', body: JSON.stringify(profile) });
+export const getSyncConflicts = (status = 'open') => apiFetch(`/sync/conflicts?status=${status}`);
+export const resolveSyncConflict = (id, resolution, value) =>
+  apiFetch(`/sync/conflicts/${id}/resolve`, { method: 'POST', body: JSON.stringify({ resolution, value }) });
+
+// ── Devices ────────────────────────────────────────────
+
+export const listDevicesApi = () => apiFetch('/devices');
+export const revokeDeviceApi = (id, body = {}) =>
+  apiFetch(`/devices/${encodeURIComponent(id)}/revoke`, { method: 'POST', body: JSON.stringify(body) });
+export const reinstateDeviceApi = (id) =>
+  apiFetch(`/devices/${encodeURIComponent(id)}/reinstate`, { method: 'POST' });
 
 // ── Health ─────────────────────────────────────────────
 
@@ -83,6 +239,10 @@ export const createProjectApi = (data) =>
   apiFetch('/projects', { method: 'POST', body: JSON.stringify(data) });
 export const rescanProjectApi = (id) =>
   apiFetch(`/projects/${id}/rescan`, { method: 'POST' });
+export const setProjectLocalPathApi = (id, local_path) =>
+  apiFetch(`/projects/${id}/local-path`, { method: 'PUT', body: JSON.stringify({ local_path }) });
+export const deleteProjectApi = (id) =>
+  apiFetch(`/projects/${id}`, { method: 'DELETE' });
 export const scanPreview = (local_path) =>
   apiFetch('/projects/scan-preview', { method: 'POST', body: JSON.stringify({ local_path }) });
 export const validateGitHub = (data) =>
@@ -96,6 +256,8 @@ export const createMcpClientApi = (data) =>
   apiFetch('/mcp/clients', { method: 'POST', body: JSON.stringify(data) });
 export const updateMcpClientApi = (id, data) =>
   apiFetch(`/mcp/clients/${id}`, { method: 'PUT', body: JSON.stringify(data) });
+export const deleteMcpClientApi = (id) =>
+  apiFetch(`/mcp/clients/${id}`, { method: 'DELETE' });
 export const testMcpClientApi = (id) =>
   apiFetch(`/mcp/clients/${id}/test`, { method: 'POST' });
 export const reconnectMcpClientApi = (id) =>